@@ -1,24 +1,32 @@
-// Example: Record a sound and then play it back.
-// We need p5.AudioIn (mic / sound source), p5.SoundRecorder
-// (records the sound), and a p5.SoundFile (play back).
+// Example: Record a loop over a beat, then overdub layers on top of it.
+// We need p5.AudioIn (mic / sound source), a p5.Part to play the beat
+// and p5.LoopRecorder (records the loop on the beat of the part and
+// plays it back in time with it).
+//
+// Click to record, click again while the loop plays to overdub.
+// Press 'u' to undo the last layer, 'm' to double the length of
+// the loop and 'c' to clear it.
 
-var mic, recorder, myLoop;
+var mic, looper;
 
-var state = 0; // mousePress will increment from Record, to Stop, to Play
-
-var kick;
+var kick, beat;
 
 function preload() {
   // load the kick
-  kick = loadSound('../files/beatbox.mp3');
+  kick = loadSound('../files/drum.mp3');
 }
 
 function setup() {
   createCanvas(400,400);
-  background(200);
-  fill(0);
 
-  kick.loop();
+  // play the kick on every beat
+  var kickPhrase = new p5.Phrase('kick', function(time) {
+    kick.play(time);
+  }, [1, 0, 0, 0]);
+  beat = new p5.Part();
+  beat.addPhrase(kickPhrase);
+  beat.setBPM(100);
+  beat.loop();
 
   // create an audio in
   mic = new p5.AudioIn();
@@ -26,29 +34,31 @@ function setup() {
   // users must manually enable their browser microphone for recording to work properly!
   mic.start();
 
-  // create a sound recorder
-  recorder = new p5.SoundRecorder();
-
-  // connect the mic to the recorder
-  recorder.setInput(mic);
+  // the loop is four beats of the part long, and starts on its beat
+  looper = new p5.LoopRecorder(beat, 4);
+  looper.setInput(mic);
+}
 
-  // create an empty sound file that we will use to playback the recording
-  soundFile = new p5.SoundFile();
+function draw() {
+  background(looper.isRecording() ? color(255,0,0) : color(200));
+  fill(0);
+  text('click to record / overdub', 20, 20);
+  text('layers: ' + looper.layers().length, 20, 40);
 }
 
 function mousePressed() {
   // use the '.enabled' boolean to make sure user enabled the mic (otherwise we'd record silence)
-  if (mic.enabled && !recorder.recording) {
-
-    // Tell recorder to record to a p5.SoundFile which we will use for playback
-    var fourBeats = (kick.duration() * 4);
-    myLoop = new p5.SoundFile();
-    recorder.record(myLoop, fourBeats, playRecording);
-    background(255,0,0);
+  if (mic.enabled && !looper.isRecording()) {
+    looper.record();
   }
 }
 
-function playRecording() {
-  myLoop.loop();
-  background(0,255,0);
+function keyPressed() {
+  if (key === 'u') {
+    looper.undo();
+  } else if (key === 'm') {
+    looper.multiply(2);
+  } else if (key === 'c') {
+    looper.clear();
+  }
 }
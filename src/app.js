@@ -11,6 +11,10 @@ define(function (require) {
   require('audioWorklet');
   require('panner');
   require('soundfile');
+  require('playlist');
+  require('soundLibrary');
+  require('soundVariation');
+  require('granulator');
   require('amplitude');
   require('fft');
   require('signal');
@@ -30,6 +34,7 @@ define(function (require) {
   require('soundLoop');
   require('compressor');
   require('soundRecorder');
+  require('loopRecorder');
   require('peakDetect');
   require('gain');
   require('monosynth');
@@ -0,0 +1,162 @@
+// import dependencies via preval.require so that they're available as values at compile time
+const processorNames = preval.require('./processorNames');
+
+// grains that play at once, beyond which new grains are skipped
+const MAX_GRAINS = 256;
+// length of the lookup table of a grain envelope
+const ENVELOPE_SIZE = 1024;
+
+// the gain of a grain envelope at phase t, from 0 to 1
+const envelopeShapes = {
+  hann: (t) => 0.5 - 0.5 * Math.cos(2 * Math.PI * t),
+  triangle: (t) => 1 - Math.abs(2 * t - 1),
+  gaussian: (t) => Math.exp(-0.5 * Math.pow((t - 0.5) / 0.15, 2)),
+  trapezoid: (t) => Math.min(1, t / 0.1, (1 - t) / 0.1),
+  expodec: (t) => Math.min(1, t / 0.01) * Math.pow(1 - t, 3),
+  rexpodec: (t) => Math.min(1, (1 - t) / 0.01) * Math.pow(t, 3)
+};
+
+// Schedules grains sample by sample. Each grain reads a short window of
+// the buffer around `position`, at `pitch` times its normal speed, with
+// a random pan and envelope, and grains start `density` times a second
+// while `gate` is open.
+class GranulatorProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'gate', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      // in seconds
+      { name: 'grainSize', defaultValue: 0.1, minValue: 0.001, maxValue: 10 },
+      // grains per second
+      { name: 'density', defaultValue: 20, minValue: 0, maxValue: 1000 },
+      // from 0 (start of the buffer) to 1 (end of the buffer)
+      { name: 'position', defaultValue: 0, minValue: 0, maxValue: 1 },
+      // random offset of the position of each grain, in seconds
+      { name: 'spray', defaultValue: 0, minValue: 0, maxValue: 60 },
+      // playback rate of each grain
+      { name: 'pitch', defaultValue: 1, minValue: -16, maxValue: 16 },
+      // how far grains are panned at random, from 0 to 1
+      { name: 'panSpread', defaultValue: 0, minValue: 0, maxValue: 1 }
+    ];
+  }
+
+  constructor() {
+    super();
+
+    this.channels = [];
+    this.bufferSampleRate = sampleRate;
+    this.grains = [];
+    this.untilNextGrain = 0;
+    this.setEnvelope('hann');
+
+    this.port.onmessage = (event) => {
+      const data = event.data;
+      if (data.name === 'buffer') {
+        this.channels = data.channels;
+        this.bufferSampleRate = data.sampleRate;
+        this.grains = [];
+      } else if (data.name === 'envelope') {
+        this.setEnvelope(data.shape);
+      }
+    };
+  }
+
+  process(inputs, outputs, parameters) {
+    const output = outputs[0];
+    const left = output[0];
+    const right = output[1] || output[0];
+    const blockSize = left.length;
+    const gateOpen = parameters.gate[0] > 0 && this.channels.length > 0;
+
+    if (!gateOpen) {
+      // the next grain starts as soon as the gate opens
+      this.untilNextGrain = 0;
+      if (this.grains.length === 0) {
+        return true;
+      }
+    }
+
+    for (let i = 0; i < blockSize; i++) {
+      if (gateOpen) {
+        this.untilNextGrain--;
+        if (this.untilNextGrain <= 0) {
+          const density = valueAt(parameters.density, i);
+          if (density > 0) {
+            this.startGrain(parameters, i);
+            this.untilNextGrain += sampleRate / density;
+          } else {
+            this.untilNextGrain = 0;
+          }
+        }
+      }
+
+      let sumLeft = 0;
+      let sumRight = 0;
+      for (let g = this.grains.length - 1; g >= 0; g--) {
+        const grain = this.grains[g];
+        const gain = this.envelope[Math.floor(grain.age / grain.length * (ENVELOPE_SIZE - 1))];
+        sumLeft += this.read(0, grain.position) * gain * grain.left;
+        sumRight += this.read(this.channels.length - 1, grain.position) * gain * grain.right;
+
+        grain.position += grain.increment;
+        grain.age++;
+        if (grain.age >= grain.length) {
+          this.grains.splice(g, 1);
+        }
+      }
+
+      left[i] = sumLeft;
+      if (right !== left) {
+        right[i] = sumRight;
+      }
+    }
+
+    return true;
+  }
+
+  startGrain(parameters, i) {
+    if (this.grains.length >= MAX_GRAINS) {
+      return;
+    }
+    const frames = this.channels[0].length;
+    const spray = valueAt(parameters.spray, i) * this.bufferSampleRate;
+    const position = valueAt(parameters.position, i) * frames + (Math.random() * 2 - 1) * spray;
+    const pan = (Math.random() * 2 - 1) * valueAt(parameters.panSpread, i);
+    // equal-power pan
+    const angle = (pan + 1) * Math.PI / 4;
+
+    this.grains.push({
+      position: Math.min(Math.max(position, 0), frames - 1),
+      increment: valueAt(parameters.pitch, i) * this.bufferSampleRate / sampleRate,
+      age: 0,
+      length: Math.max(Math.round(valueAt(parameters.grainSize, i) * sampleRate), 1),
+      left: Math.cos(angle),
+      right: Math.sin(angle)
+    });
+  }
+
+  // the sample of a channel at a fractional frame, or 0 outside the buffer
+  read(channel, position) {
+    const data = this.channels[channel];
+    const index = Math.floor(position);
+    if (index < 0 || index >= data.length) {
+      return 0;
+    }
+    const next = index + 1 < data.length ? data[index + 1] : 0;
+    return data[index] + (next - data[index]) * (position - index);
+  }
+
+  setEnvelope(shape) {
+    const curve = envelopeShapes[shape] || envelopeShapes.hann;
+    this.envelope = new Float32Array(ENVELOPE_SIZE);
+    for (let i = 0; i < ENVELOPE_SIZE; i++) {
+      this.envelope[i] = curve(i / (ENVELOPE_SIZE - 1));
+    }
+  }
+}
+
+// a-rate parameters have one value per sample, unless they are constant
+function valueAt(values, i) {
+  return values.length > 1 ? values[i] : values[0];
+}
+
+registerProcessor(processorNames.granulatorProcessor, GranulatorProcessor);
@@ -2,7 +2,9 @@ const p5sound = require('master');
 const moduleSources = [
   require('raw-loader!./recorderProcessor').default,
   require('raw-loader!./soundFileProcessor').default,
-  require('raw-loader!./amplitudeProcessor').default
+  require('raw-loader!./amplitudeProcessor').default,
+  require('raw-loader!./pitchShiftProcessor').default,
+  require('raw-loader!./granulatorProcessor').default
 ];
 const ac = p5sound.audiocontext;
 
@@ -0,0 +1,96 @@
+// import dependencies via preval.require so that they're available as values at compile time
+const processorNames = preval.require('./processorNames');
+
+// Overlap-add pitch shifter. Two read heads sweep through a delay line
+// half a window apart, each faded in and out with a Hann window so that
+// the jump back to the start of the window is never heard.
+class PitchShiftProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const processorOptions = options.processorOptions || {};
+    this.numChannels = processorOptions.numChannels || 2;
+    this.windowSize = processorOptions.windowSize || 2048;
+    this.pitchRatio = processorOptions.pitchRatio || 1;
+
+    // read heads trail the write head by at most one window
+    this.delayLength = this.windowSize * 2;
+    this.clear();
+
+    this.port.onmessage = (event) => {
+      const data = event.data;
+      if (data.name === 'pitchRatio') {
+        this.pitchRatio = data.pitchRatio;
+      } else if (data.name === 'clear') {
+        this.clear();
+      }
+    };
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+
+    // nothing is connected to the input yet
+    if (input.length === 0) {
+      return true;
+    }
+
+    const blockSize = output[0].length;
+    const windowSize = this.windowSize;
+    const delayLength = this.delayLength;
+    const bypass = this.pitchRatio === 1;
+
+    // the delay of each read head changes by (1 - ratio) samples per sample,
+    // which resamples the signal by pitchRatio without changing its duration
+    const phaseIncrement = (1 - this.pitchRatio) / windowSize;
+
+    for (let i = 0; i < blockSize; i++) {
+      for (let channel = 0; channel < output.length; ++channel) {
+        const inputChannel = input[Math.min(channel, input.length - 1)];
+        const delayLine = this.delayLines[Math.min(channel, this.numChannels - 1)];
+        delayLine[this.writeIndex] = inputChannel[i];
+
+        if (bypass) {
+          output[channel][i] = inputChannel[i];
+          continue;
+        }
+
+        let sample = 0;
+        for (let head = 0; head < 2; head++) {
+          let phase = this.phase + head * 0.5;
+          if (phase >= 1) {
+            phase -= 1;
+          }
+          const window = Math.sin(Math.PI * phase);
+
+          let readPosition = this.writeIndex - phase * windowSize;
+          if (readPosition < 0) {
+            readPosition += delayLength;
+          }
+          const index = Math.floor(readPosition);
+          const fraction = readPosition - index;
+          const nextIndex = (index + 1) % delayLength;
+          const value = delayLine[index] + (delayLine[nextIndex] - delayLine[index]) * fraction;
+
+          sample += value * window * window;
+        }
+        output[channel][i] = sample;
+      }
+
+      this.writeIndex = (this.writeIndex + 1) % delayLength;
+      this.phase += phaseIncrement;
+      this.phase -= Math.floor(this.phase);
+    }
+
+    return true;
+  }
+
+  clear() {
+    this.delayLines = new Array(this.numChannels).fill(null).map(() => new Float32Array(this.delayLength));
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+}
+
+registerProcessor(processorNames.pitchShiftProcessor, PitchShiftProcessor);
@@ -1,5 +1,7 @@
 module.exports = {
   recorderProcessor: 'recorder-processor',
   soundFileProcessor: 'sound-file-processor',
-  amplitudeProcessor: 'amplitude-processor'
+  amplitudeProcessor: 'amplitude-processor',
+  pitchShiftProcessor: 'pitch-shift-processor',
+  granulatorProcessor: 'granulator-processor'
 };
@@ -2,84 +2,215 @@
 const processorNames = preval.require('./processorNames');
 const RingBuffer = preval.require('./ringBuffer').default;
 
+// Records each input of the node separately, so that several sources can be
+// recorded at once as sample-aligned stems. Audio is posted as an array with
+// an array of Float32Arrays, one per channel, for each input.
 class RecorderProcessor extends AudioWorkletProcessor {
   constructor(options) {
     super();
 
     const processorOptions = options.processorOptions || {};
+    this.numInputs = options.numberOfInputs || 1;
     this.numOutputChannels = options.outputChannelCount || 2;
     this.numInputChannels = processorOptions.numInputChannels || 2;
     this.bufferSize = processorOptions.bufferSize || 1024;
     this.recording = false;
+    this.paused = false;
+    // the last few seconds of each input, kept whether or not it is recording
+    this.captureBuffers = null;
+    this.silence = new Float32Array(128);
+    // frames per chunk posted while recording, or 0 to post none
+    this.streamSize = 0;
 
     this.clear();
 
     this.port.onmessage = (event) => {
       const data = event.data;
       if (data.name === 'start') {
-        this.record(data.duration);
+        this.record(data.duration, data.startFrame);
+      } else if (data.name === 'pause') {
+        this.paused = true;
+      } else if (data.name === 'resume') {
+        this.paused = false;
       } else if (data.name === 'stop') {
         this.stop();
+      } else if (data.name === 'stream') {
+        this.streamSize = data.chunkSize;
+        this.newStreamChunk();
+      } else if (data.name === 'captureLength') {
+        this.setCaptureLength(data.seconds);
+      } else if (data.name === 'captureLast') {
+        this.captureLast(data.seconds, data.id);
       }
     };
   }
 
   process(inputs) {
-    if (!this.recording) {
-      return true;
-    } else if (this.sampleLimit && this.recordedSamples >= this.sampleLimit) {
-      this.stop();
+    const channels = inputs.map((input) => this.channelsOf(input));
+    const blockSize = channels[0][0].length;
+
+    if (this.captureBuffers) {
+      for (let i = 0; i < this.numInputs; i++) {
+        this.captureBuffers[i].push(channels[i]);
+      }
+    }
+
+    if (!this.recording || this.paused) {
       return true;
     }
 
-    const input = inputs[0];
+    // a recording scheduled to start part way through a later block
+    let from = 0;
+    if (this.startFrame !== null) {
+      if (currentFrame + blockSize <= this.startFrame) {
+        return true;
+      }
+      from = Math.max(this.startFrame - currentFrame, 0);
+      this.startFrame = null;
+    }
+
+    let to = blockSize;
+    if (this.sampleLimit !== null) {
+      to = Math.min(to, from + this.sampleLimit - this.recordedSamples);
+    }
+
+    this.append(channels, from, to);
+
+    if (this.sampleLimit !== null && this.recordedSamples >= this.sampleLimit) {
+      this.stop();
+    }
+    return true;
+  }
 
-    this.inputRingBuffer.push(input);
+  // the channels to record from an input: a mono input is recorded to every
+  // channel, and missing channels and inputs that aren't connected record silence
+  channelsOf(input) {
+    const channels = [];
+    for (let c = 0; c < this.numInputChannels; c++) {
+      if (c < input.length) {
+        channels.push(input[c]);
+      } else if (input.length === 1) {
+        channels.push(input[0]);
+      } else {
+        channels.push(this.silence);
+      }
+    }
+    return channels;
+  }
 
-    if (this.inputRingBuffer.framesAvailable >= this.bufferSize) {
-      this.inputRingBuffer.pull(this.inputRingBufferArraySequence);
+  // copy frames from (inclusive) to to (exclusive) of a block
+  append(channels, from, to) {
+    let offset = from;
+    while (offset < to) {
+      const count = Math.min(to - offset, this.bufferSize - this.chunkLength);
+      copyFrames(channels, offset, count, this.chunks, this.chunkLength);
+      this.stream(channels, offset, offset + count);
+      this.chunkLength += count;
+      this.recordedSamples += count;
+      offset += count;
 
-      for (let channel = 0; channel < this.numOutputChannels; ++channel) {
-        const inputChannelCopy = this.inputRingBufferArraySequence[channel].slice();
-        if (channel === 0) {
-          this.leftBuffers.push(inputChannelCopy);
-          if (this.numInputChannels === 1) {
-            this.rightBuffers.push(inputChannelCopy);
+      if (this.chunkLength === this.bufferSize) {
+        for (let i = 0; i < this.numInputs; i++) {
+          for (let c = 0; c < this.numInputChannels; c++) {
+            this.buffers[i][c].push(this.chunks[i][c]);
           }
-        } else if (channel === 1 && this.numInputChannels > 1) {
-          this.rightBuffers.push(inputChannelCopy);
         }
+        this.newChunk();
       }
+    }
+  }
+
+  // copy frames to the chunk that is posted once it is full
+  stream(channels, from, to) {
+    let offset = from;
+    while (this.streamSize > 0 && offset < to) {
+      const count = Math.min(to - offset, this.streamSize - this.streamLength);
+      copyFrames(channels, offset, count, this.streamChunks, this.streamLength);
+      this.streamLength += count;
+      offset += count;
 
-      this.recordedSamples += this.bufferSize;
+      if (this.streamLength === this.streamSize) {
+        this.postStreamChunk();
+      }
     }
-    return true;
   }
 
-  record(duration) {
+  postStreamChunk() {
+    const length = this.streamLength;
+    this.postBuffers({ name: 'chunk' }, this.streamChunks.map((channels) =>
+      channels.map((data) => data.slice(0, length))
+    ));
+    this.newStreamChunk();
+  }
+
+  newStreamChunk() {
+    this.streamChunks = this.createChannels(this.streamSize);
+    this.streamLength = 0;
+  }
+
+  setCaptureLength(seconds) {
+    this.captureBuffers = null;
+    if (seconds > 0) {
+      this.captureBuffers = [];
+      for (let i = 0; i < this.numInputs; i++) {
+        this.captureBuffers.push(new RingBuffer(Math.round(seconds * sampleRate), this.numInputChannels));
+      }
+    }
+  }
+
+  // post a copy of the last seconds of input
+  captureLast(seconds, id) {
+    let frames = 0;
+    if (this.captureBuffers) {
+      frames = Math.min(Math.round(seconds * sampleRate), this.captureBuffers[0].framesAvailable);
+    }
+    const buffers = this.createChannels(frames);
+    if (frames > 0) {
+      for (let i = 0; i < this.numInputs; i++) {
+        this.captureBuffers[i].peekLatest(buffers[i]);
+      }
+    }
+    this.postBuffers({ name: 'capture', id: id }, buffers);
+  }
+
+  record(duration, startFrame) {
+    this.clear();
     if (duration) {
       this.sampleLimit = Math.round(duration * sampleRate);
     }
+    this.startFrame = typeof startFrame === 'number' ? startFrame : null;
     this.recording = true;
+    this.paused = false;
   }
 
   stop() {
     this.recording = false;
-    const buffers = this.getBuffers();
-    const leftBuffer = buffers[0].buffer;
-    const rightBuffer = buffers[1].buffer;
-    this.port.postMessage({ name: 'buffers', leftBuffer: leftBuffer, rightBuffer: rightBuffer }, [leftBuffer, rightBuffer]);
+    this.paused = false;
+    // the last chunk arrives before the whole recording
+    if (this.streamLength > 0) {
+      this.postStreamChunk();
+    }
+    this.postBuffers({ name: 'buffers' }, this.getBuffers());
     this.clear();
   }
 
+  // post the memory of Float32Arrays instead of copying it
+  postBuffers(message, buffers) {
+    const transfer = [];
+    message.buffers = buffers.map((channels) => channels.map((data) => {
+      transfer.push(data.buffer);
+      return data.buffer;
+    }));
+    this.port.postMessage(message, transfer);
+  }
+
   getBuffers() {
-    const buffers = [];
-    buffers.push(this.mergeBuffers(this.leftBuffers));
-    buffers.push(this.mergeBuffers(this.rightBuffers));
-    return buffers;
+    return this.buffers.map((channels, i) =>
+      channels.map((channelBuffer, c) => this.mergeBuffers(channelBuffer, this.chunks[i][c]))
+    );
   }
 
-  mergeBuffers(channelBuffer) {
+  mergeBuffers(channelBuffer, lastChunk) {
     let result = new Float32Array(this.recordedSamples);
     let offset = 0;
     let lng = channelBuffer.length;
@@ -88,16 +219,46 @@ class RecorderProcessor extends AudioWorkletProcessor {
       result.set(buffer, offset);
       offset += buffer.length;
     }
+    // the chunk that isn't full yet
+    result.set(lastChunk.subarray(0, this.chunkLength), offset);
     return result;
   }
 
+  // an array of Float32Arrays for each channel of each input
+  createChannels(length) {
+    const inputs = [];
+    for (let i = 0; i < this.numInputs; i++) {
+      const channels = [];
+      for (let c = 0; c < this.numInputChannels; c++) {
+        channels.push(new Float32Array(length));
+      }
+      inputs.push(channels);
+    }
+    return inputs;
+  }
+
+  newChunk() {
+    this.chunks = this.createChannels(this.bufferSize);
+    this.chunkLength = 0;
+  }
+
   clear() {
-    this.leftBuffers = [];
-    this.rightBuffers = [];
-    this.inputRingBuffer = new RingBuffer(this.bufferSize, this.numInputChannels);
-    this.inputRingBufferArraySequence = new Array(this.numInputChannels).fill(null).map(() => new Float32Array(this.bufferSize));
+    this.newStreamChunk();
+    this.buffers = this.createChannels(0).map((channels) => channels.map(() => []));
+    this.newChunk();
     this.recordedSamples = 0;
     this.sampleLimit = null;
+    this.startFrame = null;
+  }
+}
+
+// copy count frames of every channel of every input to the same position
+// of a chunk, starting at offset in the block and at position in the chunk
+function copyFrames(inputs, offset, count, chunks, position) {
+  for (let i = 0; i < inputs.length; i++) {
+    for (let c = 0; c < inputs[i].length; c++) {
+      chunks[i][c].set(inputs[i][c].subarray(offset, offset + count), position);
+    }
   }
 }
 
@@ -71,10 +71,7 @@ class RingBuffer {
       }
     }
 
-    this._writeIndex += sourceLength;
-    if (this._writeIndex >= this._length) {
-      this._writeIndex = 0;
-    }
+    this._writeIndex = (this._writeIndex + sourceLength) % this._length;
 
     // For excessive frames, the buffer will be overwritten.
     this._framesAvailable += sourceLength;
@@ -117,6 +114,25 @@ class RingBuffer {
       this._framesAvailable = 0;
     }
   }
+
+  /**
+   * Fill a given sequence of Float32Arrays with the frames that were pushed
+   * last, without pulling them out of the buffer. The arrays can't be longer
+   * than the available frames.
+   *
+   * @param  {array} arraySequence An array of Float32Arrays.
+   */
+  peekLatest(arraySequence) {
+    let destinationLength = arraySequence[0].length;
+    let startIndex = this._writeIndex - destinationLength + this._length;
+
+    for (let i = 0; i < destinationLength; ++i) {
+      let readIndex = (startIndex + i) % this._length;
+      for (let channel = 0; channel < this._channelCount; ++channel) {
+        arraySequence[channel][i] = this._channelData[channel][readIndex];
+      }
+    }
+  }
 }
 
 // export an object for compatibility with preval.require()
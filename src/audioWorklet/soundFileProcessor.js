@@ -10,10 +10,33 @@ class SoundFileProcessor extends AudioWorkletProcessor {
     this.bufferSize = processorOptions.bufferSize || 256;
     this.inputRingBuffer = new RingBuffer(this.bufferSize, 1);
     this.inputRingBufferArraySequence = [new Float32Array(this.bufferSize)];
+
+    // sorted frames of the cues added with addCue(), and the length in
+    // frames of each onposition() interval
+    this.cueFrames = processorOptions.cueFrames || [];
+    this.intervals = processorOptions.intervals || [];
+    this.resetPosition();
+
+    this.port.onmessage = (event) => {
+      const data = event.data;
+      if (data.name === 'cues') {
+        this.cueFrames = data.cueFrames;
+      } else if (data.name === 'intervals') {
+        this.intervals = data.intervals;
+        this.lastIntervalIndex = [];
+      }
+    };
   }
 
   process(inputs) {
     const input = inputs[0];
+
+    // the counter isn't playing
+    if (input.length === 0) {
+      this.resetPosition();
+      return true;
+    }
+
     // we only care about the first input channel, because that contains the position data
     this.inputRingBuffer.push([input[0]]);
 
@@ -25,8 +48,83 @@ class SoundFileProcessor extends AudioWorkletProcessor {
       this.port.postMessage({ name: 'position', position: position });
     }
 
+    if (this.cueFrames.length > 0 || this.intervals.length > 0) {
+      this.checkPositions(input[0]);
+    }
+
     return true;
   }
+
+  // Check every sample of the counter for cues and intervals that were
+  // reached, so that none are skipped however fast the sound file plays
+  checkPositions(positions) {
+    const reported = [];
+    for (let i = 0; i < positions.length; i++) {
+      const position = positions[i];
+
+      // a counter that hasn't started yet is silent, which can't be told
+      // apart from frame 0 until the next sample
+      if (position === 0) {
+        this.atStart = true;
+        continue;
+      }
+
+      // cues in (from, position] have been reached
+      let from;
+      if (this.atStart) {
+        from = -1;
+      } else if (this.lastPosition === null) {
+        // started part way through
+        from = position - 1;
+      } else if (position >= this.lastPosition) {
+        from = this.lastPosition;
+      } else {
+        // looped or jumped back
+        from = position - Math.max(1, this.lastStep);
+      }
+
+      if (this.lastPosition !== null && position > this.lastPosition) {
+        this.lastStep = position - this.lastPosition;
+      }
+      this.atStart = false;
+      this.lastPosition = position;
+
+      this.checkCues(from, position);
+      for (let j = 0; j < this.intervals.length; j++) {
+        const index = Math.floor(position / this.intervals[j]);
+        if (index !== this.lastIntervalIndex[j] && !reported[j]) {
+          reported[j] = true;
+          this.port.postMessage({ name: 'interval', interval: j, position: position });
+        }
+        this.lastIntervalIndex[j] = index;
+      }
+    }
+  }
+
+  checkCues(from, to) {
+    const frames = this.cueFrames;
+    // binary search for the first cue after from
+    let low = 0;
+    let high = frames.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (frames[mid] > from) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    for (let i = low; i < frames.length && frames[i] <= to; i++) {
+      this.port.postMessage({ name: 'cue', frame: frames[i] });
+    }
+  }
+
+  resetPosition() {
+    this.lastPosition = null;
+    this.lastStep = 1;
+    this.atStart = false;
+    this.lastIntervalIndex = [];
+  }
 }
 
 registerProcessor(processorNames.soundFileProcessor, SoundFileProcessor);
@@ -0,0 +1,391 @@
+'use strict';
+
+define(function (require) {
+  var p5sound = require('master');
+  var processorNames = require('./audioWorklet/processorNames');
+  var ac = p5sound.audiocontext;
+
+  // envelope shapes of the grains, see envelope()
+  var ENVELOPE_SHAPES = ['hann', 'triangle', 'gaussian', 'trapezoid', 'expodec', 'rexpodec'];
+
+  /**
+   *  A p5.Granulator plays a p5.SoundFile as a cloud of short, overlapping
+   *  grains. The grains are scheduled on the audio thread, so they are
+   *  as steady at 100 grains a second as they are at 5, whatever the
+   *  frame rate.
+   *
+   *  Grain size, density, position, spray, pitch and pan spread can
+   *  be set to a number, or modulated by a p5.Envelope, p5.Oscillator or
+   *  p5.Signal, which is added to the value of the parameter.
+   *
+   *  The grains overlap by about <code>grainSize * density</code>, so
+   *  dense clouds are louder. Use <code>amp()</code> to turn them down.
+   *
+   *  @class p5.Granulator
+   *  @constructor
+   *  @param {p5.SoundFile} soundFile  the sound to take grains from
+   *  @param {Object} [options]  initial values of
+   *                             <code>grainSize</code> (in seconds),
+   *                             <code>density</code> (grains per second),
+   *                             <code>position</code> (from 0 to 1),
+   *                             <code>spray</code> (in seconds),
+   *                             <code>pitch</code> (playback rate),
+   *                             <code>panSpread</code> (from 0 to 1) and
+   *                             <code>envelope</code> (shape)
+   *  @example
+   *  <div><code>
+   *  let sound, granulator;
+   *
+   *  function preload() {
+   *    sound = loadSound('assets/Damscray_DancingTiger.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(function() {
+   *      granulator.start();
+   *    });
+   *    cnv.mouseReleased(function() {
+   *      granulator.stop();
+   *    });
+   *    granulator = new p5.Granulator(sound, {
+   *      grainSize: 0.08,
+   *      density: 30,
+   *      spray: 0.02,
+   *      panSpread: 0.6
+   *    });
+   *    granulator.amp(0.4);
+   *  }
+   *
+   *  function draw() {
+   *    background(220);
+   *    text('press and drag', 10, 20);
+   *    granulator.position(constrain(mouseX / width, 0, 1));
+   *    granulator.pitch(map(mouseY, 0, height, 2, 0.5));
+   *  }
+   *  </code></div>
+   */
+  p5.Granulator = function(soundFile, options) {
+    var opts = options || {};
+
+    this._node = new AudioWorkletNode(ac, processorNames.granulatorProcessor, {
+      numberOfInputs: 0,
+      outputChannelCount: [2]
+    });
+    this.output = ac.createGain();
+    this._node.connect(this.output);
+    this.output.connect(p5sound.input);
+
+    this._soundFile = null;
+    this._sentBuffer = null;
+    this._envelope = 'hann';
+    this._playing = false;
+
+    // audio nodes that modulate the parameters
+    this._mods = [];
+
+    if (soundFile) {
+      this.setSoundFile(soundFile);
+    }
+    var params = ['grainSize', 'density', 'position', 'spray', 'pitch', 'panSpread'];
+    for (var i = 0; i < params.length; i++) {
+      if (typeof opts[params[i]] !== 'undefined') {
+        this[params[i]](opts[params[i]]);
+      }
+    }
+    if (opts.envelope) {
+      this.envelope(opts.envelope);
+    }
+
+    p5sound.soundArray.push(this);
+  };
+
+  /**
+   *  Take grains from another p5.SoundFile. Call it again after
+   *  editing the p5.SoundFile's buffer to hear the changes.
+   *
+   *  @method setSoundFile
+   *  @for p5.Granulator
+   *  @param {p5.SoundFile} soundFile
+   */
+  p5.Granulator.prototype.setSoundFile = function(soundFile) {
+    if (!(soundFile instanceof p5.SoundFile)) {
+      throw 'p5.Granulator needs a p5.SoundFile';
+    }
+    this._soundFile = soundFile;
+    this._sentBuffer = null;
+    this._sendBuffer();
+  };
+
+  /**
+   *  Start making grains.
+   *
+   *  @method start
+   *  @for p5.Granulator
+   *  @param {Number} [timeFromNow] schedule the start (in seconds from now)
+   */
+  p5.Granulator.prototype.start = function(timeFromNow) {
+    if (!this._node) {
+      console.warn('Granulator.start() called after dispose');
+      return;
+    }
+    // the sound file may have loaded after it was set
+    this._sendBuffer();
+    if (!this._sentBuffer) {
+      throw 'not ready to play file, buffer has yet to load. Try preload()';
+    }
+    var time = ac.currentTime + (timeFromNow || 0);
+    this._node.parameters.get('gate').setValueAtTime(1, time);
+    this._playing = true;
+  };
+
+  /**
+   *  Stop making grains. Grains that have started play to the end.
+   *
+   *  @method stop
+   *  @for p5.Granulator
+   *  @param {Number} [timeFromNow] schedule the stop (in seconds from now)
+   */
+  p5.Granulator.prototype.stop = function(timeFromNow) {
+    if (!this._node) {
+      return;
+    }
+    var time = ac.currentTime + (timeFromNow || 0);
+    this._node.parameters.get('gate').setValueAtTime(0, time);
+    this._playing = false;
+  };
+
+  /**
+   *  Returns true if the granulator is making grains.
+   *
+   *  @method isPlaying
+   *  @for p5.Granulator
+   *  @return {Boolean}
+   */
+  p5.Granulator.prototype.isPlaying = function() {
+    return this._playing;
+  };
+
+  /**
+   *  Set the length of each grain in seconds, or modulate it with a
+   *  p5.Envelope, p5.Oscillator or p5.Signal. Returns the AudioParam if
+   *  called without arguments.
+   *
+   *  @method grainSize
+   *  @for p5.Granulator
+   *  @param {Number|Object} [seconds]  grain length, or a modulator
+   *  @param {Number} [rampTime] ramp to the value over this many seconds
+   *  @param {Number} [timeFromNow] schedule the change (in seconds from now)
+   *  @return {AudioParam} the AudioParam, if called without arguments
+   */
+  p5.Granulator.prototype.grainSize = function(val, rampTime, tFromNow) {
+    return this._setParam('grainSize', val, rampTime, tFromNow);
+  };
+
+  /**
+   *  Set how many grains start every second, or modulate it.
+   *
+   *  @method density
+   *  @for p5.Granulator
+   *  @param {Number|Object} [grainsPerSecond] density, or a modulator
+   *  @param {Number} [rampTime] ramp to the value over this many seconds
+   *  @param {Number} [timeFromNow] schedule the change (in seconds from now)
+   *  @return {AudioParam} the AudioParam, if called without arguments
+   */
+  p5.Granulator.prototype.density = function(val, rampTime, tFromNow) {
+    return this._setParam('density', val, rampTime, tFromNow);
+  };
+
+  /**
+   *  Set where in the sound file grains are taken from, from 0 (the
+   *  start) to 1 (the end), or modulate it.
+   *
+   *  @method position
+   *  @for p5.Granulator
+   *  @param {Number|Object} [position] position, or a modulator
+   *  @param {Number} [rampTime] ramp to the value over this many seconds
+   *  @param {Number} [timeFromNow] schedule the change (in seconds from now)
+   *  @return {AudioParam} the AudioParam, if called without arguments
+   */
+  p5.Granulator.prototype.position = function(val, rampTime, tFromNow) {
+    return this._setParam('position', val, rampTime, tFromNow);
+  };
+
+  /**
+   *  Set how far, in seconds, each grain's position can be moved at
+   *  random, or modulate it.
+   *
+   *  @method spray
+   *  @for p5.Granulator
+   *  @param {Number|Object} [seconds] spray, or a modulator
+   *  @param {Number} [rampTime] ramp to the value over this many seconds
+   *  @param {Number} [timeFromNow] schedule the change (in seconds from now)
+   *  @return {AudioParam} the AudioParam, if called without arguments
+   */
+  p5.Granulator.prototype.spray = function(val, rampTime, tFromNow) {
+    return this._setParam('spray', val, rampTime, tFromNow);
+  };
+
+  /**
+   *  Set the playback rate of the grains, or modulate it. 2 is an
+   *  octave up, 0.5 an octave down, and negative rates play the
+   *  grains backwards.
+   *
+   *  @method pitch
+   *  @for p5.Granulator
+   *  @param {Number|Object} [rate] playback rate, or a modulator
+   *  @param {Number} [rampTime] ramp to the value over this many seconds
+   *  @param {Number} [timeFromNow] schedule the change (in seconds from now)
+   *  @return {AudioParam} the AudioParam, if called without arguments
+   */
+  p5.Granulator.prototype.pitch = function(val, rampTime, tFromNow) {
+    return this._setParam('pitch', val, rampTime, tFromNow);
+  };
+
+  /**
+   *  Set how far grains are panned at random, from 0 (all in the
+   *  center) to 1 (anywhere from left to right), or modulate it.
+   *
+   *  @method panSpread
+   *  @for p5.Granulator
+   *  @param {Number|Object} [spread] pan spread, or a modulator
+   *  @param {Number} [rampTime] ramp to the value over this many seconds
+   *  @param {Number} [timeFromNow] schedule the change (in seconds from now)
+   *  @return {AudioParam} the AudioParam, if called without arguments
+   */
+  p5.Granulator.prototype.panSpread = function(val, rampTime, tFromNow) {
+    return this._setParam('panSpread', val, rampTime, tFromNow);
+  };
+
+  /**
+   *  Set or get the shape of the grain envelope:
+   *  <code>'hann'</code>, <code>'triangle'</code>,
+   *  <code>'gaussian'</code>, <code>'trapezoid'</code>,
+   *  <code>'expodec'</code> (a sharp attack and a long decay) or
+   *  <code>'rexpodec'</code> (the reverse).
+   *
+   *  @method envelope
+   *  @for p5.Granulator
+   *  @param {String} [shape]
+   *  @return {String} the shape
+   */
+  p5.Granulator.prototype.envelope = function(shape) {
+    if (typeof shape !== 'undefined') {
+      if (ENVELOPE_SHAPES.indexOf(shape) === -1) {
+        throw 'Invalid envelope shape. Must be one of ' + ENVELOPE_SHAPES.join(', ');
+      }
+      this._envelope = shape;
+      this._node.port.postMessage({ name: 'envelope', shape: shape });
+    }
+    return this._envelope;
+  };
+
+  /**
+   *  Set the volume of the granulator.
+   *
+   *  @method  amp
+   *  @for p5.Granulator
+   *  @param  {Number} volume amplitude between 0 and 1.0
+   *  @param  {Number} [rampTime] create a fade that lasts rampTime
+   *  @param  {Number} [timeFromNow] schedule this event to happen
+   *                                seconds from now
+   */
+  p5.Granulator.prototype.amp = function(vol, rampTime, tFromNow) {
+    var ramp = rampTime || 0;
+    var t = tFromNow || 0;
+    var now = ac.currentTime;
+    var currentVol = this.output.gain.value;
+    this.output.gain.cancelScheduledValues(now);
+    this.output.gain.linearRampToValueAtTime(currentVol, now + t);
+    this.output.gain.linearRampToValueAtTime(vol, now + t + ramp);
+  };
+
+  /**
+   *  Send the output to a p5.sound or web audio object.
+   *
+   *  @method  connect
+   *  @for p5.Granulator
+   *  @param  {Object} [unit]
+   */
+  p5.Granulator.prototype.connect = function(unit) {
+    var u = unit || p5.soundOut.input;
+    this.output.connect(u.input ? u.input : u);
+  };
+
+  /**
+   *  Disconnect all output.
+   *
+   *  @method disconnect
+   *  @for p5.Granulator
+   */
+  p5.Granulator.prototype.disconnect = function() {
+    if (this.output) {
+      this.output.disconnect();
+    }
+  };
+
+  p5.Granulator.prototype.dispose = function() {
+    var index = p5sound.soundArray.indexOf(this);
+    p5sound.soundArray.splice(index, 1);
+
+    for (var i = 0; i < this._mods.length; i++) {
+      this._mods[i].mod.disconnect(this._mods[i].param);
+    }
+    this._mods = [];
+    if (this._node) {
+      this._node.disconnect();
+      this._node.port.close();
+      delete this._node;
+    }
+    if (this.output) {
+      this.output.disconnect();
+      delete this.output;
+    }
+    this._soundFile = null;
+    this._sentBuffer = null;
+  };
+
+  /*** PRIVATE ***/
+
+  // copy the sound file's buffer to the processor, once it has loaded
+  p5.Granulator.prototype._sendBuffer = function() {
+    var buffer = this._soundFile && this._soundFile.buffer;
+    if (!buffer || buffer === this._sentBuffer) {
+      return;
+    }
+    var channels = [];
+    for (var i = 0; i < buffer.numberOfChannels; i++) {
+      channels.push(buffer.getChannelData(i).slice());
+    }
+    this._node.port.postMessage({
+      name: 'buffer',
+      channels: channels,
+      sampleRate: buffer.sampleRate
+    });
+    this._sentBuffer = buffer;
+  };
+
+  p5.Granulator.prototype._setParam = function(name, val, rampTime, tFromNow) {
+    var param = this._node.parameters.get(name);
+    if (typeof val === 'number' && !isNaN(val)) {
+      var now = ac.currentTime;
+      var t = now + (tFromNow || 0);
+      if (rampTime) {
+        param.cancelScheduledValues(t);
+        param.setValueAtTime(param.value, t);
+        param.linearRampToValueAtTime(val, t + rampTime);
+      } else {
+        param.setValueAtTime(val, t);
+      }
+    } else if (val) {
+      var mod = val.output ? val.output : val;
+      mod.connect(param);
+      // keep track of what is modulating the parameters, so that they
+      // can be disconnected on dispose
+      this._mods.push({ mod: mod, param: param });
+    } else {
+      return param;
+    }
+  };
+
+});
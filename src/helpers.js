@@ -142,7 +142,7 @@ define(function (require) {
     // add extensions
     for (var i = 0; i < arguments.length; i++) {
       arguments[i] = arguments[i].toLowerCase();
-      if (['mp3','wav','ogg', 'm4a', 'aac'].indexOf(arguments[i]) > -1) {
+      if (['mp3','wav','ogg', 'm4a', 'aac', 'flac'].indexOf(arguments[i]) > -1) {
         p5sound.extensions.push(arguments[i]);
       } else {
         throw arguments[i] + ' is not a valid sound format!';
@@ -168,7 +168,7 @@ define(function (require) {
       // see if extension is provided
       var extTest = path.split('.').pop();
       // if an extension is provided...
-      if (['mp3','wav','ogg', 'm4a', 'aac'].indexOf(extTest) > -1) {
+      if (['mp3','wav','ogg', 'm4a', 'aac', 'flac'].indexOf(extTest) > -1) {
         if (p5.prototype.isFileSupported(extTest)) {
           path = path;
         }
@@ -223,6 +223,43 @@ define(function (require) {
     return path;
   };
 
+  /**
+   *  Every path that loadSound can try for a sound file, in order. The
+   *  first is the one chosen by _checkFileFormats, then come the other
+   *  formats, because canPlayType is only a guess and decoding can
+   *  still fail.
+   *
+   *  @private
+   *  @param  {String|Array} paths path, or an array of paths
+   *  @return {Array}              the paths to try
+   */
+  p5.prototype._getFileCandidates = function(paths) {
+    var candidates = [];
+    var add = function(path) {
+      if (path && candidates.indexOf(path) === -1) {
+        candidates.push(path);
+      }
+    };
+
+    add(p5.prototype._checkFileFormats(paths));
+    if (typeof paths === 'string') {
+      var extension = paths.split('.').pop();
+      var hasExtension = ['mp3','wav','ogg', 'm4a', 'aac', 'flac'].indexOf(extension) > -1;
+      var pathCore = hasExtension ? paths.slice(0, -extension.length - 1) : paths;
+      if (hasExtension || p5sound.extensions.length === 0) {
+        add(paths);
+      }
+      for (var i = 0; i < p5sound.extensions.length; i++) {
+        add(pathCore + '.' + p5sound.extensions[i]);
+      }
+    } else {
+      for (var j = 0; j < paths.length; j++) {
+        add(paths[j]);
+      }
+    }
+    return candidates;
+  };
+
   /**
    *  Used by Osc and Envelope to chain signal math
    */
@@ -249,71 +286,364 @@ define(function (require) {
   // will use as saving .wav file and saving blob object
   // Thank you to Matt Diamond's RecorderJS (MIT License)
   // https://github.com/mattdiamond/Recorderjs
-  function convertToWav(audioBuffer) {
-    var leftChannel, rightChannel;
-    leftChannel = audioBuffer.getChannelData(0);
 
-    // handle mono files
-    if (audioBuffer.numberOfChannels > 1) {
-      rightChannel = audioBuffer.getChannelData(1);
-    } else {
-      rightChannel = leftChannel;
+  // names of LIST INFO tags, see convertToWav
+  var infoTags = {
+    title: 'INAM',
+    artist: 'IART',
+    album: 'IPRD',
+    comment: 'ICMT',
+    date: 'ICRD',
+    genre: 'IGNR',
+    copyright: 'ICOP',
+    software: 'ISFT',
+    track: 'ITRK'
+  };
+  var infoTagNames = {};
+  Object.keys(infoTags).forEach(function(name) {
+    infoTagNames[infoTags[name]] = name;
+  });
+
+  // speaker positions of the first channels of WAVE_FORMAT_EXTENSIBLE
+  // files, by number of channels
+  var channelMasks = { 1: 0x4, 2: 0x3, 3: 0x7, 4: 0x33, 5: 0x37, 6: 0x3F, 7: 0x13F, 8: 0x63F };
+
+  /**
+   *  Encode an AudioBuffer as a .wav file.
+   *
+   *  @private
+   *  @param  {AudioBuffer} audioBuffer
+   *  @param  {Object} [options] <code>bitDepth</code> (16, 24 or
+   *                             <code>'32f'</code>, 16 by default),
+   *                             <code>channels</code>
+   *                             (<code>'auto'</code> to keep the channels
+   *                             of the buffer, or a number of channels),
+   *                             <code>sampleRate</code>,
+   *                             <code>tags</code> (LIST INFO tags such as
+   *                             <code>title</code> and <code>artist</code>),
+   *                             <code>cues</code> (times in seconds, or
+   *                             objects with a <code>time</code> and a
+   *                             <code>label</code>) and <code>loop</code>
+   *                             (an object with a <code>start</code> and
+   *                             an <code>end</code> in seconds)
+   *  @return {DataView}  the .wav file
+   */
+  function convertToWav(audioBuffer, options) {
+    var opts = options || {};
+    var bitDepth = opts.bitDepth || 16;
+    var isFloat = bitDepth === '32f' || bitDepth === 32;
+    var bits = isFloat ? 32 : bitDepth;
+    if (bits !== 16 && bits !== 24 && !isFloat) {
+      throw 'bitDepth must be 16, 24 or "32f"';
     }
 
-    var interleaved = interleave(leftChannel, rightChannel);
+    var channels = mixChannels(audioBuffer, opts.channels || 'auto');
+    var sampleRate = opts.sampleRate || audioBuffer.sampleRate;
+    if (sampleRate !== audioBuffer.sampleRate) {
+      channels = channels.map(function(data) {
+        return resample(data, audioBuffer.sampleRate, sampleRate);
+      });
+    }
+    var numChannels = channels.length;
+    var frames = channels[0].length;
+    var bytesPerSample = bits / 8;
+    var blockAlign = numChannels * bytesPerSample;
 
-    // create the buffer and view to create the .WAV file
-    var buffer = new window.ArrayBuffer(44 + interleaved.length * 2);
-    var view = new window.DataView(buffer);
+    var chunks = [];
 
-    // write the WAV container,
-    // check spec at: https://web.archive.org/web/20171215131933/http://tiny.systems/software/soundProgrammer/WavFormatDocs.pdf
+    // FMT sub-chunk. Files with more than two channels use
+    // WAVE_FORMAT_EXTENSIBLE, so that the speaker of each channel is known
+    var extensible = numChannels > 2;
+    var fmt = new DataView(new ArrayBuffer(extensible ? 40 : isFloat ? 18 : 16));
+    fmt.setUint16(0, extensible ? 0xFFFE : isFloat ? 3 : 1, true);
+    fmt.setUint16(2, numChannels, true);
+    fmt.setUint32(4, sampleRate, true);
+    fmt.setUint32(8, sampleRate * blockAlign, true);
+    fmt.setUint16(12, blockAlign, true);
+    fmt.setUint16(14, bits, true);
+    if (extensible) {
+      fmt.setUint16(16, 22, true);
+      fmt.setUint16(18, bits, true);
+      fmt.setUint32(20, channelMasks[numChannels] || 0, true);
+      // KSDATAFORMAT_SUBTYPE_PCM or _IEEE_FLOAT
+      fmt.setUint16(24, isFloat ? 3 : 1, true);
+      var guid = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71];
+      for (var g = 0; g < guid.length; g++) {
+        fmt.setUint8(26 + g, guid[g]);
+      }
+    }
+    chunks.push({ id: 'fmt ', view: fmt });
+
+    if (isFloat || extensible) {
+      var fact = new DataView(new ArrayBuffer(4));
+      fact.setUint32(0, frames, true);
+      chunks.push({ id: 'fact', view: fact });
+    }
+
+    // data sub-chunk, with the channels interleaved
+    var data = new DataView(new ArrayBuffer(frames * blockAlign));
+    var index = 0;
+    for (var i = 0; i < frames; i++) {
+      for (var c = 0; c < numChannels; c++) {
+        if (isFloat) {
+          // float files can hold samples outside of -1 to 1
+          data.setFloat32(index, channels[c][i], true);
+        } else {
+          var sample = Math.max(-1, Math.min(1, channels[c][i]));
+          var fullScale = bits === 16 ? 0x8000 : 0x800000;
+          var value = Math.round(sample < 0 ? sample * fullScale : sample * (fullScale - 1));
+          if (bits === 16) {
+            data.setInt16(index, value, true);
+          } else {
+            // setUint8 keeps the lowest byte
+            data.setUint8(index, value);
+            data.setUint8(index + 1, value >> 8);
+            data.setUint8(index + 2, value >> 16);
+          }
+        }
+        index += bytesPerSample;
+      }
+    }
+    chunks.push({ id: 'data', view: data });
+
+    if (opts.cues && opts.cues.length > 0) {
+      var cues = opts.cues.map(function(cue) {
+        return typeof cue === 'number' ? { time: cue } : cue;
+      });
+      chunks.push({ id: 'cue ', view: cueChunk(cues, sampleRate, frames) });
+      var labels = cues.filter(function(cue) {
+        return cue.label;
+      });
+      if (labels.length > 0) {
+        chunks.push({ id: 'LIST', view: listChunk('adtl', cues.map(function(cue, id) {
+          return cue.label ? { id: 'labl', cueId: id + 1, text: String(cue.label) } : null;
+        }).filter(Boolean)) });
+      }
+    }
+
+    if (opts.loop) {
+      chunks.push({ id: 'smpl', view: samplerChunk(opts.loop, sampleRate, frames) });
+    }
+
+    if (opts.tags) {
+      var entries = [];
+      for (var tag in opts.tags) {
+        if (opts.tags.hasOwnProperty(tag) && opts.tags[tag] !== undefined) {
+          // four-letter INFO ids can be used as they are
+          var id = infoTags[tag] || (/^[A-Z0-9]{4}$/.test(tag) ? tag : null);
+          if (!id) {
+            throw 'unknown WAV tag: ' + tag;
+          }
+          entries.push({ id: id, text: String(opts.tags[tag]) });
+        }
+      }
+      if (entries.length > 0) {
+        chunks.push({ id: 'LIST', view: listChunk('INFO', entries) });
+      }
+    }
 
     // RIFF chunk descriptor
+    // check spec at: https://web.archive.org/web/20171215131933/http://tiny.systems/software/soundProgrammer/WavFormatDocs.pdf
+    var riffSize = 4;
+    chunks.forEach(function(chunk) {
+      riffSize += 8 + chunk.view.byteLength + chunk.view.byteLength % 2;
+    });
+    var buffer = new window.ArrayBuffer(8 + riffSize);
+    var view = new window.DataView(buffer);
+    var bytes = new Uint8Array(buffer);
     writeUTFBytes(view, 0, 'RIFF');
-    view.setUint32(4, 36 + interleaved.length * 2, true);
+    view.setUint32(4, riffSize, true);
     writeUTFBytes(view, 8, 'WAVE');
-    // FMT sub-chunk
-    writeUTFBytes(view, 12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    // stereo (2 channels)
-    view.setUint16(22, 2, true);
-    view.setUint32(24, p5sound.audiocontext.sampleRate, true);
-    view.setUint32(28, p5sound.audiocontext.sampleRate * 4, true);
-    view.setUint16(32, 4, true);
-    view.setUint16(34, 16, true);
-    // data sub-chunk
-    writeUTFBytes(view, 36, 'data');
-    view.setUint32(40, interleaved.length * 2, true);
-
-    // write the PCM samples
-    var lng = interleaved.length;
-    var index = 44;
-    var volume = 1;
-    for (var i = 0; i < lng; i++) {
-      view.setInt16(index, interleaved[i] * (0x7FFF * volume), true);
-      index += 2;
-    }
+    var offset = 12;
+    chunks.forEach(function(chunk) {
+      writeUTFBytes(view, offset, chunk.id);
+      view.setUint32(offset + 4, chunk.view.byteLength, true);
+      bytes.set(new Uint8Array(chunk.view.buffer), offset + 8);
+      // chunks are padded to an even length
+      offset += 8 + chunk.view.byteLength + chunk.view.byteLength % 2;
+    });
 
     return view;
   }
 
-  // helper methods to save waves
-  function interleave(leftChannel, rightChannel) {
-    var length = leftChannel.length + rightChannel.length;
-    var result = new Float32Array(length);
+  // the channels to write to a file: the channels of the buffer, a mix
+  // of them down to mono, or the first channels of the buffer, with mono
+  // copied to every channel and silence for other missing channels
+  function mixChannels(audioBuffer, numChannels) {
+    var sourceChannels = audioBuffer.numberOfChannels;
+    var n = numChannels === 'auto' ? sourceChannels : numChannels;
+    if (typeof n !== 'number' || n < 1 || n % 1 !== 0) {
+      throw 'channels must be "auto" or a whole number of channels';
+    }
 
-    var inputIndex = 0;
+    var channels = [];
+    var c;
+    if (n === 1 && sourceChannels > 1) {
+      var mix = new Float32Array(audioBuffer.length);
+      for (c = 0; c < sourceChannels; c++) {
+        var data = audioBuffer.getChannelData(c);
+        for (var i = 0; i < mix.length; i++) {
+          mix[i] += data[i] / sourceChannels;
+        }
+      }
+      return [mix];
+    }
+    for (c = 0; c < n; c++) {
+      if (c < sourceChannels) {
+        channels.push(audioBuffer.getChannelData(c));
+      } else if (sourceChannels === 1) {
+        channels.push(audioBuffer.getChannelData(0));
+      } else {
+        channels.push(new Float32Array(audioBuffer.length));
+      }
+    }
+    return channels;
+  }
 
-    for (var index = 0; index < length;) {
-      result[index++] = leftChannel[inputIndex];
-      result[index++] = rightChannel[inputIndex];
-      inputIndex++;
+  // change the sample rate of a channel by linear interpolation
+  function resample(data, fromRate, toRate) {
+    var ratio = fromRate / toRate;
+    var result = new Float32Array(Math.round(data.length / ratio));
+    for (var i = 0; i < result.length; i++) {
+      var position = i * ratio;
+      var index = Math.floor(position);
+      var next = index + 1 < data.length ? data[index + 1] : data[data.length - 1];
+      result[i] = data[index] + (next - data[index]) * (position - index);
     }
     return result;
   }
 
+  // a 'cue ' chunk with a cue point at the time of each cue
+  function cueChunk(cues, sampleRate, frames) {
+    var view = new DataView(new ArrayBuffer(4 + cues.length * 24));
+    view.setUint32(0, cues.length, true);
+    cues.forEach(function(cue, i) {
+      var offset = 4 + i * 24;
+      var frame = Math.min(Math.max(Math.round(cue.time * sampleRate), 0), frames);
+      view.setUint32(offset, i + 1, true);
+      view.setUint32(offset + 4, frame, true);
+      writeUTFBytes(view, offset + 8, 'data');
+      view.setUint32(offset + 12, 0, true);
+      view.setUint32(offset + 16, 0, true);
+      view.setUint32(offset + 20, frame, true);
+    });
+    return view;
+  }
+
+  // a 'smpl' chunk with one forward loop
+  function samplerChunk(loop, sampleRate, frames) {
+    var view = new DataView(new ArrayBuffer(60));
+    var start = Math.min(Math.max(Math.round(loop.start * sampleRate), 0), frames - 1);
+    var end = Math.min(Math.max(Math.round(loop.end * sampleRate), start + 1), frames);
+    view.setUint32(8, Math.round(1e9 / sampleRate), true);
+    // MIDI unity note: middle C
+    view.setUint32(12, 60, true);
+    view.setUint32(28, 1, true);
+    view.setUint32(36, 0, true);
+    view.setUint32(40, 0, true);
+    view.setUint32(44, start, true);
+    // the end of a loop is its last frame
+    view.setUint32(48, end - 1, true);
+    return view;
+  }
+
+  // a LIST chunk of zero-terminated strings, such as INFO tags or the
+  // labels of cues
+  function listChunk(type, entries) {
+    var encoder = new TextEncoder();
+    var encoded = entries.map(function(entry) {
+      return encoder.encode(entry.text);
+    });
+    var size = 4;
+    entries.forEach(function(entry, i) {
+      var length = (entry.cueId ? 4 : 0) + encoded[i].length + 1;
+      size += 8 + length + length % 2;
+    });
+
+    var view = new DataView(new ArrayBuffer(size));
+    var bytes = new Uint8Array(view.buffer);
+    writeUTFBytes(view, 0, type);
+    var offset = 4;
+    entries.forEach(function(entry, i) {
+      var length = (entry.cueId ? 4 : 0) + encoded[i].length + 1;
+      writeUTFBytes(view, offset, entry.id);
+      view.setUint32(offset + 4, length, true);
+      var textOffset = offset + 8;
+      if (entry.cueId) {
+        view.setUint32(textOffset, entry.cueId, true);
+        textOffset += 4;
+      }
+      bytes.set(encoded[i], textOffset);
+      offset += 8 + length + length % 2;
+    });
+    return view;
+  }
+
+  // MIME types that MediaRecorder can encode, by format
+  var compressedMimeTypes = {
+    webm: 'audio/webm;codecs=opus',
+    ogg: 'audio/ogg;codecs=opus'
+  };
+
+  /**
+   *  Encode an AudioBuffer as a compressed file with a MediaRecorder.
+   *  The buffer plays (silently) into the recorder, so encoding takes
+   *  as long as the buffer.
+   *
+   *  @private
+   *  @param  {AudioBuffer} audioBuffer
+   *  @param  {String} format   <code>'webm'</code> or <code>'ogg'</code>
+   *  @param  {Object} [options] <code>bitrate</code> in bits per second
+   *  @return {Promise} resolves with a Blob, or rejects if the browser
+   *                    can't encode the format
+   */
+  function encodeCompressed(audioBuffer, format, options) {
+    var opts = options || {};
+    var mimeType = compressedMimeTypes[format];
+
+    return new Promise(function(resolve, reject) {
+      if (!mimeType) {
+        reject(new Error('Unknown format "' + format + '". Use "wav", "webm" or "ogg"'));
+        return;
+      }
+      if (typeof window.MediaRecorder === 'undefined' || !window.MediaRecorder.isTypeSupported(mimeType)) {
+        reject(new Error('This browser can not encode ' + format + ' files'));
+        return;
+      }
+
+      var ac = p5sound.audiocontext;
+      var destination = ac.createMediaStreamDestination();
+      var source = ac.createBufferSource();
+      source.buffer = audioBuffer;
+      source.connect(destination);
+
+      var recorder = new window.MediaRecorder(destination.stream, {
+        mimeType: mimeType,
+        audioBitsPerSecond: opts.bitrate
+      });
+      var chunks = [];
+      recorder.ondataavailable = function(event) {
+        if (event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      };
+      recorder.onstop = function() {
+        source.disconnect();
+        resolve(new Blob(chunks, { type: mimeType.split(';')[0] }));
+      };
+      recorder.onerror = function(event) {
+        source.disconnect();
+        reject(event.error || new Error('The MediaRecorder failed to encode the ' + format + ' file'));
+      };
+      source.onended = function() {
+        recorder.stop();
+      };
+
+      recorder.start();
+      source.start();
+    });
+  }
+
   function writeUTFBytes(view, offset, string) {
     var lng = string.length;
     for (var i = 0; i < lng; i++) {
@@ -321,6 +651,240 @@ define(function (require) {
     }
   }
 
+  // Identify an audio file by its first bytes ("magic bytes") rather
+  // than by its extension. Returns the file extension of the format,
+  // or null if it isn't recognized
+  function sniffAudioFormat(arrayBuffer) {
+    var bytes = new Uint8Array(arrayBuffer, 0, Math.min(12, arrayBuffer.byteLength));
+    var ascii = function(start, end) {
+      return String.fromCharCode.apply(null, bytes.subarray(start, end));
+    };
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+      return 'wav';
+    }
+    if (ascii(0, 4) === 'OggS') {
+      return 'ogg';
+    }
+    if (ascii(0, 4) === 'fLaC') {
+      return 'flac';
+    }
+    if (ascii(4, 8) === 'ftyp') {
+      return 'm4a';
+    }
+    if (ascii(0, 4) === 'FORM' && ascii(8, 12).indexOf('AIF') === 0) {
+      return 'aiff';
+    }
+    if (ascii(0, 3) === 'ID3') {
+      return 'mp3';
+    }
+    // an MPEG audio frame starts with 11 set bits. Layer 0 is AAC (ADTS)
+    if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+      return (bytes[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    }
+    return null;
+  }
+
+  /**
+   *  Download the first of several paths to an audio file that can be
+   *  used. Each file that downloads is passed to
+   *  <code>onLoaded(arrayBuffer, url, next)</code>, which calls
+   *  <code>next(attempt)</code> with a description of why it can't be
+   *  used, such as a decoding error, to try the next path.
+   *  <code>onFailed(attempts)</code> is called with every attempt once
+   *  there are no paths left.
+   *
+   *  @private
+   *  @param  {Array}    urls       the paths to try, in order
+   *  @param  {Function} onProgress called with the progress events of
+   *                                each request
+   *  @param  {Function} onLoaded
+   *  @param  {Function} onFailed
+   *  @return {Object} an object with an <code>abort()</code> method,
+   *                   after which no callback is called
+   */
+  function fetchAudio(urls, onProgress, onLoaded, onFailed) {
+    var attempts = [];
+    var request = null;
+    var aborted = false;
+
+    var tryUrl = function(i) {
+      if (aborted) return;
+      if (i >= urls.length) {
+        onFailed(attempts);
+        return;
+      }
+      var url = urls[i];
+      request = new XMLHttpRequest();
+      var thisRequest = request;
+      request.addEventListener('progress', function(evt) {
+        if (!aborted) {
+          onProgress(evt);
+        }
+      }, false);
+      request.open('GET', url, true);
+      request.responseType = 'arraybuffer';
+
+      request.onload = function() {
+        if (aborted) return;
+        // if request status != 200, it failed
+        if (thisRequest.status !== 200) {
+          attempts.push({
+            url: url,
+            status: thisRequest.status,
+            error: 'The request status was: ' + thisRequest.status + ' (' + thisRequest.statusText + ')'
+          });
+          tryUrl(i + 1);
+          return;
+        }
+
+        request = null;
+        onLoaded(thisRequest.response, url, function(attempt) {
+          attempt.url = url;
+          attempt.status = thisRequest.status;
+          attempts.push(attempt);
+          tryUrl(i + 1);
+        });
+      };
+
+      // if there is another error, aside from 404...
+      request.onerror = function() {
+        if (aborted) return;
+        attempts.push({
+          url: url,
+          error: 'There was no response from the server. Check the url and internet connectivity.'
+        });
+        tryUrl(i + 1);
+      };
+
+      request.send();
+    };
+
+    tryUrl(0);
+    return {
+      abort: function() {
+        aborted = true;
+        if (request) {
+          request.abort();
+          request = null;
+        }
+      }
+    };
+  }
+
+  /**
+   *  Read the markers, loop points and INFO tags of a .wav file, which
+   *  decodeAudioData ignores: the 'cue ' chunk, with labels from a
+   *  'LIST' 'adtl' chunk, the first loop of a 'smpl' chunk and the tags
+   *  of a 'LIST' 'INFO' chunk. Times are in seconds.
+   *
+   *  @private
+   *  @param  {ArrayBuffer} arrayBuffer the .wav file
+   *  @return {Object} <code>markers</code>, <code>loop</code> (or null)
+   *                   and <code>tags</code>
+   */
+  function parseWavMetadata(arrayBuffer) {
+    var view = new DataView(arrayBuffer);
+    var decoder = new TextDecoder();
+    var result = { markers: [], loop: null, tags: {} };
+    var ascii = function(offset) {
+      return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1),
+        view.getUint8(offset + 2), view.getUint8(offset + 3));
+    };
+    // a zero-terminated string
+    var text = function(offset, length) {
+      var bytes = new Uint8Array(arrayBuffer, offset, length);
+      var zero = bytes.indexOf(0);
+      return decoder.decode(zero === -1 ? bytes : bytes.subarray(0, zero));
+    };
+
+    if (view.byteLength < 12 || ascii(0) !== 'RIFF' || ascii(8) !== 'WAVE') {
+      return result;
+    }
+
+    var sampleRate = 0;
+    var cues = [];
+    var labels = {};
+    var lengths = {};
+    var loop = null;
+
+    // walks the sub-chunks of a chunk, stopping at chunks that are cut off
+    var eachChunk = function(start, end, callback) {
+      var offset = start;
+      while (offset + 8 <= end) {
+        var id = ascii(offset);
+        var size = view.getUint32(offset + 4, true);
+        if (offset + 8 + size > end) {
+          break;
+        }
+        callback(id, offset + 8, size);
+        offset += 8 + size + size % 2;
+      }
+    };
+
+    eachChunk(12, view.byteLength, function(id, offset, size) {
+      if (id === 'fmt ' && size >= 8) {
+        sampleRate = view.getUint32(offset + 4, true);
+      } else if (id === 'cue ' && size >= 4) {
+        var count = Math.min(view.getUint32(offset, true), Math.floor((size - 4) / 24));
+        for (var i = 0; i < count; i++) {
+          var cue = offset + 4 + i * 24;
+          cues.push({
+            id: view.getUint32(cue, true),
+            frame: view.getUint32(cue + 20, true)
+          });
+        }
+      } else if (id === 'smpl' && size >= 36) {
+        var loops = view.getUint32(offset + 28, true);
+        if (loops > 0 && size >= 60) {
+          loop = {
+            start: view.getUint32(offset + 44, true),
+            // the end of a loop is its last frame
+            end: view.getUint32(offset + 48, true) + 1
+          };
+        }
+      } else if (id === 'LIST' && size >= 4) {
+        var type = ascii(offset);
+        eachChunk(offset + 4, offset + size, function(subId, subOffset, subSize) {
+          if (type === 'adtl' && (subId === 'labl' || subId === 'note') && subSize >= 4) {
+            var cueId = view.getUint32(subOffset, true);
+            // a label is preferred to a note
+            if (subId === 'labl' || !labels[cueId]) {
+              labels[cueId] = text(subOffset + 4, subSize - 4);
+            }
+          } else if (type === 'adtl' && subId === 'ltxt' && subSize >= 8) {
+            lengths[view.getUint32(subOffset, true)] = view.getUint32(subOffset + 4, true);
+          } else if (type === 'INFO') {
+            result.tags[infoTagNames[subId] || subId] = text(subOffset, subSize);
+          }
+        });
+      }
+    });
+
+    if (!sampleRate) {
+      return result;
+    }
+    result.markers = cues.map(function(cue) {
+      var marker = {
+        time: cue.frame / sampleRate,
+        label: labels[cue.id] || ''
+      };
+      if (lengths[cue.id]) {
+        marker.duration = lengths[cue.id] / sampleRate;
+      }
+      return marker;
+    }).sort(function(a, b) {
+      return a.time - b.time;
+    });
+    if (loop && loop.end > loop.start) {
+      result.loop = {
+        start: loop.start / sampleRate,
+        end: loop.end / sampleRate
+      };
+    }
+    return result;
+  }
+
   function safeBufferSize(idealBufferSize) {
     let bufferSize = idealBufferSize;
 
@@ -340,9 +904,13 @@ define(function (require) {
 
   return {
     convertToWav: convertToWav,
+    encodeCompressed: encodeCompressed,
+    fetchAudio: fetchAudio,
     midiToFreq: midiToFreq,
     noteToFreq: noteToFreq,
-    safeBufferSize: safeBufferSize
+    parseWavMetadata: parseWavMetadata,
+    safeBufferSize: safeBufferSize,
+    sniffAudioFormat: sniffAudioFormat
   };
 
 });
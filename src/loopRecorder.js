@@ -0,0 +1,645 @@
+'use strict';
+
+define(function (require) {
+  var p5sound = require('master');
+  var ac = p5sound.audiocontext;
+  require('soundRecorder');
+
+  // how far ahead recording and playback are scheduled, in seconds,
+  // so that the messages reach the audio thread in time
+  var SCHEDULE_DELAY = 0.05;
+
+  /**
+   *  A p5.LoopRecorder works like a looper pedal. The first
+   *  <code>record()</code> records a loop, and every
+   *  <code>record()</code> after that overdubs a new layer on top of
+   *  it while the loop plays. Each layer is kept separately, so that it
+   *  can be muted, removed with <code>undo()</code> or exported as a
+   *  p5.SoundFile.
+   *
+   *  With a tempo, the loop is exactly <code>beats</code> beats long,
+   *  and the first recording stops by itself. The tempo can be a number
+   *  of beats per minute, or a p5.Part or p5.Metro to take the tempo
+   *  from. Recordings start on the next beat of a p5.Part or p5.Metro
+   *  that is playing, so that the loop is in time with it, and
+   *  overdubs start on the next beat of the loop. Without a tempo, the
+   *  first recording lasts until <code>stopRecording()</code> is
+   *  called.
+   *
+   *  Sound takes time to travel from the speakers, and from the
+   *  microphone, so each overdub is shifted back by the latency of the
+   *  audio device to line up with what was heard while it was
+   *  recorded. Set the latency by hand with <code>latency()</code> if
+   *  overdubs sound late.
+   *
+   *  @class p5.LoopRecorder
+   *  @constructor
+   *  @param {Number|p5.Part|p5.Metro} [tempo] beats per minute, or
+   *                                           a p5.Part or p5.Metro
+   *  @param {Number} [beats] length of the loop in beats, 4 by default
+   *  @example
+   *  <div><code>
+   *  let mic, looper;
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to record a 4 beat loop, tap again to overdub', 10, 20, width - 20);
+   *
+   *    mic = new p5.AudioIn();
+   *    mic.start();
+   *    looper = new p5.LoopRecorder(100, 4);
+   *    looper.setInput(mic);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    userStartAudio();
+   *    if (!looper.isRecording()) {
+   *      background(255, 0, 0);
+   *      looper.record(function() {
+   *        background(0, 255, 0);
+   *      });
+   *    }
+   *  }
+   *  </code></div>
+   */
+  p5.LoopRecorder = function(tempo, beats) {
+    this.output = ac.createGain();
+    this.output.connect(p5sound.input);
+
+    this._recorder = new p5.SoundRecorder();
+
+    // layers, oldest first
+    this._layers = [];
+    // length of the loop in frames, or 0 until the first layer
+    this._loopFrames = 0;
+    // the audio context time at which the loop first started
+    this._loopStart = 0;
+    this._playing = false;
+    this._recording = false;
+    // how many recordings that were cleared are still to arrive, and
+    // should be thrown away
+    this._discard = 0;
+
+    this._latency = null;
+    this._tempo = null;
+    this._beats = 4;
+    if (typeof tempo !== 'undefined') {
+      this.setBPM(tempo, beats);
+    }
+
+    p5sound.soundArray.push(this);
+  };
+
+  /**
+   *  Connect a specific source to record, such as a p5.AudioIn.
+   *  If no parameter is given, the p5.LoopRecorder records all
+   *  audible p5.sound from your sketch, which includes the loop
+   *  itself.
+   *
+   *  @method setInput
+   *  @for p5.LoopRecorder
+   *  @param {Object} [unit] p5.sound object or a web audio unit
+   *                         that outputs sound
+   */
+  p5.LoopRecorder.prototype.setInput = function(unit) {
+    this._recorder.setInput(unit);
+  };
+
+  /**
+   *  Set the tempo that the length of the loop is quantized to. The
+   *  tempo can only change while there is no loop.
+   *
+   *  @method setBPM
+   *  @for p5.LoopRecorder
+   *  @param {Number|p5.Part|p5.Metro} tempo beats per minute, or
+   *                                         a p5.Part or p5.Metro
+   *  @param {Number} [beats] length of the loop in beats
+   */
+  p5.LoopRecorder.prototype.setBPM = function(tempo, beats) {
+    if (this._layers.length > 0 || this._recording) {
+      throw 'the tempo can\'t change once the loop has been recorded. Use clear() first';
+    }
+    if (tempo !== null && typeof tempo !== 'number' && !(tempo && typeof tempo.getBPM === 'function')) {
+      throw 'tempo must be a number of beats per minute, a p5.Part or a p5.Metro';
+    }
+    this._tempo = tempo;
+    if (typeof beats !== 'undefined') {
+      if (!(beats > 0)) {
+        throw 'beats must be greater than zero';
+      }
+      this._beats = beats;
+    }
+  };
+
+  /**
+   *  Returns the length of the loop in seconds. Until the first
+   *  layer is recorded, this is the length it will have, or 0 if
+   *  there is no tempo.
+   *
+   *  @method loopLength
+   *  @for p5.LoopRecorder
+   *  @return {Number}
+   */
+  p5.LoopRecorder.prototype.loopLength = function() {
+    if (this._loopFrames > 0) {
+      return this._loopFrames / ac.sampleRate;
+    }
+    if (this._tempo === null) {
+      return 0;
+    }
+    return this._beats * 60 / this._bpm();
+  };
+
+  /**
+   *  Set or get the latency that overdubs are shifted back by, in
+   *  seconds. By default this is the output latency that the browser
+   *  reports for the audio context.
+   *
+   *  @method latency
+   *  @for p5.LoopRecorder
+   *  @param {Number} [seconds]
+   *  @return {Number} the latency in seconds
+   */
+  p5.LoopRecorder.prototype.latency = function(seconds) {
+    if (typeof seconds !== 'undefined') {
+      if (typeof seconds !== 'number' || seconds < 0) {
+        throw 'latency must be a number of seconds';
+      }
+      this._latency = seconds;
+    }
+    if (this._latency !== null) {
+      return this._latency;
+    }
+    return (ac.baseLatency || 0) + (ac.outputLatency || 0);
+  };
+
+  /**
+   *  Record the loop, or overdub a new layer if there is one. An
+   *  overdub lasts one pass of the loop, or until
+   *  <code>stopRecording()</code> is called. The loop starts playing
+   *  once the first layer is recorded.
+   *
+   *  @method record
+   *  @for p5.LoopRecorder
+   *  @param {Function} [callback] called with the p5.SoundFile of the
+   *                               new layer once it is added
+   */
+  p5.LoopRecorder.prototype.record = function(callback) {
+    if (this._recording) {
+      return;
+    }
+    if (this._loopFrames > 0) {
+      this.overdub(callback);
+      return;
+    }
+
+    var self = this;
+    var length = this.loopLength();
+    var startTime = this._nextBeat(ac.currentTime + SCHEDULE_DELAY);
+    this._recording = true;
+    this._recorder._start(length || undefined, startTime);
+    this._recorder._callback = function(buffers) {
+      if (self._takeEnded() || buffers[0].length === 0) {
+        return;
+      }
+      self._loopFrames = buffers[0].length;
+      // the audio recorded at startTime was played a little earlier
+      self._loopStart = startTime - self.latency();
+      self._playing = true;
+      self._addLayer(buffers, 0, callback);
+    };
+  };
+
+  /**
+   *  Overdub a new layer on top of the loop, for one pass of the loop
+   *  or until <code>stopRecording()</code> is called.
+   *
+   *  @method overdub
+   *  @for p5.LoopRecorder
+   *  @param {Function} [callback] called with the p5.SoundFile of the
+   *                               new layer once it is added
+   */
+  p5.LoopRecorder.prototype.overdub = function(callback) {
+    if (this._loopFrames === 0) {
+      throw 'there is no loop to overdub. Use record() first';
+    }
+    if (this._recording) {
+      return;
+    }
+    if (!this._playing) {
+      this.play();
+    }
+
+    var self = this;
+    var startTime = this._nextBeat(ac.currentTime + SCHEDULE_DELAY);
+    this._recording = true;
+    this._recorder._start(this._loopFrames / ac.sampleRate, startTime);
+    this._recorder._callback = function(buffers) {
+      if (self._takeEnded() || buffers[0].length === 0) {
+        return;
+      }
+      // the frame of the loop that was heard when recording started
+      var phase = self._phaseAt(startTime - self.latency());
+      self._addLayer(buffers, phase, callback);
+    };
+  };
+
+  /**
+   *  Stop recording. Without a tempo, this sets the length of the
+   *  loop to the length of the first recording. An overdub that is
+   *  stopped early is kept, with silence for the rest of the loop.
+   *
+   *  @method stopRecording
+   *  @for p5.LoopRecorder
+   */
+  p5.LoopRecorder.prototype.stopRecording = function() {
+    if (this._recording) {
+      this._recorder.stop();
+    }
+  };
+
+  /**
+   *  Returns true while a layer is being recorded.
+   *
+   *  @method isRecording
+   *  @for p5.LoopRecorder
+   *  @return {Boolean}
+   */
+  p5.LoopRecorder.prototype.isRecording = function() {
+    return this._recording;
+  };
+
+  /**
+   *  Play the loop. It carries on from where it would be if it had
+   *  never stopped, so that it stays in time with the loop it was
+   *  recorded along with.
+   *
+   *  @method play
+   *  @for p5.LoopRecorder
+   */
+  p5.LoopRecorder.prototype.play = function() {
+    if (this._playing) {
+      return;
+    }
+    this._playing = true;
+    var startTime = ac.currentTime + SCHEDULE_DELAY;
+    for (var i = 0; i < this._layers.length; i++) {
+      this._startLayer(this._layers[i], startTime);
+    }
+  };
+
+  /**
+   *  Stop playing the loop, and any recording.
+   *
+   *  @method stop
+   *  @for p5.LoopRecorder
+   */
+  p5.LoopRecorder.prototype.stop = function() {
+    this.stopRecording();
+    this._playing = false;
+    for (var i = 0; i < this._layers.length; i++) {
+      this._stopLayer(this._layers[i]);
+    }
+  };
+
+  /**
+   *  Returns true if the loop is playing.
+   *
+   *  @method isPlaying
+   *  @for p5.LoopRecorder
+   *  @return {Boolean}
+   */
+  p5.LoopRecorder.prototype.isPlaying = function() {
+    return this._playing;
+  };
+
+  /**
+   *  Remove the last layer that was recorded. Removing the only layer
+   *  clears the loop.
+   *
+   *  @method undo
+   *  @for p5.LoopRecorder
+   *  @return {Boolean} false if there was no layer to remove
+   */
+  p5.LoopRecorder.prototype.undo = function() {
+    if (this._layers.length === 0) {
+      return false;
+    }
+    if (this._layers.length === 1) {
+      this.clear();
+      return true;
+    }
+    this._removeLayer(this._layers.pop());
+    return true;
+  };
+
+  /**
+   *  Make the loop <code>times</code> times longer by repeating every
+   *  layer, so that the next overdubs can be longer than the first loop.
+   *
+   *  @method multiply
+   *  @for p5.LoopRecorder
+   *  @param {Number} [times] a whole number, 2 by default
+   */
+  p5.LoopRecorder.prototype.multiply = function(times) {
+    var n = typeof times === 'undefined' ? 2 : times;
+    if (n !== Math.round(n) || n < 1) {
+      throw 'multiply() takes a whole number greater than zero';
+    }
+    if (this._loopFrames === 0) {
+      throw 'there is no loop to multiply. Use record() first';
+    }
+    // an overdub in progress was recorded against the shorter loop
+    this.stopRecording();
+
+    var loopFrames = this._loopFrames;
+    this._loopFrames = loopFrames * n;
+    var startTime = ac.currentTime + SCHEDULE_DELAY;
+    for (var i = 0; i < this._layers.length; i++) {
+      var layer = this._layers[i];
+      var channels = getChannels(layer.soundFile).map(function(data) {
+        var result = new Float32Array(loopFrames * n);
+        for (var j = 0; j < n; j++) {
+          result.set(data, j * loopFrames);
+        }
+        return result;
+      });
+      this._stopLayer(layer, startTime);
+      layer.soundFile.dispose();
+      layer.soundFile = p5.SoundFile.fromArray(channels, ac.sampleRate);
+      if (this._playing) {
+        this._startLayer(layer, startTime);
+      }
+    }
+  };
+
+  /**
+   *  Remove every layer, so that the next <code>record()</code>
+   *  records a new loop.
+   *
+   *  @method clear
+   *  @for p5.LoopRecorder
+   */
+  p5.LoopRecorder.prototype.clear = function() {
+    if (this._recording) {
+      this._discard++;
+    }
+    this.stop();
+    // a new loop can be recorded before the cleared recording arrives
+    this._recording = false;
+    while (this._layers.length > 0) {
+      this._removeLayer(this._layers.pop());
+    }
+    this._loopFrames = 0;
+  };
+
+  /**
+   *  Returns the p5.SoundFiles of the layers, oldest first. Each one
+   *  is one pass of the loop long, and can be saved with
+   *  <code>save()</code>.
+   *
+   *  @method layers
+   *  @for p5.LoopRecorder
+   *  @return {Array} Array of p5.SoundFiles
+   */
+  p5.LoopRecorder.prototype.layers = function() {
+    return this._layers.map(function(layer) {
+      return layer.soundFile;
+    });
+  };
+
+  /**
+   *  Mute or unmute a layer.
+   *
+   *  @method mute
+   *  @for p5.LoopRecorder
+   *  @param {Number}  index   index of the layer, starting from 0
+   *  @param {Boolean} [muted] true by default
+   */
+  p5.LoopRecorder.prototype.mute = function(index, muted) {
+    var layer = this._getLayer(index);
+    layer.muted = typeof muted === 'undefined' ? true : muted;
+    layer.gain.gain.setValueAtTime(layer.muted ? 0 : 1, ac.currentTime);
+  };
+
+  /**
+   *  Returns true if a layer is muted.
+   *
+   *  @method isMuted
+   *  @for p5.LoopRecorder
+   *  @param {Number} index index of the layer, starting from 0
+   *  @return {Boolean}
+   */
+  p5.LoopRecorder.prototype.isMuted = function(index) {
+    return this._getLayer(index).muted;
+  };
+
+  /**
+   *  Mix the layers that aren't muted into a new p5.SoundFile, for
+   *  example to save the whole loop.
+   *
+   *  @method mixdown
+   *  @for p5.LoopRecorder
+   *  @return {p5.SoundFile}
+   */
+  p5.LoopRecorder.prototype.mixdown = function() {
+    if (this._loopFrames === 0) {
+      throw 'there is no loop to mix down. Use record() first';
+    }
+    var mix = [new Float32Array(this._loopFrames), new Float32Array(this._loopFrames)];
+    this._layers.forEach(function(layer) {
+      if (layer.muted) {
+        return;
+      }
+      var channels = getChannels(layer.soundFile);
+      mix.forEach(function(data, channel) {
+        var layerData = channels[Math.min(channel, channels.length - 1)];
+        for (var i = 0; i < data.length; i++) {
+          data[i] += layerData[i];
+        }
+      });
+    });
+    return p5.SoundFile.fromArray(mix, ac.sampleRate);
+  };
+
+  /**
+   *  Fade the volume of the loop.
+   *
+   *  @method amp
+   *  @for p5.LoopRecorder
+   *  @param {Number} vol       volume between 0 and 1
+   *  @param {Number} [rampTime] fade time in seconds
+   *  @param {Number} [tFromNow] seconds from now to start the fade
+   */
+  p5.LoopRecorder.prototype.amp = function(vol, rampTime, tFromNow) {
+    var ramp = rampTime || 0;
+    var t = tFromNow || 0;
+    var now = ac.currentTime;
+    var currentVol = this.output.gain.value;
+    this.output.gain.cancelScheduledValues(now);
+    this.output.gain.linearRampToValueAtTime(currentVol, now + t);
+    this.output.gain.linearRampToValueAtTime(vol, now + t + ramp);
+  };
+
+  /**
+   *  Send output to a p5.sound or web audio object.
+   *
+   *  @method connect
+   *  @for p5.LoopRecorder
+   *  @param {Object} [unit]
+   */
+  p5.LoopRecorder.prototype.connect = function(unit) {
+    var u = unit || p5.soundOut.input;
+    this.output.connect(u.input ? u.input : u);
+  };
+
+  /**
+   *  Disconnect all output.
+   *
+   *  @method disconnect
+   *  @for p5.LoopRecorder
+   */
+  p5.LoopRecorder.prototype.disconnect = function() {
+    if (this.output) {
+      this.output.disconnect();
+    }
+  };
+
+  p5.LoopRecorder.prototype.dispose = function() {
+    var index = p5sound.soundArray.indexOf(this);
+    p5sound.soundArray.splice(index, 1);
+
+    this.clear();
+    this._recorder.dispose();
+    if (this.output) {
+      this.output.disconnect();
+      delete this.output;
+    }
+  };
+
+  /*** PRIVATE ***/
+
+  // called when a recording arrives, returns true if it should be
+  // thrown away because the loop was cleared while it was recorded.
+  // Recordings arrive in the order they were made
+  p5.LoopRecorder.prototype._takeEnded = function() {
+    if (this._discard > 0) {
+      this._discard--;
+      return true;
+    }
+    this._recording = false;
+    return false;
+  };
+
+  // the audio context time of the first beat at or after the given
+  // time, or that time if there is no beat to follow
+  p5.LoopRecorder.prototype._nextBeat = function(time) {
+    var origin = this._beatOrigin();
+    if (origin === null) {
+      return time;
+    }
+    var beatLength = 60 / this._bpm();
+    // a little leeway, so that a time on a beat isn't moved to the next
+    var beats = Math.ceil((time - origin) / beatLength - 1e-6);
+    return origin + beats * beatLength;
+  };
+
+  // the audio context time of any beat: one the p5.Part or p5.Metro
+  // ticked on, or the start of the loop as it is heard while recording
+  p5.LoopRecorder.prototype._beatOrigin = function() {
+    if (this._tempo === null) {
+      return null;
+    }
+    if (typeof this._tempo === 'number') {
+      return this._loopFrames > 0 ? this._loopStart + this.latency() : null;
+    }
+    var metro = this._tempo.metro || this._tempo;
+    if (!metro.metroTicks) {
+      // the p5.Part or p5.Metro hasn't started
+      return null;
+    }
+    // prevTick is the time of the last tick, and a beat is tatums ticks
+    var ticksPerBeat = metro.tatums > 0 ? metro.tatums : 1;
+    var ticksIntoBeat = (metro.metroTicks - 1) % ticksPerBeat;
+    return metro.prevTick - ticksIntoBeat * metro.tatumTime;
+  };
+
+  p5.LoopRecorder.prototype._bpm = function() {
+    return typeof this._tempo === 'number' ? this._tempo : this._tempo.getBPM();
+  };
+
+  // the frame of the loop that plays at the given audio context time
+  p5.LoopRecorder.prototype._phaseAt = function(time) {
+    var frame = Math.round((time - this._loopStart) * ac.sampleRate);
+    return (frame % this._loopFrames + this._loopFrames) % this._loopFrames;
+  };
+
+  // add a recording as a layer, rotated so that the frame recorded
+  // first lands on the given frame of the loop
+  p5.LoopRecorder.prototype._addLayer = function(buffers, phase, callback) {
+    var loopFrames = this._loopFrames;
+    var channels = buffers.map(function(data) {
+      var result = new Float32Array(loopFrames);
+      var frames = Math.min(data.length, loopFrames);
+      var firstPart = Math.min(frames, loopFrames - phase);
+      result.set(data.subarray(0, firstPart), phase);
+      result.set(data.subarray(firstPart, frames), 0);
+      return result;
+    });
+
+    var layer = {
+      soundFile: p5.SoundFile.fromArray(channels, ac.sampleRate),
+      gain: ac.createGain(),
+      source: null,
+      muted: false
+    };
+    layer.gain.connect(this.output);
+    this._layers.push(layer);
+    if (this._playing) {
+      this._startLayer(layer, ac.currentTime + SCHEDULE_DELAY);
+    }
+    if (callback) {
+      callback(layer.soundFile);
+    }
+  };
+
+  p5.LoopRecorder.prototype._startLayer = function(layer, time) {
+    var source = ac.createBufferSource();
+    source.buffer = layer.soundFile.buffer;
+    source.loop = true;
+    source.connect(layer.gain);
+    source.start(time, this._phaseAt(time) / ac.sampleRate);
+    layer.source = source;
+  };
+
+  p5.LoopRecorder.prototype._stopLayer = function(layer, time) {
+    if (layer.source) {
+      layer.source.stop(time || 0);
+      layer.source = null;
+    }
+  };
+
+  p5.LoopRecorder.prototype._removeLayer = function(layer) {
+    this._stopLayer(layer);
+    layer.gain.disconnect();
+    layer.soundFile.dispose();
+  };
+
+  p5.LoopRecorder.prototype._getLayer = function(index) {
+    var layer = this._layers[index];
+    if (!layer) {
+      throw 'there is no layer ' + index;
+    }
+    return layer;
+  };
+
+  function getChannels(soundFile) {
+    var channels = [];
+    for (var i = 0; i < soundFile.buffer.numberOfChannels; i++) {
+      channels.push(soundFile.buffer.getChannelData(i));
+    }
+    return channels;
+  }
+});
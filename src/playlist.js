@@ -0,0 +1,964 @@
+'use strict';
+
+define(function (require) {
+  var p5sound = require('master');
+  var CustomError = require('errorHandler');
+
+  // how often to check whether a p5.SoundFile passed to the playlist
+  // has finished loading, in milliseconds
+  var LOAD_POLL_INTERVAL = 50;
+
+  /**
+   *  A p5.Playlist plays a list of p5.SoundFiles back to back. Tracks
+   *  are scheduled on the audio clock, so they follow each other
+   *  without a gap, or overlap with an equal-power crossfade.
+   *
+   *  Tracks can be p5.SoundFiles or paths to sound files. Tracks given
+   *  as paths are loaded while the track before them plays, and
+   *  unloaded once they are no longer needed.
+   *
+   *  All tracks play through one output, so the playlist can be
+   *  connected to effects, or analyzed with p5.FFT and p5.Amplitude,
+   *  like a single p5.SoundFile.
+   *
+   *  @class p5.Playlist
+   *  @constructor
+   *  @param {Array}  [tracks]  p5.SoundFiles and paths to sound files
+   *  @param {Object} [options] <code>crossfade</code> (in seconds),
+   *                            <code>shuffle</code> (Boolean) and
+   *                            <code>repeat</code> (<code>'none'</code>,
+   *                            <code>'all'</code> or <code>'one'</code>)
+   *  @example
+   *  <div><code>
+   *  let playlist, fft;
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    playlist = new p5.Playlist([
+   *      'assets/beat.mp3',
+   *      'assets/Damscray_DancingTiger.mp3'
+   *    ], { crossfade: 2, repeat: 'all' });
+   *    playlist.on('trackchange', function(index) {
+   *      console.log('now playing track ' + index);
+   *    });
+   *    fft = new p5.FFT();
+   *    fft.setInput(playlist);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    if (playlist.isPlaying()) {
+   *      playlist.next();
+   *    } else {
+   *      playlist.play();
+   *    }
+   *  }
+   *
+   *  function draw() {
+   *    background(220);
+   *    text('tap to play, tap again to skip', 10, 20, width - 20);
+   *    let spectrum = fft.analyze();
+   *    for (let i = 0; i < spectrum.length; i++) {
+   *      let x = map(i, 0, spectrum.length, 0, width);
+   *      line(x, height, x, height - spectrum[i] / 4);
+   *    }
+   *  }
+   *  </code></div>
+   */
+  p5.Playlist = function(tracks, options) {
+    var opts = options || {};
+    this.ac = p5sound.audiocontext;
+
+    this.output = this.ac.createGain();
+    this.output.connect(p5sound.input);
+
+    // tracks in the order they were added, see add()
+    this._tracks = [];
+    // a gain node per p5.SoundFile, used for crossfades
+    this._channels = [];
+
+    // indices into _tracks in play order, shuffled or not
+    this._order = [];
+
+    this._crossfade = opts.crossfade || 0;
+    this._shuffle = !!opts.shuffle;
+    this._repeat = opts.repeat || 'none';
+    this._checkRepeatMode(this._repeat);
+
+    // the playing track and the one scheduled after it
+    this._current = null;
+    this._next = null;
+    // position in the play order and time to resume from when paused
+    this._paused = false;
+    this._pausedPosition = 0;
+    this._pausedTime = 0;
+    this._endTimer = null;
+    // p5.SoundFiles that are fading out, which mustn't be unloaded yet
+    this._fadingOut = [];
+    // whether the next track started by _skipTo() fires trackchange
+    this._announceStart = true;
+
+    // incremented whenever scheduled tracks are cancelled, so that
+    // callbacks from earlier schedules can tell they are out of date
+    this._generation = 0;
+
+    this._listeners = {
+      trackchange: [],
+      ended: [],
+      error: []
+    };
+
+    var list = tracks || [];
+    for (var i = 0; i < list.length; i++) {
+      this.add(list[i]);
+    }
+
+    p5sound.soundArray.push(this);
+  };
+
+  /**
+   *  Add a track to the end of the playlist.
+   *
+   *  @method add
+   *  @for p5.Playlist
+   *  @param {p5.SoundFile|String|Array} track a p5.SoundFile, or a path
+   *                                           (or an array of paths in
+   *                                           different formats)
+   */
+  p5.Playlist.prototype.add = function(track) {
+    var isSoundFile = track instanceof p5.SoundFile;
+    this._tracks.push({
+      path: isSoundFile ? null : track,
+      soundFile: isSoundFile ? track : null,
+      loading: false,
+      failed: false,
+      callbacks: []
+    });
+
+    var index = this._tracks.length - 1;
+    if (this._shuffle) {
+      // insert the new track somewhere after the current one
+      var first = this._current ? this._current.position + 1 : 0;
+      var position = first + Math.floor(Math.random() * (this._order.length - first + 1));
+      this._order.splice(position, 0, index);
+    } else {
+      this._order.push(index);
+    }
+
+    // the new track may be the one to play next
+    if (this._current && !this._next) {
+      this._rescheduleNext();
+    }
+  };
+
+  /**
+   *  Returns the number of tracks in the playlist.
+   *
+   *  @method length
+   *  @for p5.Playlist
+   *  @return {Number}
+   */
+  p5.Playlist.prototype.length = function() {
+    return this._tracks.length;
+  };
+
+  /**
+   *  Start playing the playlist. If the playlist was paused, it
+   *  resumes where it was paused.
+   *
+   *  @method play
+   *  @for p5.Playlist
+   *  @param {Number} [index] index of the track to play, in the order
+   *                          the tracks were added
+   */
+  p5.Playlist.prototype.play = function(index) {
+    if (this._tracks.length === 0) {
+      throw 'the playlist is empty';
+    }
+    if (typeof index !== 'undefined') {
+      var position = this._order.indexOf(index);
+      if (position === -1) {
+        throw 'the playlist has no track ' + index;
+      }
+      this._skipTo(position, 0);
+      return;
+    }
+
+    if (this._paused) {
+      this._paused = false;
+      this._skipTo(this._pausedPosition, this._pausedTime, undefined, true);
+    } else if (!this._current) {
+      this._skipTo(0, 0);
+    }
+  };
+
+  /**
+   *  Stop the playlist. The next time it plays, it starts from the
+   *  first track.
+   *
+   *  @method stop
+   *  @for p5.Playlist
+   */
+  p5.Playlist.prototype.stop = function() {
+    this._cancel();
+    this._paused = false;
+    this._pausedPosition = 0;
+    this._pausedTime = 0;
+  };
+
+  /**
+   *  Pause the playlist. The next time it plays, it resumes from the
+   *  current position.
+   *
+   *  @method pause
+   *  @for p5.Playlist
+   */
+  p5.Playlist.prototype.pause = function() {
+    if (!this._current) {
+      return;
+    }
+    var position = this._current.position;
+    var time = this.currentTime();
+    this._cancel();
+    this._paused = true;
+    this._pausedPosition = position;
+    this._pausedTime = time;
+  };
+
+  /**
+   *  Skip to the next track. The current track fades out over the
+   *  crossfade time while the next one fades in.
+   *
+   *  @method next
+   *  @for p5.Playlist
+   */
+  p5.Playlist.prototype.next = function() {
+    var position = this._playingPosition();
+    // skipping ignores repeat 'one'
+    var next = this._nextPosition(position, true);
+    if (next === -1) {
+      this.stop();
+      this._emit('ended');
+      return;
+    }
+    this._skipTo(next, 0);
+  };
+
+  /**
+   *  Go back to the previous track.
+   *
+   *  @method previous
+   *  @for p5.Playlist
+   */
+  p5.Playlist.prototype.previous = function() {
+    var position = this._playingPosition() - 1;
+    if (position < 0) {
+      position = this._repeat === 'all' ? this._order.length - 1 : 0;
+    }
+    this._skipTo(position, 0);
+  };
+
+  /**
+   *  Move the playhead of the current track.
+   *
+   *  @method seek
+   *  @for p5.Playlist
+   *  @param {Number} time time in the current track, in seconds
+   */
+  p5.Playlist.prototype.seek = function(time) {
+    var soundFile = this.currentTrack();
+    if (soundFile && !(time >= 0 && time < soundFile.duration())) {
+      throw 'seek time out of range';
+    }
+    if (this._paused) {
+      this._pausedTime = time;
+    } else if (this._current) {
+      this._skipTo(this._current.position, time, 0, true);
+    }
+  };
+
+  /**
+   *  Returns the index of the current track, in the order the tracks
+   *  were added, or -1 if the playlist is stopped.
+   *
+   *  @method currentIndex
+   *  @for p5.Playlist
+   *  @return {Number}
+   */
+  p5.Playlist.prototype.currentIndex = function() {
+    if (this._current) {
+      return this._current.index;
+    }
+    return this._paused ? this._order[this._pausedPosition] : -1;
+  };
+
+  /**
+   *  Returns the p5.SoundFile of the current track, or null if the
+   *  playlist is stopped.
+   *
+   *  @method currentTrack
+   *  @for p5.Playlist
+   *  @return {p5.SoundFile}
+   */
+  p5.Playlist.prototype.currentTrack = function() {
+    return this._current ? this._current.soundFile : null;
+  };
+
+  /**
+   *  Returns the time in the current track, in seconds.
+   *
+   *  @method currentTime
+   *  @for p5.Playlist
+   *  @return {Number}
+   */
+  p5.Playlist.prototype.currentTime = function() {
+    if (this._paused) {
+      return this._pausedTime;
+    }
+    var current = this._current;
+    if (!current) {
+      return 0;
+    }
+    var elapsed = Math.max(0, this.ac.currentTime - current.startTime);
+    return Math.min(current.offset + elapsed * current.speed, current.soundFile.duration());
+  };
+
+  /**
+   *  Returns true if the playlist is playing.
+   *
+   *  @method isPlaying
+   *  @for p5.Playlist
+   *  @return {Boolean}
+   */
+  p5.Playlist.prototype.isPlaying = function() {
+    return this._current !== null;
+  };
+
+  /**
+   *  Turn shuffle on or off. Changing it keeps the current track
+   *  playing and changes which track plays after it.
+   *
+   *  @method shuffle
+   *  @for p5.Playlist
+   *  @param {Boolean} [shuffle]
+   *  @return {Boolean} true if shuffle is on
+   */
+  p5.Playlist.prototype.shuffle = function(shuffle) {
+    if (typeof shuffle === 'undefined') {
+      return this._shuffle;
+    }
+    this._shuffle = !!shuffle;
+
+    var current = this.currentIndex();
+    var natural = this._tracks.map(function(track, i) {
+      return i;
+    });
+    if (this._shuffle) {
+      // the current track stays first, the rest are shuffled after it
+      var rest = shuffleArray(natural.filter(function(i) {
+        return i !== current;
+      }));
+      this._order = current === -1 ? rest : [current].concat(rest);
+    } else {
+      this._order = natural;
+    }
+
+    this._updatePositions(current);
+    return this._shuffle;
+  };
+
+  /**
+   *  Set what happens at the end of a track: <code>'none'</code> stops
+   *  after the last track, <code>'all'</code> starts again from the
+   *  first track and <code>'one'</code> repeats the current track.
+   *
+   *  @method repeat
+   *  @for p5.Playlist
+   *  @param {String} [mode]
+   *  @return {String} the repeat mode
+   */
+  p5.Playlist.prototype.repeat = function(mode) {
+    if (typeof mode === 'undefined') {
+      return this._repeat;
+    }
+    this._checkRepeatMode(mode);
+    this._repeat = mode;
+    this._rescheduleNext();
+    return this._repeat;
+  };
+
+  /**
+   *  Set the crossfade time between tracks. 0 plays the tracks
+   *  back to back without a gap.
+   *
+   *  @method crossfade
+   *  @for p5.Playlist
+   *  @param {Number} [seconds]
+   *  @return {Number} the crossfade time in seconds
+   */
+  p5.Playlist.prototype.crossfade = function(seconds) {
+    if (typeof seconds === 'undefined') {
+      return this._crossfade;
+    }
+    if (!(seconds >= 0)) {
+      throw 'crossfade time must be 0 or more';
+    }
+    this._crossfade = seconds;
+    this._rescheduleNext();
+    return this._crossfade;
+  };
+
+  /**
+   *  Call a function when something happens in the playlist:
+   *  <ul>
+   *    <li><code>'trackchange'</code>: a new track starts playing.
+   *    The callback gets the index of the track and its
+   *    p5.SoundFile</li>
+   *    <li><code>'ended'</code>: the last track has finished</li>
+   *    <li><code>'error'</code>: a track failed to load, and was
+   *    skipped. The callback gets the index of the track and the
+   *    error</li>
+   *  </ul>
+   *
+   *  @method on
+   *  @for p5.Playlist
+   *  @param {String}   event    name of the event
+   *  @param {Function} callback
+   */
+  p5.Playlist.prototype.on = function(event, callback) {
+    if (!this._listeners[event]) {
+      throw 'p5.Playlist has no ' + event + ' event';
+    }
+    this._listeners[event].push(callback);
+    return this;
+  };
+
+  /**
+   *  Remove a callback added with <code>on()</code>.
+   *
+   *  @method off
+   *  @for p5.Playlist
+   *  @param {String}   event
+   *  @param {Function} callback
+   */
+  p5.Playlist.prototype.off = function(event, callback) {
+    var listeners = this._listeners[event] || [];
+    var index = listeners.indexOf(callback);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+    return this;
+  };
+
+  /**
+   *  Set the output level of the playlist.
+   *
+   *  @method  amp
+   *  @for p5.Playlist
+   *  @param  {Number} volume amplitude between 0 and 1.0
+   *  @param  {Number} [rampTime] create a fade that lasts rampTime
+   *  @param  {Number} [timeFromNow] schedule this event to happen
+   *                                seconds from now
+   */
+  p5.Playlist.prototype.amp = function(vol, rampTime, tFromNow) {
+    var ramp = rampTime || 0;
+    var t = tFromNow || 0;
+    var now = this.ac.currentTime;
+    var currentVol = this.output.gain.value;
+    this.output.gain.cancelScheduledValues(now);
+    this.output.gain.linearRampToValueAtTime(currentVol, now + t);
+    this.output.gain.linearRampToValueAtTime(vol, now + t + ramp);
+  };
+
+  /**
+   *  Send the output of the playlist to a p5.sound or web audio object.
+   *
+   *  @method  connect
+   *  @for p5.Playlist
+   *  @param  {Object} [unit]
+   */
+  p5.Playlist.prototype.connect = function(unit) {
+    var u = unit || p5.soundOut.input;
+    this.output.connect(u.input ? u.input : u);
+  };
+
+  /**
+   *  Disconnect all output.
+   *
+   *  @method disconnect
+   *  @for p5.Playlist
+   */
+  p5.Playlist.prototype.disconnect = function() {
+    if (this.output) {
+      this.output.disconnect();
+    }
+  };
+
+  p5.Playlist.prototype.dispose = function() {
+    var index = p5sound.soundArray.indexOf(this);
+    p5sound.soundArray.splice(index, 1);
+
+    this._cancel();
+    for (var i = 0; i < this._tracks.length; i++) {
+      this._releaseTrack(this._tracks[i], true);
+    }
+    this._tracks = [];
+    if (this.output) {
+      this.output.disconnect();
+      delete this.output;
+    }
+  };
+
+  /*** PRIVATE ***/
+
+  p5.Playlist.prototype._checkRepeatMode = function(mode) {
+    if (mode !== 'none' && mode !== 'all' && mode !== 'one') {
+      throw 'repeat mode must be "none", "all" or "one"';
+    }
+  };
+
+  p5.Playlist.prototype._emit = function(event) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    this._listeners[event].slice().forEach(function(callback) {
+      callback.apply(this, args);
+    }, this);
+  };
+
+  // position in the play order of the current or paused track
+  p5.Playlist.prototype._playingPosition = function() {
+    if (this._current) {
+      return this._current.position;
+    }
+    return this._paused ? this._pausedPosition : -1;
+  };
+
+  // position of the track after the one at position, or -1 at the end
+  p5.Playlist.prototype._nextPosition = function(position, skipping) {
+    if (this._repeat === 'one' && !skipping && position !== -1) {
+      return position;
+    }
+    if (position + 1 < this._order.length) {
+      return position + 1;
+    }
+    if (this._repeat === 'none' || this._order.length === 0) {
+      return -1;
+    }
+    if (this._shuffle && this._order.length > 1) {
+      // reshuffle. The last track stays last, so that it isn't
+      // played twice in a row and its position doesn't change
+      var last = this._order[position];
+      this._order = shuffleArray(this._order.filter(function(i) {
+        return i !== last;
+      })).concat([last]);
+    }
+    return 0;
+  };
+
+  // after the play order changes, find the current track in it
+  // and schedule the track that now comes after it
+  p5.Playlist.prototype._updatePositions = function(currentIndex) {
+    var position = this._order.indexOf(currentIndex);
+    if (this._current) {
+      this._current.position = position;
+    }
+    if (this._paused) {
+      this._pausedPosition = Math.max(0, position);
+    }
+    this._rescheduleNext();
+  };
+
+  // stop whatever is playing and start the track at position,
+  // fading between them over the crossfade time. Resuming and seeking
+  // are silent, they don't fire a trackchange event
+  p5.Playlist.prototype._skipTo = function(position, offset, fade, silent) {
+    var fadeTime = typeof fade === 'number' ? fade : this._crossfade;
+    var target = this._tracks[this._order[position]];
+    var previous = this._current;
+    var upcoming = this._next;
+    var now = this.ac.currentTime;
+
+    this._cancel(true);
+    this._paused = false;
+    this._announceStart = !silent;
+
+    var self = this;
+    [previous, upcoming].forEach(function(entry) {
+      if (!entry) {
+        return;
+      }
+      // a p5.SoundFile can't fade out while it fades in again
+      if (entry.soundFile === target.soundFile || entry.startTime > now) {
+        self._stopEntry(entry, 0);
+      } else {
+        self._stopEntry(entry, fadeTime);
+      }
+    });
+
+    var fadeIn = previous && previous.soundFile !== target.soundFile ? fadeTime : 0;
+    this._schedule(position, now, offset, fadeIn, this._generation);
+  };
+
+  // cancel everything that is scheduled and stop the tracks that are
+  // playing, unless the caller stops them itself
+  p5.Playlist.prototype._cancel = function(keepPlaying) {
+    this._generation++;
+    clearTimeout(this._endTimer);
+    this._endTimer = null;
+
+    var entries = [this._current, this._next];
+    this._current = null;
+    this._next = null;
+    if (keepPlaying) {
+      return;
+    }
+    for (var i = 0; i < entries.length; i++) {
+      if (entries[i]) {
+        this._stopEntry(entries[i], 0);
+      }
+    }
+  };
+
+  // cancel the track scheduled after the current one, and schedule
+  // the one that comes after it now
+  p5.Playlist.prototype._rescheduleNext = function() {
+    var current = this._current;
+    var next = this._next;
+    if (!current) {
+      return;
+    }
+    var now = this.ac.currentTime;
+    if (next && next.startTime <= now) {
+      // too late, the next track has already started
+      return;
+    }
+
+    this._generation++;
+    clearTimeout(this._endTimer);
+    this._endTimer = null;
+    if (next) {
+      clearTimeout(next.timer);
+      this._stopEntry(next, 0);
+      this._next = null;
+      // cancel the current track's fade out, which starts with the next track
+      if (next.soundFile !== current.soundFile) {
+        this._channelFor(current.soundFile).gain.cancelScheduledValues(next.startTime);
+      }
+    }
+    this._scheduleNext(current);
+  };
+
+  // schedule the track that follows entry
+  p5.Playlist.prototype._scheduleNext = function(entry) {
+    var generation = this._generation;
+    var position = this._nextPosition(entry.position);
+
+    if (position === -1) {
+      this._scheduleEnd(entry, generation);
+      return;
+    }
+
+    var nextTrack = this._tracks[this._order[position]];
+    var sameSoundFile = nextTrack.soundFile === entry.soundFile;
+    var duration = entry.endTime - entry.startTime;
+    var fade = sameSoundFile ? 0 : Math.min(this._crossfade, duration / 2);
+
+    this._schedule(position, entry.endTime - fade, 0, fade, generation, entry);
+  };
+
+  // load the track at position and start it at the audio context time
+  // `when`. If it follows `previous`, previous fades out as it fades in
+  p5.Playlist.prototype._schedule = function(position, when, offset, fadeIn, generation, previous, attempts) {
+    var self = this;
+    var index = this._order[position];
+    var tries = attempts || 0;
+
+    this._load(index, function(soundFile, err) {
+      if (generation !== self._generation) {
+        return;
+      }
+      if (!soundFile) {
+        self._emit('error', index, err);
+        // skip the track, unless all of them fail to load
+        var skipTo = self._nextPosition(position, true);
+        if (skipTo !== -1 && tries < self._tracks.length) {
+          self._schedule(skipTo, when, 0, fadeIn, generation, previous, tries + 1);
+        } else if (previous) {
+          self._scheduleEnd(previous, generation);
+        } else {
+          self._cancel();
+          self._emit('ended');
+        }
+        return;
+      }
+
+      var now = self.ac.currentTime;
+      var start = Math.max(when, now);
+      var fade = fadeIn - (start - when);
+      var speed = Math.abs(soundFile.rate() / soundFile.stretch()) || 1;
+      var entry = {
+        position: position,
+        index: index,
+        soundFile: soundFile,
+        source: null,
+        startTime: start,
+        endTime: start + (soundFile.duration() - offset) / speed,
+        offset: offset,
+        speed: speed,
+        timer: null,
+        // tracks started by a transition always fire trackchange
+        announce: previous ? true : self._announceStart
+      };
+
+      var gain = self._channelFor(soundFile).gain;
+      gain.cancelScheduledValues(start);
+      if (fade > 0) {
+        fadeGain(gain, true, start, fade);
+        if (previous) {
+          var previousGain = self._channelFor(previous.soundFile).gain;
+          previousGain.cancelScheduledValues(start);
+          fadeGain(previousGain, false, start, fade);
+        }
+      } else {
+        gain.setValueAtTime(1, start);
+      }
+
+      // the playlist does its own fades
+      soundFile.play(start - now, undefined, undefined, offset, undefined, 0, 0);
+      entry.source = soundFile.bufferSourceNode;
+
+      if (previous) {
+        self._next = entry;
+        entry.timer = setTimeout(function() {
+          self._startEntry(entry, generation);
+        }, (start - now) * 1000);
+      } else {
+        self._startEntry(entry, generation);
+      }
+    });
+  };
+
+  // entry has started playing and becomes the current track
+  p5.Playlist.prototype._startEntry = function(entry, generation) {
+    if (generation !== this._generation) {
+      return;
+    }
+    if (this._next === entry) {
+      this._next = null;
+    }
+    // the track before it may still be fading out
+    if (this._current) {
+      this._fadingOut.push({
+        soundFile: this._current.soundFile,
+        until: this._current.endTime
+      });
+    }
+    this._current = entry;
+    this._releaseUnusedTracks();
+    if (entry.announce) {
+      this._emit('trackchange', entry.index, entry.soundFile);
+    }
+    if (generation === this._generation && this._current === entry) {
+      this._scheduleNext(entry);
+    }
+  };
+
+  // the playlist ends after entry, because no track after it could load
+  p5.Playlist.prototype._scheduleEnd = function(entry, generation) {
+    var self = this;
+    var delay = Math.max(0, entry.endTime - this.ac.currentTime);
+    this._endTimer = setTimeout(function() {
+      if (generation === self._generation) {
+        self._current = null;
+        self._emit('ended');
+      }
+    }, delay * 1000);
+  };
+
+  p5.Playlist.prototype._stopEntry = function(entry, fadeTime) {
+    var soundFile = entry.soundFile;
+    clearTimeout(entry.timer);
+    if (!soundFile.output) {
+      // disposed
+      return;
+    }
+    var gain = this._channelFor(soundFile).gain;
+    var now = this.ac.currentTime;
+
+    if (fadeTime > 0) {
+      try {
+        if (gain.cancelAndHoldAtTime) {
+          gain.cancelAndHoldAtTime(now);
+        } else {
+          gain.cancelScheduledValues(now);
+        }
+        gain.linearRampToValueAtTime(0, now + fadeTime);
+        soundFile.stop(fadeTime, 0);
+        this._fadingOut.push({ soundFile: soundFile, until: now + fadeTime });
+        return;
+      } catch (e) {
+        // a crossfade is already in progress, stop without a fade
+      }
+    }
+
+    // a source that was scheduled for later can be cancelled on its own,
+    // without stopping the p5.SoundFile if it is playing for another entry
+    if (entry.source && entry.startTime > now) {
+      entry.source.stop();
+    } else {
+      soundFile.stop(0, 0);
+    }
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(1, now);
+  };
+
+  // calls back with the loaded p5.SoundFile of the track at index,
+  // or with null and the error if it failed to load
+  p5.Playlist.prototype._load = function(index, callback) {
+    var track = this._tracks[index];
+    if (track.soundFile && track.soundFile.isLoaded()) {
+      callback(track.soundFile);
+      return;
+    }
+    if (track.failed) {
+      callback(null, track.error);
+      return;
+    }
+
+    track.callbacks.push(callback);
+    if (track.loading) {
+      return;
+    }
+    track.loading = true;
+
+    var done = function(err) {
+      var callbacks = track.callbacks;
+      track.callbacks = [];
+      track.loading = false;
+      if (err) {
+        track.failed = true;
+        track.error = err;
+      }
+      for (var i = 0; i < callbacks.length; i++) {
+        callbacks[i](err ? null : track.soundFile, err);
+      }
+    };
+
+    if (track.path !== null) {
+      track.soundFile = new p5.SoundFile(track.path, function() {
+        done();
+      }, done);
+    } else {
+      // wait for a p5.SoundFile that is still loading
+      var self = this;
+      var errorTrace = new Error().stack;
+      var poll = function() {
+        // the track was removed, or the playlist disposed of
+        if (self._tracks.indexOf(track) === -1) {
+          return;
+        }
+        if (track.soundFile.isLoaded()) {
+          done();
+        } else if (!track.soundFile._loading) {
+          // the load failed or was cancelled
+          var err = new CustomError('loadSound', errorTrace, track.soundFile.url);
+          err.message = 'Unable to load ' + track.soundFile.url + '.';
+          done(err);
+        } else {
+          setTimeout(poll, LOAD_POLL_INTERVAL);
+        }
+      };
+      poll();
+    }
+  };
+
+  // the gain node that soundFile plays through
+  p5.Playlist.prototype._channelFor = function(soundFile) {
+    for (var i = 0; i < this._channels.length; i++) {
+      if (this._channels[i].soundFile === soundFile) {
+        return this._channels[i];
+      }
+    }
+    var channel = {
+      soundFile: soundFile,
+      gain: this.ac.createGain()
+    };
+    channel.gain.connect(this.output);
+    soundFile.disconnect();
+    soundFile.connect(channel.gain);
+    this._channels.push(channel);
+    return channel;
+  };
+
+  // unload tracks loaded from paths that are neither playing, next,
+  // nor fading out
+  p5.Playlist.prototype._releaseUnusedTracks = function() {
+    var now = this.ac.currentTime;
+    this._fadingOut = this._fadingOut.filter(function(fading) {
+      return fading.until > now;
+    });
+    var keep = [this._current, this._next].filter(Boolean).concat(this._fadingOut).map(function(entry) {
+      return entry.soundFile;
+    });
+    for (var i = 0; i < this._tracks.length; i++) {
+      var track = this._tracks[i];
+      if (track.path !== null && track.soundFile && !track.loading &&
+        keep.indexOf(track.soundFile) === -1) {
+        this._releaseTrack(track);
+      }
+    }
+  };
+
+  // disconnect a track's p5.SoundFile from the playlist, and dispose
+  // of it if the playlist loaded it
+  p5.Playlist.prototype._releaseTrack = function(track, disposing) {
+    var soundFile = track.soundFile;
+    if (!soundFile) {
+      return;
+    }
+    for (var i = 0; i < this._channels.length; i++) {
+      if (this._channels[i].soundFile === soundFile) {
+        this._channels[i].gain.disconnect();
+        this._channels.splice(i, 1);
+        break;
+      }
+    }
+    if (track.path !== null) {
+      soundFile.dispose();
+      track.soundFile = null;
+    } else if (disposing && soundFile.output) {
+      // give the p5.SoundFile back its own output
+      soundFile.disconnect();
+      soundFile.connect();
+    }
+  };
+
+  // equal-power fade in or out
+  function fadeGain(param, fadeIn, time, duration) {
+    var curve = new Float32Array(64);
+    for (var i = 0; i < curve.length; i++) {
+      var x = i / (curve.length - 1) * Math.PI / 2;
+      curve[i] = fadeIn ? Math.sin(x) : Math.cos(x);
+    }
+    try {
+      param.setValueCurveAtTime(curve, time, duration);
+    } catch (e) {
+      // overlaps a fade that is still going on, such as when a track is
+      // shorter than two crossfades. Jump to the end of the fade instead
+      param.cancelScheduledValues(time);
+      param.setValueAtTime(curve[curve.length - 1], time);
+    }
+  }
+
+  // shuffled copy of an array (Fisher-Yates)
+  function shuffleArray(array) {
+    var result = array.slice();
+    for (var i = result.length - 1; i > 0; i--) {
+      var j = Math.floor(Math.random() * (i + 1));
+      var swap = result[i];
+      result[i] = result[j];
+      result[j] = swap;
+    }
+    return result;
+  }
+
+});
@@ -181,6 +181,9 @@ define(function () {
   var isAIFSupported = function() {
     return !!el.canPlayType && el.canPlayType('audio/x-aiff;');
   };
+  var isFLACSupported = function() {
+    return !!el.canPlayType && el.canPlayType('audio/flac;');
+  };
   p5.prototype.isFileSupported = function(extension) {
     switch(extension.toLowerCase())
     {
@@ -197,6 +200,8 @@ define(function () {
       case 'aif':
       case 'aiff':
         return isAIFSupported();
+      case 'flac':
+        return isFLACSupported();
       default:
         return false;
     }
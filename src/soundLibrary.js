@@ -0,0 +1,647 @@
+'use strict';
+
+define(function (require) {
+  var p5sound = require('master');
+  var CustomError = require('errorHandler');
+  var { fetchAudio } = require('helpers');
+
+  /**
+   *  A p5.SoundLibrary loads many sound files at once, such as the
+   *  sound effects of a game. Only a few files are downloaded at a
+   *  time, and each file is only decoded the first time it is played,
+   *  so that a large library doesn't hold all of its audio in memory.
+   *
+   *  The decoded audio and the files that haven't been decoded yet both
+   *  count towards the memory budget. The sounds that haven't been
+   *  played for the longest time are unloaded when the library uses
+   *  more memory than its budget, and downloaded and decoded again when
+   *  they are next played. Sounds that are playing are never unloaded.
+   *
+   *  Files with the same path are only downloaded and decoded once,
+   *  even if they appear under several names.
+   *
+   *  @class p5.SoundLibrary
+   *  @constructor
+   *  @param {Object|Array} manifest  names of the sounds and their paths,
+   *                                  i.e. <code>{ jump: 'jump.mp3' }</code>,
+   *                                  or an array of paths that are also
+   *                                  used as names. Paths can be arrays
+   *                                  of paths in different formats, as
+   *                                  with <code>loadSound()</code>.
+   *  @param {Object} [options]  <code>concurrency</code>: how many files
+   *                             to download at a time (6 by default),
+   *                             <code>memoryBudget</code>: megabytes of
+   *                             audio to keep (128 by default),
+   *                             <code>lazy</code>: set to false to decode
+   *                             every sound as soon as it is downloaded.
+   *  @param {Function} [successCallback]  called with the library once
+   *                                       every file has been downloaded
+   *                                       (and decoded, if not lazy),
+   *                                       or has failed to load
+   *  @param {Function} [errorCallback]  called with an error for each
+   *                                     sound that fails to load or
+   *                                     decode
+   *  @param {Function} [whileLoading]  called with the progress of the
+   *                                    whole library, between 0 and 1
+   *  @example
+   *  <div><code>
+   *  let sounds;
+   *
+   *  function preload() {
+   *    sounds = loadSounds({
+   *      beat: 'assets/beat.mp3',
+   *      doorbell: 'assets/doorbell.mp3',
+   *      drum: 'assets/drum.mp3'
+   *    }, { concurrency: 2, memoryBudget: 16 });
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to play a random sound', 10, 20, width - 20);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    sounds.play(random(sounds.names()));
+   *  }
+   *  </code></div>
+   */
+  p5.SoundLibrary = function(manifest, options, callback, errorCallback, whileLoading) {
+    // the options object is optional, and comes before the callbacks
+    if (typeof options === 'function') {
+      whileLoading = errorCallback;
+      errorCallback = callback;
+      callback = options;
+      options = {};
+    }
+    var opts = options || {};
+
+    this._concurrency = opts.concurrency || 6;
+    this._memoryBudget = typeof opts.memoryBudget === 'number' ? opts.memoryBudget : 128;
+    this._lazy = opts.lazy !== false;
+
+    this._callback = callback;
+    this._errorCallback = errorCallback;
+    this._whileLoading = whileLoading;
+    this._errorTrace = new Error().stack;
+
+    // one asset per distinct path, and the asset of each name
+    this._assets = [];
+    this._names = {};
+
+    // assets waiting to be downloaded, and the number downloading
+    this._queue = [];
+    this._downloading = 0;
+    // assets that have been downloaded (and decoded, if not lazy) or
+    // have failed
+    this._settled = 0;
+
+    // bytes of decoded audio and downloaded files, and a counter that
+    // orders the assets by when they were last used
+    this._memory = 0;
+    this._clock = 0;
+
+    this._disposed = false;
+
+    if (Array.isArray(manifest)) {
+      for (var i = 0; i < manifest.length; i++) {
+        var path = manifest[i];
+        this._addSound(Array.isArray(path) ? path[0] : path, path);
+      }
+    } else {
+      for (var name in manifest) {
+        if (manifest.hasOwnProperty(name)) {
+          this._addSound(name, manifest[name]);
+        }
+      }
+    }
+
+    p5sound.soundArray.push(this);
+
+    if (this._assets.length === 0) {
+      this._finish();
+    } else {
+      this._download();
+    }
+  };
+
+  p5.prototype.registerPreloadMethod('loadSounds', p5.prototype);
+
+  /**
+   *  Load a library of sound files, with a limit on how many are
+   *  downloaded at a time. If called during preload(), setup() will
+   *  wait until every file has been downloaded.
+   *
+   *  @method loadSounds
+   *  @for p5
+   *  @param {Object|Array} manifest  names of the sounds and their paths,
+   *                                  or an array of paths
+   *  @param {Object} [options]  <code>concurrency</code>,
+   *                             <code>memoryBudget</code> (in megabytes)
+   *                             and <code>lazy</code>. See
+   *                             <code>p5.SoundLibrary</code>.
+   *  @param {Function} [successCallback]  called with the library once
+   *                                       every file has loaded or failed
+   *  @param {Function} [errorCallback]  called with an error for each
+   *                                     sound that fails to load
+   *  @param {Function} [whileLoading]  called with the progress of the
+   *                                    whole library, between 0 and 1
+   *  @return {p5.SoundLibrary}
+   *  @example
+   *  <div><code>
+   *  let sounds;
+   *
+   *  function preload() {
+   *    sounds = loadSounds(['assets/beat.mp3', 'assets/drum.mp3']);
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(function() {
+   *      sounds.play('assets/drum.mp3');
+   *    });
+   *    background(220);
+   *    text('tap to play', 10, 20);
+   *  }
+   *  </code></div>
+   */
+  p5.prototype.loadSounds = function(manifest, options, callback, errorCallback, whileLoading) {
+    if (typeof options === 'function') {
+      whileLoading = errorCallback;
+      errorCallback = callback;
+      callback = options;
+      options = {};
+    }
+
+    var self = this;
+    return new p5.SoundLibrary(manifest, options, function() {
+      if (typeof callback === 'function') {
+        callback.apply(self, arguments);
+      }
+
+      if (typeof self._decrementPreload === 'function') {
+        self._decrementPreload();
+      }
+    }, errorCallback, whileLoading);
+  };
+
+  /**
+   *  The names of the sounds in the library.
+   *
+   *  @method names
+   *  @for p5.SoundLibrary
+   *  @return {Array} names of the sounds
+   */
+  p5.SoundLibrary.prototype.names = function() {
+    return Object.keys(this._names);
+  };
+
+  /**
+   *  Whether every file has been downloaded (and decoded, if the
+   *  library isn't lazy) or has failed to load.
+   *
+   *  @method isLoaded
+   *  @for p5.SoundLibrary
+   *  @return {Boolean}
+   */
+  p5.SoundLibrary.prototype.isLoaded = function() {
+    return this._settled === this._assets.length;
+  };
+
+  /**
+   *  How much of the library has loaded, between 0 and 1.
+   *
+   *  @method progress
+   *  @for p5.SoundLibrary
+   *  @return {Number}
+   */
+  p5.SoundLibrary.prototype.progress = function() {
+    if (this._assets.length === 0) {
+      return 1;
+    }
+    var total = 0;
+    for (var i = 0; i < this._assets.length; i++) {
+      total += this._assets[i].progress;
+    }
+    return total / this._assets.length;
+  };
+
+  /**
+   *  Play a sound by name. A sound that hasn't been decoded yet starts
+   *  once it has been decoded. The other parameters are passed on to
+   *  <code>p5.SoundFile.play()</code>.
+   *
+   *  @method play
+   *  @for p5.SoundLibrary
+   *  @param {String} name  name of the sound
+   *  @param {Number} [startTime] (optional) schedule playback to start (in seconds from now).
+   *  @param {Number} [rate]      (optional) playback rate
+   *  @param {Number} [amp]       (optional) amplitude (volume)
+   *                                     of playback
+   *  @param {Number} [cueStart]  (optional) cue start time in seconds
+   *  @param {Number} [duration]  (optional) duration of playback in seconds
+   */
+  p5.SoundLibrary.prototype.play = function(name) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    this.decode(name, function(soundFile) {
+      soundFile.play.apply(soundFile, args);
+    });
+  };
+
+  /**
+   *  Stop a sound, or every sound in the library.
+   *
+   *  @method stop
+   *  @for p5.SoundLibrary
+   *  @param {String} [name] name of the sound
+   */
+  p5.SoundLibrary.prototype.stop = function(name) {
+    var assets = name === undefined ? this._assets : [this._getAsset(name)];
+    for (var i = 0; i < assets.length; i++) {
+      // a sound waiting to be decoded won't start after all
+      assets[i].waiting = [];
+      if (assets[i].soundFile) {
+        assets[i].soundFile.stop();
+      }
+    }
+  };
+
+  /**
+   *  Decode a sound ahead of time, so that it plays without a delay.
+   *  The callback is called with the sound's p5.SoundFile.
+   *
+   *  @method decode
+   *  @for p5.SoundLibrary
+   *  @param {String} name  name of the sound
+   *  @param {Function} [callback] called with the p5.SoundFile once it
+   *                               has been decoded
+   */
+  p5.SoundLibrary.prototype.decode = function(name, callback) {
+    var asset = this._getAsset(name);
+    if (asset.failed) {
+      return;
+    }
+    asset.lastUsed = ++this._clock;
+    if (asset.soundFile) {
+      if (callback) {
+        callback(asset.soundFile);
+      }
+      return;
+    }
+
+    if (callback) {
+      asset.waiting.push(callback);
+    }
+    if (asset.data) {
+      this._decode(asset);
+      return;
+    }
+    if (asset.request) {
+      // it is downloading, and is decoded once it has
+      return;
+    }
+    // download this sound next. A sound that was unloaded is downloaded
+    // again
+    var index = this._queue.indexOf(asset);
+    if (index > -1) {
+      this._queue.splice(index, 1);
+    }
+    this._queue.unshift(asset);
+    this._download();
+  };
+
+  /**
+   *  The p5.SoundFile of a sound, or null if it hasn't been decoded.
+   *  The p5.SoundFile is disposed of if the sound is unloaded to stay
+   *  within the memory budget, so get it again each time it is used.
+   *
+   *  @method get
+   *  @for p5.SoundLibrary
+   *  @param {String} name  name of the sound
+   *  @return {p5.SoundFile|null}
+   */
+  p5.SoundLibrary.prototype.get = function(name) {
+    var asset = this._getAsset(name);
+    if (asset.soundFile) {
+      asset.lastUsed = ++this._clock;
+    }
+    return asset.soundFile;
+  };
+
+  /**
+   *  Unload the decoded audio of a sound. It is downloaded and decoded
+   *  again the next time it is played.
+   *
+   *  @method unload
+   *  @for p5.SoundLibrary
+   *  @param {String} name  name of the sound
+   */
+  p5.SoundLibrary.prototype.unload = function(name) {
+    var asset = this._getAsset(name);
+    if (asset.soundFile) {
+      this._unloadAsset(asset);
+    }
+  };
+
+  /**
+   *  How much memory the decoded sounds, and the files that haven't
+   *  been decoded yet, take up, in megabytes.
+   *
+   *  @method memoryUsage
+   *  @for p5.SoundLibrary
+   *  @return {Number}
+   */
+  p5.SoundLibrary.prototype.memoryUsage = function() {
+    return this._memory / (1024 * 1024);
+  };
+
+  /**
+   *  Set or get the memory budget, in megabytes of decoded audio and
+   *  files that haven't been decoded yet. When
+   *  it is exceeded, the sounds that were used least recently are
+   *  unloaded.
+   *
+   *  @method memoryBudget
+   *  @for p5.SoundLibrary
+   *  @param {Number} [megabytes]
+   *  @return {Number} the memory budget in megabytes
+   */
+  p5.SoundLibrary.prototype.memoryBudget = function(megabytes) {
+    if (typeof megabytes === 'number') {
+      this._memoryBudget = megabytes;
+      this._enforceBudget(null);
+    }
+    return this._memoryBudget;
+  };
+
+  p5.SoundLibrary.prototype.dispose = function() {
+    var index = p5sound.soundArray.indexOf(this);
+    if (index > -1) {
+      p5sound.soundArray.splice(index, 1);
+    }
+
+    this._disposed = true;
+    this._queue = [];
+    for (var i = 0; i < this._assets.length; i++) {
+      var asset = this._assets[i];
+      if (asset.request) {
+        asset.request.abort();
+        asset.request = null;
+      }
+      asset.next = null;
+      if (asset.soundFile) {
+        asset.soundFile.dispose();
+        asset.soundFile = null;
+      }
+      // disposing stops the decoding too
+      if (asset.decoding) {
+        asset.decoding.dispose();
+        asset.decoding = null;
+      }
+      asset.data = null;
+      asset.waiting = [];
+    }
+    this._memory = 0;
+  };
+
+  p5.SoundLibrary.prototype._addSound = function(name, path) {
+    var urls = p5.prototype._getFileCandidates(path);
+    var key = urls.join('|');
+
+    // sounds with the same paths share an asset
+    var asset = null;
+    for (var i = 0; i < this._assets.length; i++) {
+      if (this._assets[i].key === key) {
+        asset = this._assets[i];
+      }
+    }
+    if (!asset) {
+      asset = {
+        key: key,
+        urls: urls,
+        url: urls[0],
+        request: null,
+        // tries the next path if the downloaded file can't be decoded
+        next: null,
+        // the encoded file until it is decoded, and the p5.SoundFile it
+        // is decoded into
+        data: null,
+        soundFile: null,
+        // the p5.SoundFile that is being decoded
+        decoding: null,
+        failed: false,
+        bytes: 0,
+        progress: 0,
+        lastUsed: 0,
+        // callbacks waiting for the sound to be decoded
+        waiting: []
+      };
+      this._assets.push(asset);
+      this._queue.push(asset);
+    }
+    this._names[name] = asset;
+  };
+
+  p5.SoundLibrary.prototype._getAsset = function(name) {
+    var asset = this._names[name];
+    if (!asset) {
+      throw 'There is no sound named ' + name + ' in the library';
+    }
+    return asset;
+  };
+
+  // start downloads until the concurrency limit is reached
+  p5.SoundLibrary.prototype._download = function() {
+    while (!this._disposed && this._downloading < this._concurrency && this._queue.length > 0) {
+      this._downloading++;
+      this._fetch(this._queue.shift());
+    }
+  };
+
+  // download an asset, trying each of its paths in turn until one of
+  // them downloads and decodes, as p5.SoundFile does
+  p5.SoundLibrary.prototype._fetch = function(asset) {
+    var self = this;
+    var downloaded = false;
+    var release = function() {
+      if (!downloaded) {
+        downloaded = true;
+        self._downloading--;
+        self._download();
+      }
+    };
+
+    asset.request = fetchAudio(asset.urls, function(evt) {
+      // a sound that is downloaded again doesn't change the progress
+      if (!evt.lengthComputable || asset.progress === 1) return;
+      // leave room for decoding when it is done before settling
+      asset.progress = evt.loaded / evt.total * 0.99;
+      self._reportProgress();
+    }, function(data, url, next) {
+      asset.url = url;
+      // called with a decoding error to try the next path
+      asset.next = next;
+      self._setData(asset, data);
+      release();
+      if (self._lazy && asset.waiting.length === 0) {
+        self._enforceBudget(asset);
+        if (asset.progress < 1) {
+          asset.progress = 1;
+          self._settle();
+        }
+      } else {
+        self._decode(asset);
+      }
+    }, function(attempts) {
+      asset.request = null;
+      asset.next = null;
+      release();
+      self._fail(asset, attempts);
+    });
+  };
+
+  // decode the downloaded file of an asset into a p5.SoundFile
+  p5.SoundLibrary.prototype._decode = function(asset) {
+    if (asset.decoding || asset.soundFile) {
+      return;
+    }
+    var self = this;
+    var settled = asset.progress === 1;
+
+    asset.decoding = new p5.SoundFile(asset.data, function(soundFile) {
+      asset.decoding = null;
+      soundFile.url = asset.url;
+      asset.soundFile = soundFile;
+      // the file is downloaded again if the sound is unloaded
+      asset.request = null;
+      asset.next = null;
+      self._setData(asset, null);
+      asset.bytes = soundFile.buffer.length * soundFile.buffer.numberOfChannels * 4;
+      self._memory += asset.bytes;
+      self._enforceBudget(asset);
+
+      if (!settled) {
+        asset.progress = 1;
+        self._settle();
+      }
+      var waiting = asset.waiting;
+      asset.waiting = [];
+      for (var i = 0; i < waiting.length; i++) {
+        waiting[i](soundFile);
+      }
+    }, function(err) {
+      asset.decoding = null;
+      self._setData(asset, null);
+      asset.next(err.attempts[0]);
+    });
+  };
+
+  // keep the downloaded file of an asset, counted in the memory used
+  p5.SoundLibrary.prototype._setData = function(asset, data) {
+    if (asset.data) {
+      this._memory -= asset.data.byteLength;
+    }
+    asset.data = data;
+    if (data) {
+      this._memory += data.byteLength;
+    }
+  };
+
+  // unload the least recently used sounds until the decoded audio and
+  // the downloaded files fit in the budget, keeping the given sound
+  p5.SoundLibrary.prototype._enforceBudget = function(keep) {
+    var budget = this._memoryBudget * 1024 * 1024;
+    while (this._memory > budget) {
+      var oldest = null;
+      for (var i = 0; i < this._assets.length; i++) {
+        var asset = this._assets[i];
+        var unloadable = asset.soundFile ? !asset.soundFile.isPlaying() : !!asset.data;
+        if (unloadable && asset !== keep && !asset.decoding && asset.waiting.length === 0 &&
+          (!oldest || asset.lastUsed < oldest.lastUsed)) {
+          oldest = asset;
+        }
+      }
+      if (!oldest) {
+        break;
+      }
+      this._unloadAsset(oldest);
+    }
+  };
+
+  p5.SoundLibrary.prototype._unloadAsset = function(asset) {
+    if (asset.soundFile) {
+      asset.soundFile.dispose();
+      asset.soundFile = null;
+      this._memory -= asset.bytes;
+      asset.bytes = 0;
+    }
+    if (asset.data) {
+      if (asset.request) {
+        asset.request.abort();
+        asset.request = null;
+      }
+      asset.next = null;
+      this._setData(asset, null);
+    }
+  };
+
+  p5.SoundLibrary.prototype._fail = function(asset, attempts) {
+    // a sound can fail after it settled, when it is decoded later
+    var settled = asset.progress === 1;
+    asset.failed = true;
+    asset.waiting = [];
+    asset.progress = 1;
+    this._reportError(asset, attempts);
+    if (!settled) {
+      this._settle();
+    }
+  };
+
+  p5.SoundLibrary.prototype._reportError = function(asset, attempts) {
+    var names = [];
+    for (var name in this._names) {
+      if (this._names.hasOwnProperty(name) && this._names[name] === asset) {
+        names.push(name);
+      }
+    }
+
+    var err = new CustomError('loadSounds', this._errorTrace, asset.url);
+    var msg = 'Unable to load ' + names.join(', ') + '.';
+    attempts.forEach(function(attempt) {
+      msg += '\n  ' + attempt.url + ': ' + attempt.error;
+    });
+    err.message = msg;
+    err.msg = msg;
+    err.names = names;
+    err.attempts = attempts;
+
+    if (this._errorCallback) {
+      this._errorCallback(err);
+    } else {
+      console.error(msg +'\n The error stack trace includes: \n' + err.stack);
+    }
+  };
+
+  p5.SoundLibrary.prototype._reportProgress = function() {
+    if (this._whileLoading) {
+      this._whileLoading(this.progress());
+    }
+  };
+
+  // an asset has loaded or failed
+  p5.SoundLibrary.prototype._settle = function() {
+    this._settled++;
+    this._reportProgress();
+    if (this.isLoaded()) {
+      this._finish();
+    }
+  };
+
+  p5.SoundLibrary.prototype._finish = function() {
+    if (this._callback) {
+      this._callback(this);
+    }
+  };
+
+});
@@ -5,7 +5,7 @@ define(function (require) {
   // inspiration: recorder.js, Tone.js & typedarray.org
 
   const p5sound = require('master');
-  const { convertToWav, safeBufferSize } = require('helpers');
+  const { convertToWav, encodeCompressed, safeBufferSize } = require('helpers');
   const processorNames = require('./audioWorklet/processorNames');
   const ac = p5sound.audiocontext;
 
@@ -20,6 +20,8 @@ define(function (require) {
    *
    *  @class p5.SoundRecorder
    *  @constructor
+   *  @param {Object} [options] <code>channels</code>: how many channels
+   *                            to record from each input, 2 by default
    *  @example
    *  <div><code>
    *  let mic, recorder, soundFile;
@@ -83,46 +85,121 @@ define(function (require) {
    *  }
    *  </div></code>
    */
-  p5.SoundRecorder = function() {
+  p5.SoundRecorder = function(options) {
+    const opts = options || {};
     this.input = ac.createGain();
     this.output = ac.createGain();
 
-    this._inputChannels = 2;
-    this._outputChannels = 2; // stereo output, even if input is mono
+    // channels recorded from each input, stereo by default even if
+    // the input is mono
+    this._inputChannels = opts.channels || 2;
+    if (this._inputChannels !== Math.round(this._inputChannels) || this._inputChannels < 1) {
+      throw 'channels must be a whole number greater than zero';
+    }
+    this._outputChannels = 2;
+    this._workletBufferSize = safeBufferSize(1024);
+
+    // names of the inputs given to setInputs(), and a gain for each
+    this._stemNames = [];
+    this._stemInputs = [];
+
+    this._recording = false;
+    this._paused = false;
+
+    // seconds of input kept for captureLast(), and the callbacks of
+    // captures that haven't come back from the audio thread yet
+    this._captureLength = 0;
+    this._captures = {};
+    this._captureId = 0;
 
-    const workletBufferSize = safeBufferSize(1024);
+    // callback, format and size of chunks streamed with ondata(), and
+    // the position of the next chunk in the recording
+    this._ondata = null;
+    this._dataFormat = 'float32';
+    this._dataSize = 0;
+    this._chunkIndex = 0;
+    this._chunkFrame = 0;
+
+    /**
+     *  callback invoked when the recording is over, with the channels
+     *  of the first input and the channels of every input
+     *  @private
+     *  @type Function(Array, Array)
+     */
+    this._callback = function() {};
+
+    this._workletNode = null;
+    this.setInput();
+
+    // add this p5.SoundFile to the soundArray
+    p5sound.soundArray.push(this);
+  };
+
+  // (re)create the worklet node with an input for each stem
+  p5.SoundRecorder.prototype._createWorkletNode = function(numInputs) {
+    if (this._workletNode && this._workletNode.numberOfInputs === numInputs) {
+      return;
+    }
+    if (this._recording) {
+      throw 'the inputs can\'t change while recording';
+    }
+    if (this._workletNode) {
+      this._workletNode.port.onmessage = null;
+      this._workletNode.disconnect();
+      this._cancelCaptures('the inputs of the p5.SoundRecorder changed before the capture arrived');
+    }
 
     this._workletNode = new AudioWorkletNode(ac, processorNames.recorderProcessor, {
+      numberOfInputs: numInputs,
       outputChannelCount: [this._outputChannels],
       processorOptions: {
         numInputChannels: this._inputChannels,
-        bufferSize: workletBufferSize
+        bufferSize: this._workletBufferSize
       }
     });
 
     this._workletNode.port.onmessage = function(event) {
-      if (event.data.name === 'buffers') {
-        const buffers = [
-          new Float32Array(event.data.leftBuffer),
-          new Float32Array(event.data.rightBuffer)
-        ];
-        this._callback(buffers);
+      const data = event.data;
+      if (!data.buffers) {
+        return;
+      }
+      const stems = data.buffers.map(function(channels) {
+        return channels.map(function(buffer) {
+          return new Float32Array(buffer);
+        });
+      });
+      if (data.name === 'buffers') {
+        this._recording = false;
+        this._paused = false;
+        this._callback(stems[0], stems);
+      } else if (data.name === 'chunk') {
+        this._emitChunk(stems);
+      } else if (data.name === 'capture') {
+        const captured = this._captures[data.id];
+        delete this._captures[data.id];
+        captured(stems);
       }
     }.bind(this);
 
-    /**
-     *  callback invoked when the recording is over
-     *  @private
-     *  @type Function(Float32Array)
-     */
-    this._callback = function() {};
-
-    // connections
+    // the new node starts out without a rolling buffer or streaming
+    if (this._captureLength > 0) {
+      this._workletNode.port.postMessage({ name: 'captureLength', seconds: this._captureLength });
+    }
+    if (this._ondata) {
+      this._workletNode.port.postMessage({ name: 'stream', chunkSize: this._dataSize });
+    }
     this._workletNode.connect(p5.soundOut._silentNode);
-    this.setInput();
+  };
 
-    // add this p5.SoundFile to the soundArray
-    p5sound.soundArray.push(this);
+  p5.SoundRecorder.prototype._disconnectInputs = function() {
+    if (this.input) {
+      this.input.disconnect();
+    }
+    this._stemInputs.forEach(function(input) {
+      input.disconnect();
+    });
+    this._stemInputs = [];
+    this._stemNames = [];
   };
 
   /**
@@ -136,7 +213,8 @@ define(function (require) {
    *                         that outputs sound
    */
   p5.SoundRecorder.prototype.setInput = function(unit) {
-    this.input.disconnect();
+    this._createWorkletNode(1);
+    this._disconnectInputs();
     this.input = null;
     this.input = ac.createGain();
     this.input.connect(this._workletNode);
@@ -148,6 +226,104 @@ define(function (require) {
     }
   };
 
+  /**
+   *  Record several sources at once, each to its own p5.SoundFile,
+   *  for example the mic and a synth as separate stems. The recordings
+   *  of all the sources start and end on the same sample. To receive
+   *  them, give <code>record()</code> an object with a p5.SoundFile
+   *  for each name.
+   *
+   *  @method  setInputs
+   *  @for p5.SoundRecorder
+   *  @param {Object} sources an object with a p5.sound object or web
+   *                          audio unit for each name. A source that is
+   *                          null records all audible p5.sound from your
+   *                          sketch.
+   *  @example
+   *  <div><code>
+   *  let mic, synth, recorder;
+   *  let stems = {};
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to record 4 seconds of mic and synth', 10, 20, width - 20);
+   *
+   *    mic = new p5.AudioIn();
+   *    mic.start();
+   *    synth = new p5.MonoSynth();
+   *
+   *    recorder = new p5.SoundRecorder();
+   *    recorder.setInputs({ mic: mic, synth: synth });
+   *    stems.mic = new p5.SoundFile();
+   *    stems.synth = new p5.SoundFile();
+   *  }
+   *
+   *  function canvasPressed() {
+   *    userStartAudio();
+   *    recorder.record(stems, 4, function() {
+   *      saveStems(stems, 'take');
+   *    });
+   *    synth.play('C4', 0.5, 0, 1);
+   *    synth.play('G4', 0.5, 2, 1);
+   *  }
+   *  </code></div>
+   */
+  p5.SoundRecorder.prototype.setInputs = function(sources) {
+    const names = Object.keys(sources || {});
+    if (names.length === 0) {
+      throw 'setInputs() needs an object with a source for each name';
+    }
+    this._createWorkletNode(names.length);
+    this._disconnectInputs();
+
+    this._stemNames = names;
+    this._stemInputs = names.map(function(name, i) {
+      const input = ac.createGain();
+      input.connect(this._workletNode, 0, i);
+      if (sources[name]) {
+        sources[name].connect(input);
+      } else {
+        p5.soundOut.output.connect(input);
+      }
+      return input;
+    }, this);
+    this.input = this._stemInputs[0];
+    this.input.connect(this.output);
+  };
+
+  /**
+   *  Returns the names of the sources given to
+   *  <code>setInputs()</code>, or an empty array if there is only
+   *  one input.
+   *
+   *  @method  stems
+   *  @for p5.SoundRecorder
+   *  @return {Array} Array of names
+   */
+  p5.SoundRecorder.prototype.stems = function() {
+    return this._stemNames.slice();
+  };
+
+  // copy recorded channels to a p5.SoundFile, which gets the first input,
+  // or to an object with a p5.SoundFile for each name given to setInputs()
+  p5.SoundRecorder.prototype._deliver = function(target, stems) {
+    // setBuffer() needs at least one frame
+    if (stems[0][0].length === 0) {
+      return;
+    }
+    if (target instanceof p5.SoundFile) {
+      target.setBuffer(stems[0]);
+      return;
+    }
+    this._stemNames.forEach(function(name, i) {
+      if (target[name]) {
+        target[name].setBuffer(stems[i]);
+      }
+    });
+  };
+
   /**
    *  Start recording. To access the recording, provide
    *  a p5.SoundFile as the first parameter. The p5.SoundRecorder
@@ -157,27 +333,35 @@ define(function (require) {
    *  will be called once the complete recording has been
    *  transfered to the p5.SoundFile.
    *
+   *  After <code>setInputs()</code>, give an object with a
+   *  p5.SoundFile for each name to receive every source.
+   *
    *  @method  record
    *  @for p5.SoundRecorder
-   *  @param  {p5.SoundFile}   soundFile    p5.SoundFile
+   *  @param  {p5.SoundFile|Object}   soundFile    p5.SoundFile, or an
+   *                                               object of p5.SoundFiles
    *  @param  {Number}   [duration] Time (in seconds)
    *  @param  {Function} [callback] The name of a function that will be
    *                                called once the recording completes
    */
   p5.SoundRecorder.prototype.record = function(sFile, duration, callback) {
-    this._workletNode.port.postMessage({ name: 'start', duration: duration });
+    this._start(duration);
 
     if (sFile && callback) {
-      this._callback = function(buffer) {
-        sFile.setBuffer(buffer);
+      this._callback = function(buffer, stems) {
+        this._deliver(sFile, stems);
         callback();
       };
     }
     else if (sFile) {
-      this._callback = function(buffer) {
-        sFile.setBuffer(buffer);
+      this._callback = function(buffer, stems) {
+        this._deliver(sFile, stems);
       };
     }
+    else {
+      // don't send this recording to the sound file of an earlier one
+      this._callback = function() {};
+    }
   };
 
   /**
@@ -193,34 +377,470 @@ define(function (require) {
     this._workletNode.port.postMessage({ name: 'stop' });
   };
 
+  // startTime is the audio context time at which recording begins,
+  // to the sample. Without one, recording begins right away.
+  p5.SoundRecorder.prototype._start = function(duration, startTime) {
+    const startFrame = typeof startTime === 'number' ? Math.round(startTime * ac.sampleRate) : undefined;
+    this._workletNode.port.postMessage({ name: 'start', duration: duration, startFrame: startFrame });
+    this._chunkIndex = 0;
+    this._chunkFrame = 0;
+    this._recording = true;
+    this._paused = false;
+  };
+
+  /**
+   *  Pause the recording. Sound is not recorded until
+   *  <code>resume()</code> is called, and the audio recorded after
+   *  resuming follows on seamlessly from the audio recorded before.
+   *
+   *  @method  pause
+   *  @for p5.SoundRecorder
+   */
+  p5.SoundRecorder.prototype.pause = function() {
+    if (!this._recording || this._paused) {
+      return;
+    }
+    this._workletNode.port.postMessage({ name: 'pause' });
+    this._paused = true;
+  };
+
+  /**
+   *  Resume a recording that was paused with <code>pause()</code>.
+   *
+   *  @method  resume
+   *  @for p5.SoundRecorder
+   */
+  p5.SoundRecorder.prototype.resume = function() {
+    if (!this._recording || !this._paused) {
+      return;
+    }
+    this._workletNode.port.postMessage({ name: 'resume' });
+    this._paused = false;
+  };
+
+  /**
+   *  Returns true while the p5.SoundRecorder is recording,
+   *  including while it is paused.
+   *
+   *  @method  isRecording
+   *  @for p5.SoundRecorder
+   *  @return {Boolean}
+   */
+  p5.SoundRecorder.prototype.isRecording = function() {
+    return this._recording;
+  };
+
+  /**
+   *  Returns true if the recording is paused.
+   *
+   *  @method  isPaused
+   *  @for p5.SoundRecorder
+   *  @return {Boolean}
+   */
+  p5.SoundRecorder.prototype.isPaused = function() {
+    return this._paused;
+  };
+
+  /**
+   *  Record over part of a p5.SoundFile. Exactly
+   *  <code>endTime - startTime</code> seconds are recorded, and replace
+   *  that range of the sound file to the sample, leaving the rest of it
+   *  as it was (see <code>p5.SoundFile.replaceRange()</code>). The punch-in
+   *  can be undone with the sound file's <code>undo()</code>.
+   *  With a <code>preRoll</code>, the sound file plays from
+   *  <code>preRoll</code> seconds before <code>startTime</code>, and
+   *  recording begins when playback reaches <code>startTime</code>.
+   *  Use <code>setInput()</code> to record a source such as a
+   *  p5.AudioIn, rather than the output of the sketch.
+   *
+   *  @method  punchIn
+   *  @for p5.SoundRecorder
+   *  @param  {p5.SoundFile} soundFile  the p5.SoundFile to record over
+   *  @param  {Number}   startTime  start of the range in seconds
+   *  @param  {Number}   endTime    end of the range in seconds
+   *  @param  {Object}   [options]  <code>crossfade</code>: length of the
+   *                                crossfades at the edges of the range in
+   *                                seconds (default 0.005, 0 for none),
+   *                                <code>preRoll</code>: seconds of the sound
+   *                                file to play before recording begins
+   *                                (default 0)
+   *  @param  {Function} [callback] called with the p5.SoundFile once the
+   *                                range has been replaced
+   *  @example
+   *  <div><code>
+   *  let mic, recorder, mySound;
+   *
+   *  function preload() {
+   *    mySound = loadSound('assets/beat.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to record over 1s - 2s', 10, 20, width - 20);
+   *
+   *    mic = new p5.AudioIn();
+   *    mic.start();
+   *    recorder = new p5.SoundRecorder();
+   *    recorder.setInput(mic);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    userStartAudio();
+   *    background(255, 0, 0);
+   *    recorder.punchIn(mySound, 1, 2, { preRoll: 1 }, function() {
+   *      background(0, 255, 0);
+   *      mySound.stop();
+   *      mySound.play();
+   *    });
+   *  }
+   *  </code></div>
+   */
+  p5.SoundRecorder.prototype.punchIn = function(soundFile, startTime, endTime, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const opts = options || {};
+    const crossfade = typeof opts.crossfade === 'number' ? opts.crossfade : 0.005;
+    const preRoll = Math.min(opts.preRoll || 0, startTime);
+
+    // throws if the sound file isn't loaded or the range is out of bounds
+    const range = soundFile._editRange(startTime, endTime);
+    if (range[1] === range[0]) {
+      throw 'punchIn: endTime must be greater than startTime';
+    }
+    const duration = (range[1] - range[0]) / soundFile.buffer.sampleRate;
+
+    // leave a little time for the message to reach the audio thread
+    const delay = 0.05;
+    if (preRoll > 0) {
+      soundFile.play(delay, undefined, undefined, startTime - preRoll);
+    }
+    this._start(duration, ac.currentTime + delay + preRoll);
+
+    this._callback = function(buffers) {
+      // a later recording doesn't replace the range again
+      this._callback = function() {};
+      // nothing was recorded if stop() was called before startTime
+      if (buffers[0].length > 0) {
+        // the take is resampled if the sound file has another sample rate
+        const take = p5.SoundFile.fromArray(buffers, ac.sampleRate);
+        soundFile.replaceRange(startTime, endTime, take, crossfade);
+        take.dispose();
+      }
+      if (callback) {
+        callback(soundFile);
+      }
+    };
+  };
+
+  /**
+   *  Receive the recording in chunks while it is being recorded, for
+   *  example to stream it to a server, analyze it live or store it as it
+   *  goes so that a long take isn't lost if the page closes. The last
+   *  chunk, which can be shorter, arrives when recording stops, before
+   *  the recording is sent to the p5.SoundFile given to
+   *  <code>record()</code>.
+   *
+   *  The callback is called with a chunk object with these properties:
+   *  <code>channels</code>, an Array with a Float32Array or Int16Array of
+   *  samples for each channel; <code>data</code>, the same samples
+   *  interleaved into one typed array, ready to send or store;
+   *  <code>format</code>; <code>sampleRate</code>; <code>frames</code>,
+   *  the number of samples in each channel; <code>startFrame</code>, the
+   *  position of the chunk in the recording; <code>index</code>,
+   *  counting the chunks from 0; and <code>stem</code>, the name of the
+   *  source after <code>setInputs()</code>, or null. With several
+   *  sources, the callback is called with a chunk for each source.
+   *
+   *  @method  ondata
+   *  @for p5.SoundRecorder
+   *  @param  {Function} callback called with each chunk, or null to
+   *                              stop receiving chunks
+   *  @param  {Object}   [options] <code>format</code>:
+   *                               <code>'float32'</code> (default) or
+   *                               <code>'pcm16'</code> for 16-bit
+   *                               integers, <code>size</code>: frames per
+   *                               chunk (4096 by default)
+   *  @example
+   *  <div><code>
+   *  let mic, recorder, socket;
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to stream the mic', 10, 20, width - 20);
+   *
+   *    socket = new WebSocket('ws://localhost:8080');
+   *    mic = new p5.AudioIn();
+   *    mic.start();
+   *    recorder = new p5.SoundRecorder();
+   *    recorder.setInput(mic);
+   *    recorder.ondata(function(chunk) {
+   *      socket.send(chunk.data);
+   *    }, { format: 'pcm16', size: 2048 });
+   *  }
+   *
+   *  function canvasPressed() {
+   *    userStartAudio();
+   *    if (!recorder.isRecording()) {
+   *      background(255, 0, 0);
+   *      recorder.record();
+   *    } else {
+   *      background(220);
+   *      recorder.stop();
+   *    }
+   *  }
+   *  </code></div>
+   */
+  p5.SoundRecorder.prototype.ondata = function(callback, options) {
+    const opts = options || {};
+    const format = opts.format || 'float32';
+    if (format !== 'float32' && format !== 'pcm16') {
+      throw 'Invalid format. Must be "float32" or "pcm16"';
+    }
+    const size = opts.size || 4096;
+    if (size !== Math.round(size) || size < 1) {
+      throw 'size must be a whole number of frames';
+    }
+    this._ondata = callback || null;
+    this._dataFormat = format;
+    this._dataSize = callback ? size : 0;
+    this._workletNode.port.postMessage({ name: 'stream', chunkSize: callback ? size : 0 });
+  };
+
+  p5.SoundRecorder.prototype._emitChunk = function(stems) {
+    const frames = stems[0][0].length;
+    const chunks = stems.map(function(channels, i) {
+      const chunk = {
+        channels: this._dataFormat === 'pcm16' ? channels.map(toPCM16) : channels,
+        format: this._dataFormat,
+        sampleRate: ac.sampleRate,
+        frames: frames,
+        startFrame: this._chunkFrame,
+        index: this._chunkIndex,
+        stem: this._stemNames[i] || null
+      };
+      chunk.data = interleave(chunk.channels);
+      return chunk;
+    }, this);
+    this._chunkIndex++;
+    this._chunkFrame += frames;
+    for (let i = 0; i < chunks.length && this._ondata; i++) {
+      this._ondata(chunks[i]);
+    }
+  };
+
+  // 16-bit samples, like the ones in a .wav file
+  function toPCM16(data) {
+    const result = new Int16Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      result[i] = Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7FFF);
+    }
+    return result;
+  }
+
+  function interleave(channels) {
+    const frames = channels[0].length;
+    const result = new channels[0].constructor(frames * channels.length);
+    for (let i = 0; i < frames; i++) {
+      for (let channel = 0; channel < channels.length; channel++) {
+        result[i * channels.length + channel] = channels[channel][i];
+      }
+    }
+    return result;
+  }
+
+  /**
+   *  Keep the last few seconds of input in a rolling buffer, whether or
+   *  not the p5.SoundRecorder is recording, so that they can be saved
+   *  after the fact with <code>captureLast()</code>. For example, an
+   *  installation can save the clap that set off a detector.
+   *
+   *  @method  captureLength
+   *  @for p5.SoundRecorder
+   *  @param  {Number} [seconds] how many seconds to keep, or 0 to stop
+   *                             keeping any
+   *  @return {Number} how many seconds are kept
+   */
+  p5.SoundRecorder.prototype.captureLength = function(seconds) {
+    if (typeof seconds !== 'undefined') {
+      if (typeof seconds !== 'number' || seconds < 0) {
+        throw 'captureLength() takes a number of seconds';
+      }
+      this._captureLength = seconds;
+      this._workletNode.port.postMessage({ name: 'captureLength', seconds: seconds });
+    }
+    return this._captureLength;
+  };
+
+  /**
+   *  Copy the last <code>seconds</code> of input to a p5.SoundFile,
+   *  from the rolling buffer that is kept with <code>captureLength()</code>.
+   *  The capture ends at the moment captureLast() is called, and can be
+   *  shorter than <code>seconds</code> if the p5.SoundRecorder hasn't
+   *  been listening for that long.
+   *
+   *  @method  captureLast
+   *  @for p5.SoundRecorder
+   *  @param  {Number}       seconds   how many seconds to capture, at most
+   *                                   the length given to captureLength()
+   *  @param  {p5.SoundFile|Object} soundFile the p5.SoundFile to copy
+   *                                          them to, or an object of
+   *                                          p5.SoundFiles after
+   *                                          <code>setInputs()</code>
+   *  @param  {Function}     [callback] called with the p5.SoundFile once
+   *                                    the audio has been copied to it
+   *  @param  {Function}     [errorCallback] called with an Error if
+   *                                         there was nothing to
+   *                                         capture yet, or the inputs
+   *                                         changed before the capture
+   *                                         arrived
+   *  @example
+   *  <div><code>
+   *  let mic, recorder, detector, soundFile;
+   *  let captured = false;
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(userStartAudio);
+   *    background(220);
+   *    text('clap!', 10, 20);
+   *
+   *    mic = new p5.AudioIn();
+   *    mic.start();
+   *    recorder = new p5.SoundRecorder();
+   *    recorder.setInput(mic);
+   *    recorder.captureLength(3);
+   *
+   *    soundFile = new p5.SoundFile();
+   *    detector = new p5.Amplitude();
+   *    detector.setInput(mic);
+   *  }
+   *
+   *  function draw() {
+   *    if (detector.getLevel() > 0.3 && !captured) {
+   *      captured = true;
+   *      // save the clap and what came just before it
+   *      recorder.captureLast(2, soundFile, function() {
+   *        soundFile.play();
+   *      });
+   *    }
+   *  }
+   *  </code></div>
+   */
+  p5.SoundRecorder.prototype.captureLast = function(seconds, soundFile, callback, errorCallback) {
+    if (!(this._captureLength > 0)) {
+      throw 'captureLast() needs a rolling buffer. Use captureLength() first';
+    }
+    const id = this._captureId++;
+    this._captures[id] = function(stems, message) {
+      if (!message && stems[0][0].length === 0) {
+        message = 'captureLast() had nothing to capture yet';
+      }
+      if (message) {
+        if (errorCallback) {
+          errorCallback(new Error(message));
+        } else {
+          console.error(message);
+        }
+        return;
+      }
+      this._deliver(soundFile, stems);
+      if (callback) {
+        callback(soundFile);
+      }
+    }.bind(this);
+    this._workletNode.port.postMessage({ name: 'captureLast', seconds: seconds, id: id });
+  };
+
+  // captures that are still on the audio thread of a worklet node that
+  // is going away never arrive, so report them as failed
+  p5.SoundRecorder.prototype._cancelCaptures = function(message) {
+    const captures = this._captures;
+    this._captures = {};
+    Object.keys(captures).forEach(function(id) {
+      captures[id](null, message);
+    });
+  };
+
   p5.SoundRecorder.prototype.dispose = function() {
     // remove reference from soundArray
     var index = p5sound.soundArray.indexOf(this);
     p5sound.soundArray.splice(index, 1);
 
     this._callback = function() {};
-    if (this.input) {
-      this.input.disconnect();
-    }
+    this._disconnectInputs();
     this.input = null;
+    if (this._workletNode) {
+      this._workletNode.port.onmessage = null;
+      this._workletNode.disconnect();
+    }
     this._workletNode = null;
+    this._cancelCaptures('the p5.SoundRecorder was disposed of before the capture arrived');
   };
 
 
   /**
-   * Save a p5.SoundFile as a .wav file. The browser will prompt the user
-   * to download the file to their device.
+   * Save a p5.SoundFile as a .wav file, or as a compressed .webm or .ogg
+   * file. The browser will prompt the user to download the file to their
+   * device.
    * For uploading audio to a server, use
    * <a href="/docs/reference/#/p5.SoundFile/saveBlob">`p5.SoundFile.saveBlob`</a>.
    *
    *  @for p5
    *  @method saveSound
    *  @param  {p5.SoundFile} soundFile p5.SoundFile that you wish to save
-   *  @param  {String} fileName      name of the resulting .wav file.
+   *  @param  {String} fileName      name of the resulting file.
+   *  @param  {Object} [options]     <code>format</code>
+   *                                 (<code>'wav'</code>, <code>'webm'</code>
+   *                                 or <code>'ogg'</code>), and the bit
+   *                                 depth, channels, sample rate and
+   *                                 metadata of .wav files, see
+   *                                 <code>p5.SoundFile.save()</code>
+   *  @return {Promise} resolves with the Blob of the file, or rejects if
+   *                    the browser can't encode the format
    */
   // add to p5.prototype as this is used by the p5 `save()` method.
-  p5.prototype.saveSound = function (soundFile, fileName) {
-    const dataView = convertToWav(soundFile.buffer);
-    p5.prototype.writeFile([dataView], fileName, 'wav');
+  p5.prototype.saveSound = function (soundFile, fileName, options) {
+    // p5's save() passes the file extension
+    const opts = options && typeof options === 'object' ? options : {};
+    const format = opts.format || 'wav';
+    if (format === 'wav') {
+      const dataView = convertToWav(soundFile.buffer, opts);
+      p5.prototype.writeFile([dataView], fileName, 'wav');
+      return Promise.resolve(new Blob([dataView], { type: 'audio/wav' }));
+    }
+    return encodeCompressed(soundFile.buffer, format, opts).then(function(blob) {
+      p5.prototype.writeFile([blob], fileName, format);
+      return blob;
+    });
+  };
+
+  /**
+   * Save stems, such as the ones recorded from several sources with
+   * <code>p5.SoundRecorder.setInputs()</code>, as one file for each stem
+   * named after the stem, for example <code>take-mic.wav</code> and
+   * <code>take-synth.wav</code>. Stems recorded together all start on the
+   * same sample, so they line up when imported into a multi-track editor.
+   *
+   *  @for p5
+   *  @method saveStems
+   *  @param  {Object} soundFiles an object with a p5.SoundFile for each
+   *                              stem name
+   *  @param  {String} fileName   name that the stem names are added to
+   *  @param  {Object} [options]  format and .wav options, see
+   *                              <code>saveSound()</code>
+   *  @return {Promise} resolves with an Array of the Blobs of the files
+   */
+  p5.prototype.saveStems = function (soundFiles, fileName, options) {
+    const baseName = fileName.replace(/\.(wav|webm|ogg)$/i, '');
+    return Promise.all(Object.keys(soundFiles).map(function(name) {
+      return p5.prototype.saveSound(soundFiles[name], baseName + '-' + name, options);
+    }));
   };
 });
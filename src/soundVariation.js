@@ -0,0 +1,412 @@
+'use strict';
+
+define(function (require) {
+  var p5sound = require('master');
+  var ac = p5sound.audiocontext;
+
+  // how long a voice that is stolen takes to fade out, in seconds
+  var STEAL_FADE_TIME = 0.01;
+
+  /**
+   *  A p5.SoundVariation plays one of several sounds each time it is
+   *  played, with a little random variation in pitch, volume and pan,
+   *  so that footsteps, impacts and other one-shots that are played
+   *  over and over don't sound mechanical.
+   *
+   *  The sounds can be p5.SoundFiles, or regions of p5.SoundFiles
+   *  given as <code>{ sound: soundFile, region: 'name' }</code>. Each
+   *  play is a voice with its own rate, volume and pan, that goes
+   *  through the sound file's volume, pan and effects without changing
+   *  them, so voices that are still ringing keep their own. When more
+   *  voices than the polyphony are playing, the oldest one is stopped.
+   *
+   *  @class p5.SoundVariation
+   *  @constructor
+   *  @param {Array}  [sounds]  p5.SoundFiles and regions
+   *  @param {Object} [options] <code>mode</code>
+   *                            (<code>'roundrobin'</code>,
+   *                            <code>'random'</code> or
+   *                            <code>'norepeat'</code>),
+   *                            <code>polyphony</code> (8 by default), and
+   *                            <code>rate</code>, <code>amp</code> and
+   *                            <code>pan</code>: how much each play can
+   *                            vary from its rate, volume and pan.
+   *  @example
+   *  <div><code>
+   *  let steps;
+   *
+   *  function preload() {
+   *    let sound = loadSound('assets/beat.mp3');
+   *    steps = new p5.SoundVariation([sound], {
+   *      mode: 'norepeat',
+   *      rate: 0.08,
+   *      amp: 0.2,
+   *      pan: 0.3
+   *    });
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(function() {
+   *      steps.play();
+   *    });
+   *    background(220);
+   *    text('tap to play', 10, 20);
+   *  }
+   *  </code></div>
+   */
+  p5.SoundVariation = function(sounds, options) {
+    var opts = options || {};
+
+    // the sounds to choose from, and the index of the last one played
+    this._sounds = [];
+    this._last = -1;
+    this._mode = 'random';
+    this.mode(opts.mode || 'random');
+
+    this._polyphony = opts.polyphony || 8;
+    this._variation = {
+      rate: opts.rate || 0,
+      amp: opts.amp || 0,
+      pan: opts.pan || 0
+    };
+    this._pan = 0;
+    this._amp = 1;
+
+    // voices that are playing, oldest first
+    this._voices = [];
+
+    var list = sounds || [];
+    for (var i = 0; i < list.length; i++) {
+      this.add(list[i]);
+    }
+
+    p5sound.soundArray.push(this);
+  };
+
+  /**
+   *  Add a p5.SoundFile, or a region of one, to the sounds to choose
+   *  from.
+   *
+   *  @method add
+   *  @for p5.SoundVariation
+   *  @param {p5.SoundFile|Object} sound  a p5.SoundFile, or an object
+   *                                      with a <code>sound</code> and
+   *                                      the name of its
+   *                                      <code>region</code>
+   */
+  p5.SoundVariation.prototype.add = function(sound) {
+    var soundFile = sound instanceof p5.SoundFile ? sound : sound && sound.sound;
+    if (!(soundFile instanceof p5.SoundFile)) {
+      throw 'p5.SoundVariation can only play p5.SoundFiles';
+    }
+    var region = sound.region || null;
+    if (region !== null && !soundFile.getRegion(region)) {
+      throw 'there is no region named "' + region + '"';
+    }
+    this._sounds.push({ soundFile: soundFile, region: region });
+  };
+
+  /**
+   *  How many sounds there are to choose from.
+   *
+   *  @method length
+   *  @for p5.SoundVariation
+   *  @return {Number}
+   */
+  p5.SoundVariation.prototype.length = function() {
+    return this._sounds.length;
+  };
+
+  /**
+   *  Set or get how the sound to play is chosen:
+   *  <code>'roundrobin'</code> plays the sounds in turn,
+   *  <code>'random'</code> picks any sound and
+   *  <code>'norepeat'</code> picks any sound but the last one played.
+   *
+   *  @method mode
+   *  @for p5.SoundVariation
+   *  @param {String} [mode]
+   *  @return {String} the mode
+   */
+  p5.SoundVariation.prototype.mode = function(mode) {
+    if (typeof mode !== 'undefined') {
+      var m = mode.toLowerCase();
+      if (m !== 'roundrobin' && m !== 'random' && m !== 'norepeat') {
+        throw 'Invalid mode. Must be "roundrobin", "random" or "norepeat"';
+      }
+      this._mode = m;
+    }
+    return this._mode;
+  };
+
+  /**
+   *  Set or get how much each play can vary. <code>rate</code> and
+   *  <code>amp</code> are fractions of the rate and volume, so a
+   *  <code>rate</code> of 0.05 plays between 5% slower and 5% faster.
+   *  <code>pan</code> is added to the pan, between -1 and 1.
+   *
+   *  @method variation
+   *  @for p5.SoundVariation
+   *  @param {Object} [amounts] <code>rate</code>, <code>amp</code> and
+   *                            <code>pan</code>
+   *  @return {Object} the amounts of variation
+   */
+  p5.SoundVariation.prototype.variation = function(amounts) {
+    if (amounts) {
+      for (var key in this._variation) {
+        if (this._variation.hasOwnProperty(key) && typeof amounts[key] === 'number') {
+          this._variation[key] = Math.max(amounts[key], 0);
+        }
+      }
+    }
+    return {
+      rate: this._variation.rate,
+      amp: this._variation.amp,
+      pan: this._variation.pan
+    };
+  };
+
+  /**
+   *  Set or get the most voices that can play at once. Playing more
+   *  stops the oldest voice.
+   *
+   *  @method polyphony
+   *  @for p5.SoundVariation
+   *  @param {Number} [voices]
+   *  @return {Number} the polyphony
+   */
+  p5.SoundVariation.prototype.polyphony = function(voices) {
+    if (typeof voices === 'number') {
+      this._polyphony = Math.max(Math.floor(voices), 1);
+      while (this._voices.length > this._polyphony) {
+        this._stopVoice(this._voices[0], STEAL_FADE_TIME);
+      }
+    }
+    return this._polyphony;
+  };
+
+  /**
+   *  Play one of the sounds, chosen by the mode, with a random rate,
+   *  volume and pan around the ones given. The rate and volume are
+   *  relative to the sound file's own.
+   *
+   *  @method play
+   *  @for p5.SoundVariation
+   *  @param {Number} [startTime] (optional) schedule playback to start (in seconds from now).
+   *  @param {Number} [rate]      (optional) playback rate
+   *  @param {Number} [amp]       (optional) amplitude (volume)
+   *                                     of playback
+   *  @return {Number} the index of the sound that was played
+   */
+  p5.SoundVariation.prototype.play = function(startTime, rate, amp) {
+    var index = this._choose();
+    if (index === -1) {
+      throw 'not ready to play file, buffer has yet to load. Try preload()';
+    }
+    this._last = index;
+
+    var variation = this._variation;
+    var playRate = (typeof rate === 'number' ? rate : 1) * randomAround(1, variation.rate);
+    var playAmp = (typeof amp === 'number' ? amp : 1) * this._amp * randomAround(1, variation.amp);
+    var pan = Math.min(Math.max(randomAround(this._pan, variation.pan), -1), 1);
+
+    if (this._voices.length >= this._polyphony) {
+      this._stopVoice(this._voices[0], STEAL_FADE_TIME);
+    }
+    this._startVoice(this._sounds[index], Math.max(startTime || 0, 0), playRate, Math.max(playAmp, 0), pan);
+    return index;
+  };
+
+  /**
+   *  Stop every voice.
+   *
+   *  @method stop
+   *  @for p5.SoundVariation
+   *  @param {Number} [timeFromNow] (optional) schedule the stop (in seconds from now)
+   */
+  p5.SoundVariation.prototype.stop = function(timeFromNow) {
+    while (this._voices.length > 0) {
+      // voices fade out as their sound files would if they were stopped
+      var voice = this._voices[0];
+      this._stopVoice(voice, voice.soundFile.getFadeTime(), timeFromNow);
+    }
+  };
+
+  /**
+   *  Returns true if any voice is playing.
+   *
+   *  @method isPlaying
+   *  @for p5.SoundVariation
+   *  @return {Boolean}
+   */
+  p5.SoundVariation.prototype.isPlaying = function() {
+    return this._voices.length > 0;
+  };
+
+  /**
+   *  How many voices are playing.
+   *
+   *  @method voices
+   *  @for p5.SoundVariation
+   *  @return {Number}
+   */
+  p5.SoundVariation.prototype.voices = function() {
+    return this._voices.length;
+  };
+
+  /**
+   *  Set or get the volume that the volume of each play is multiplied
+   *  by.
+   *
+   *  @method  amp
+   *  @for p5.SoundVariation
+   *  @param  {Number} [volume] amplitude between 0 and 1.0
+   *  @return {Number} the volume
+   */
+  p5.SoundVariation.prototype.amp = function(volume) {
+    if (typeof volume === 'number') {
+      this._amp = Math.max(volume, 0);
+    }
+    return this._amp;
+  };
+
+  /**
+   *  Set the pan that the pan of each play varies around. It is
+   *  applied before the pan of the sound file.
+   *
+   *  @method pan
+   *  @for p5.SoundVariation
+   *  @param {Number} [panning] between -1.0 (left) and 1.0 (right)
+   *  @return {Number} the pan
+   */
+  p5.SoundVariation.prototype.pan = function(panning) {
+    if (typeof panning === 'number') {
+      this._pan = Math.min(Math.max(panning, -1), 1);
+    }
+    return this._pan;
+  };
+
+  p5.SoundVariation.prototype.dispose = function() {
+    var index = p5sound.soundArray.indexOf(this);
+    p5sound.soundArray.splice(index, 1);
+
+    this.stop();
+    this._sounds = [];
+  };
+
+  /*** PRIVATE ***/
+
+  // index of the next sound to play, or -1 if none have loaded
+  p5.SoundVariation.prototype._choose = function() {
+    var candidates = [];
+    for (var i = 0; i < this._sounds.length; i++) {
+      if (this._sounds[i].soundFile.buffer) {
+        candidates.push(i);
+      }
+    }
+    if (candidates.length === 0) {
+      return -1;
+    }
+
+    if (this._mode === 'roundrobin') {
+      for (var j = 0; j < candidates.length; j++) {
+        if (candidates[j] > this._last) {
+          return candidates[j];
+        }
+      }
+      return candidates[0];
+    }
+
+    if (this._mode === 'norepeat' && candidates.length > 1) {
+      candidates = candidates.filter(function(index) {
+        return index !== this._last;
+      }, this);
+    }
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  };
+
+  // each voice has its own source, gain and panner, connected to the
+  // sound file where its own sources are, before its volume and pan
+  p5.SoundVariation.prototype._startVoice = function(sound, startTime, rate, amp, pan) {
+    var self = this;
+    var soundFile = sound.soundFile;
+    if (!soundFile.output) {
+      console.warn('p5.SoundVariation played a p5.SoundFile after dispose');
+      return;
+    }
+    var buffer = soundFile.buffer;
+    var region = sound.region ? soundFile.getRegion(sound.region) : null;
+    var offset = region ? region.start : 0;
+    var duration = region ? region.duration() : buffer.duration;
+    var time = ac.currentTime + startTime;
+
+    var source = ac.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = (Math.abs(soundFile.playbackRate / soundFile._stretch) || 1) * Math.abs(rate);
+
+    var gain = ac.createGain();
+    source.connect(gain);
+    var panner = new p5.Panner(gain, soundFile._pitchShiftNode || soundFile.output, buffer.numberOfChannels);
+    panner.pan(pan);
+
+    // a region's fades are scaled to the voice's volume
+    var fadeIn = region ? region.fadeIn : 0;
+    var fadeOut = region ? region.fadeOut : 0;
+    var endTime = time + duration / source.playbackRate.value;
+    gain.gain.setValueAtTime(fadeIn ? 0 : amp, time);
+    if (fadeIn) {
+      gain.gain.linearRampToValueAtTime(amp, time + fadeIn);
+    }
+    if (fadeOut) {
+      gain.gain.setValueAtTime(amp, Math.max(endTime - fadeOut, time + fadeIn));
+      gain.gain.linearRampToValueAtTime(0, endTime);
+    }
+
+    var voice = {
+      soundFile: soundFile,
+      source: source,
+      gain: gain,
+      panner: panner,
+      startTime: time
+    };
+    source.onended = function() {
+      var index = self._voices.indexOf(voice);
+      if (index > -1) {
+        self._voices.splice(index, 1);
+      }
+      gain.disconnect();
+      panner.disconnect();
+    };
+    source.start(time, offset, duration);
+    this._voices.push(voice);
+  };
+
+  // stop only this voice, fading out its own gain
+  p5.SoundVariation.prototype._stopVoice = function(voice, fadeTime, timeFromNow) {
+    var time = ac.currentTime + (timeFromNow || 0);
+    var index = this._voices.indexOf(voice);
+    if (index > -1) {
+      this._voices.splice(index, 1);
+    }
+    // a voice that hasn't started yet is stopped without a fade
+    if (fadeTime > 0 && voice.startTime < time) {
+      var gain = voice.gain.gain;
+      gain.cancelScheduledValues(time);
+      gain.setValueAtTime(gain.value, time);
+      gain.linearRampToValueAtTime(0, time + fadeTime);
+      time += fadeTime;
+    }
+    try {
+      voice.source.stop(time);
+    } catch(e) {
+      // the source has already been stopped
+    }
+  };
+
+  // a random number up to amount away from value
+  function randomAround(value, amount) {
+    return value + (Math.random() * 2 - 1) * amount;
+  }
+
+});
@@ -5,7 +5,15 @@ define(function (require) {
   const CustomError = require('errorHandler');
   const p5sound = require('master');
   const ac = p5sound.audiocontext;
-  const { midiToFreq, convertToWav, safeBufferSize } = require('helpers');
+  const {
+    convertToWav,
+    encodeCompressed,
+    fetchAudio,
+    midiToFreq,
+    parseWavMetadata,
+    safeBufferSize,
+    sniffAudioFormat
+  } = require('helpers');
   var processorNames = require('./audioWorklet/processorNames');
 
   /**
@@ -25,10 +33,15 @@ define(function (require) {
    *
    *  @class p5.SoundFile
    *  @constructor
-   *  @param {String|Array} path   path to a sound file (String). Optionally,
+   *  @param {String|Array|Object} path   path to a sound file (String). Optionally,
    *                               you may include multiple file formats in
-   *                               an array. Alternately, accepts an object
-   *                               from the HTML5 File API, or a p5.File.
+   *                               an array. Alternately, accepts a data URI,
+   *                               a Blob or File from the HTML5 File API, a
+   *                               p5.File, or an ArrayBuffer of encoded audio.
+   *  @param {Object} [options]   Loading options. Set <code>stream</code> to
+   *                               true to stream the file through an HTML5
+   *                               audio element instead of decoding it
+   *                               into a buffer (see <code>loadSound</code>).
    *  @param {Function} [successCallback]   Name of a function to call once file loads
    *  @param {Function} [errorCallback]   Name of a function to call if file fails to
    *                                      load. This function will receive an error or
@@ -66,10 +79,25 @@ define(function (require) {
    * </code></div>
    */
   p5.SoundFile = function(paths, onload, onerror, whileLoading) {
+    var options = {};
+    // the options object is optional, and comes before the callbacks
+    if (onload && typeof onload === 'object') {
+      options = onload;
+      onload = onerror;
+      onerror = whileLoading;
+      whileLoading = arguments[4];
+    }
+
     if (typeof paths !== 'undefined') {
-      if (typeof paths === 'string' || typeof paths[0] === 'string') {
+      if (isDataURI(paths)) {
+        // a data URI is decoded as it is
+        this.url = paths;
+      }
+      else if (typeof paths === 'string' || typeof paths[0] === 'string') {
         var path = p5.prototype._checkFileFormats(paths);
         this.url = path;
+        // other paths to try if this one fails to load
+        this._urls = p5.prototype._getFileCandidates(paths);
       }
       else if(typeof paths === 'object') {
         if (!(window.File && window.FileReader && window.FileList && window.Blob)) {
@@ -91,6 +119,19 @@ define(function (require) {
 
     this._looping = false;
     this._playing = false;
+
+    // loop points set with setLoopPoints(), and the copy of the
+    // buffer with the loop crossfade applied to it
+    this._loopStart = null;
+    this._loopEnd = null;
+    this._loopCrossfade = 0;
+    this._loopBuffer = null;
+    this._loopBufferSource = null;
+
+    // waveform overviews from getPeaks(), see _getPeakOverview()
+    this._peakCache = {};
+    this._peakCacheKeys = [];
+    this._peakCacheBuffer = null;
     this._paused = false;
     this._pauseTime = 0;
 
@@ -98,6 +139,33 @@ define(function (require) {
     this._cues = [];
     this._cueIDCounter = 0;
 
+    // callbacks added with onposition(), and the ids of the ones
+    // the counter's processor knows about, by index
+    this._positionCallbacks = [];
+    this._sentIntervalIds = [];
+
+    // lines of lyrics or subtitles loaded with loadCues(), the lines
+    // that are playing, and the ids of the cues at their start and end
+    this._textCues = [];
+    this._activeTextCues = [];
+    this._textCueIds = [];
+    this._oncueenter = function() {};
+    this._oncueexit = function() {};
+
+    // named regions of the buffer, added with addRegion() or loadSprite()
+    this._regions = {};
+
+    // markers and INFO tags read from a .wav file, and the ids of the
+    // cues added for the markers
+    this.markers = [];
+    this.metadata = {};
+    this._markerCueIds = [];
+    this._onmarker = function() {};
+
+    // buffers replaced by edits such as trim() and normalize(), for undo()
+    this._undoStack = [];
+    this._redoStack = [];
+
     //  position of the most recently played sample
     this._lastPos = 0;
     this._counterNode = null;
@@ -112,9 +180,34 @@ define(function (require) {
     this.buffer = null;
     this.playbackRate = 1;
 
+    // the current load() and its XMLHttpRequest or FileReader,
+    // which cancelLoad() aborts
+    this._loadId = 0;
+    this._loading = false;
+    this._loadRequest = null;
+    this._loadErrorCallback = null;
+    this._loadErrorTrace = '';
+
+    // when streaming, audio plays through a media element instead of a buffer
+    this._stream = !!options.stream;
+    this._mediaElement = null;
+    this._mediaSourceNode = null;
+    this._mediaLoaded = false;
+
+    // time stretch factor and pitch shift (in semitones), applied by
+    // the _pitchShiftNode on top of the playbackRate
+    this._stretch = 1;
+    this._pitchShift = 0;
+    this._pitchShiftNode = null;
+
     this.input = p5sound.audiocontext.createGain();
     this.output = p5sound.audiocontext.createGain();
 
+    // volume set with setVolume(), which fades return to
+    this._volume = 1;
+    // default fade in / fade out time in seconds, see setFadeTime()
+    this._fadeTime = 0;
+
     this.reversed = false;
 
     // start and end of playback / loop
@@ -132,6 +225,10 @@ define(function (require) {
     this.panPosition = 0.0;
     this.panner = new p5.Panner(this.output, p5sound.input, 2);
 
+    if (options.sprite) {
+      this.loadSprite(options.sprite);
+    }
+
     // it is possible to instantiate a soundfile with no path
     if (this.url || this.file) {
       this.load(onload, onerror);
@@ -161,13 +258,41 @@ define(function (require) {
    *  <a href="https://github.com/processing/p5.js/wiki/Local-server">
    *  local server</a> is recommended when loading external files.
    *
+   *  <p>Long files such as podcasts can be streamed by passing
+   *  <code>{stream: true}</code> as the options object. A streamed
+   *  p5.SoundFile plays through an HTML5 audio element, so playback can
+   *  start before the whole file has downloaded and the file is never
+   *  decoded into memory. Playback, looping, <code>jump()</code>,
+   *  <code>currentTime()</code>, cues, <code>onended()</code> and
+   *  connections to effects and analyzers work as usual. Methods that
+   *  need the whole audio buffer (<code>reverseBuffer</code>,
+   *  <code>getPeaks</code>, <code>processPeaks</code>, negative playback
+   *  rates, <code>save</code>, <code>getBlob</code> and
+   *  <code>getBlobAsync</code>) throw an error
+   *  on a streamed p5.SoundFile.</p>
+   *
+   *  <p>If a file fails to load or decode, the other formats listed
+   *  with <code>soundFormats()</code> or in the array of paths are tried
+   *  in turn. The format of each file is identified from its first bytes
+   *  rather than its extension, and formats the browser can't play are
+   *  skipped. If every path fails, the error passed to the
+   *  errorCallback has an <code>attempts</code> array, with the
+   *  <code>url</code> of each path that was tried and the
+   *  <code>error</code> it failed with.</p>
+   *
    *  @method loadSound
    *  @for p5
-   *  @param  {String|Array}   path     Path to the sound file, or an array with
+   *  @param  {String|Array|Object} path     Path to the sound file, or an array with
    *                                    paths to soundfiles in multiple formats
    *                                    i.e. ['sound.ogg', 'sound.mp3'].
-   *                                    Alternately, accepts an object: either
-   *                                    from the HTML5 File API, or a p5.File.
+   *                                    Alternately, accepts a data URI, a Blob
+   *                                    or File from the HTML5 File API, a
+   *                                    p5.File, or an ArrayBuffer of encoded
+   *                                    audio. Loading can be stopped with
+   *                                    <code>cancelLoad()</code>.
+   *  @param {Object} [options]   Loading options.
+   *                              <code>{stream: true}</code> streams the file
+   *                              instead of loading it into a buffer.
    *  @param {Function} [successCallback]   Name of a function to call once file loads
    *  @param {Function} [errorCallback]   Name of a function to call if there is
    *                                      an error loading the file.
@@ -198,13 +323,21 @@ define(function (require) {
    *  </code></div>
    */
   p5.prototype.loadSound = function(path, callback, onerror, whileLoading) {
+    var options = {};
+    if (callback && typeof callback === 'object') {
+      options = callback;
+      callback = onerror;
+      onerror = whileLoading;
+      whileLoading = arguments[4];
+    }
+
     // if loading locally without a server
     if (window.location.origin.indexOf('file://') > -1 && window.cordova === 'undefined' ) {
       window.alert('This sketch may require a server to load external files. Please see http://bit.ly/1qcInwS');
     }
 
     var self = this;
-    var s = new p5.SoundFile(path, function() {
+    var s = new p5.SoundFile(path, options, function() {
       if(typeof callback === 'function') {
         callback.apply(self, arguments);
       }
@@ -231,96 +364,247 @@ define(function (require) {
     var self = this;
     var errorTrace = new Error().stack;
 
-    if (this.url !== undefined && this.url !== '') {
-      var request = new XMLHttpRequest();
-      request.addEventListener('progress', function(evt) {
-        self._updateProgress(evt);
-      }, false);
-      request.open('GET', this.url, true);
-      request.responseType = 'arraybuffer';
-
-      request.onload = function() {
-        if (request.status === 200) {
-          // on sucess loading file:
-          if (!self.panner) return;
-          ac.decodeAudioData(request.response,
-            // success decoding buffer:
-            function(buff) {
-              if (!self.panner) return;
-              self.buffer = buff;
-              self.panner.inputChannels(buff.numberOfChannels);
-              if (callback) {
-                callback(self);
-              }
-            },
-            // error decoding buffer. "e" is undefined in Chrome 11/22/2015
-            function() {
-              if (!self.panner) return;
-              var err = new CustomError('decodeAudioData', errorTrace, self.url);
-              var msg = 'AudioContext error at decodeAudioData for ' + self.url;
-              if (errorCallback) {
-                err.msg = msg;
-                errorCallback(err);
-              } else {
-                console.error(msg +'\n The error stack trace includes: \n' + err.stack);
-              }
-            }
-          );
-        }
-        // if request status != 200, it failed
-        else {
-          if (!self.panner) return;
-          var err = new CustomError('loadSound', errorTrace, self.url);
-          var msg = 'Unable to load ' + self.url + '. The request status was: ' +
-            request.status + ' (' + request.statusText + ')';
-
-          if (errorCallback) {
-            err.message = msg;
-            errorCallback(err);
-          } else {
-            console.error(msg +'\n The error stack trace includes: \n' + err.stack);
-          }
-        }
-      };
-
-      // if there is another error, aside from 404...
-      request.onerror = function() {
-        var err = new CustomError('loadSound', errorTrace, self.url);
-        var msg = 'There was no response from the server at ' + self.url + '. Check the url and internet connectivity.';
-
-        if (errorCallback) {
-          err.message = msg;
-          errorCallback(err);
-        } else {
-          console.error(msg +'\n The error stack trace includes: \n' + err.stack);
-        }
-      };
+    // results of loads that were cancelled, or replaced by a newer
+    // load, are ignored
+    var loadId = ++this._loadId;
+    this._loading = true;
+    this._loadErrorCallback = errorCallback;
+    this._loadErrorTrace = errorTrace;
+
+    var done = function() {
+      self._loading = false;
+      self._loadRequest = null;
+      if (callback) {
+        callback(self);
+      }
+    };
+    var fail = function(attempts) {
+      self._loading = false;
+      self._loadRequest = null;
+      self._failLoading(attempts, errorCallback, errorTrace);
+    };
 
-      request.send();
+    if (this._stream) {
+      this._loadMediaElement(done, errorCallback, errorTrace);
+    }
+    else if (isDataURI(this.url)) {
+      var data;
+      try {
+        data = dataURIToArrayBuffer(this.url);
+      } catch (e) {
+        fail([{ url: 'data URI', error: 'The data URI could not be read' }]);
+        return;
+      }
+      this._whileLoading(0.99);
+      this._decodeAudio(data, 'data URI', loadId, done, function(attempt) {
+        fail([attempt]);
+      });
+    }
+    else if (this.url !== undefined && this.url !== '') {
+      this._loadFromUrls(this._urls || [this.url], loadId, done, fail);
+    }
+    else if (this.file instanceof ArrayBuffer || ArrayBuffer.isView(this.file)) {
+      var file = this.file;
+      // decodeAudioData detaches the buffer it decodes, so decode a copy
+      var bytes = ArrayBuffer.isView(file)
+        ? file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength)
+        : file.slice(0);
+      this._whileLoading(0.99);
+      this._decodeAudio(bytes, 'ArrayBuffer', loadId, done, function(attempt) {
+        fail([attempt]);
+      });
     }
     else if (this.file !== undefined) {
+      var name = this.file.name || 'Blob';
       var reader = new FileReader();
+      this._loadRequest = reader;
+      reader.onprogress = function(evt) {
+        if (self._isLoading(loadId)) {
+          self._updateProgress(evt);
+        }
+      };
       reader.onload = function() {
-        if (!self.panner) return;
-        ac.decodeAudioData(reader.result, function(buff) {
-          if (!self.panner) return;
-          self.buffer = buff;
-          self.panner.inputChannels(buff.numberOfChannels);
-          if (callback) {
-            callback(self);
-          }
+        if (!self._isLoading(loadId)) return;
+        self._decodeAudio(reader.result, name, loadId, done, function(attempt) {
+          fail([attempt]);
         });
       };
-      reader.onerror = function(e) {
-        if (!self.panner) return;
-        if (onerror) {
-          onerror(e);
-        }
+      reader.onerror = function() {
+        if (!self._isLoading(loadId)) return;
+        fail([{
+          url: name,
+          error: 'The file could not be read' + (reader.error ? ': ' + reader.error.message : '')
+        }]);
       };
       reader.readAsArrayBuffer(this.file);
     }
   };
 
+  /**
+   *  Stop loading the sound file. The errorCallback given to
+   *  <code>loadSound()</code> is called with an error that has a
+   *  <code>cancelled</code> property set to true.
+   *
+   *  @method cancelLoad
+   *  @for p5.SoundFile
+   *  @return {Boolean} true if a load was cancelled, false if the
+   *                    sound file wasn't loading
+   *  @example
+   *  <div><code>
+   *  let mySound;
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    background(220);
+   *    text('tap to cancel loading', 10, 20, width - 20);
+   *    mySound = loadSound('assets/Damscray_DancingTiger.mp3', loaded, failed);
+   *    cnv.mousePressed(function() {
+   *      mySound.cancelLoad();
+   *    });
+   *  }
+   *
+   *  function loaded() {
+   *    background(220);
+   *    text('loaded', 10, 20);
+   *  }
+   *
+   *  function failed(err) {
+   *    background(220);
+   *    text(err.cancelled ? 'cancelled' : 'failed to load', 10, 20);
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.cancelLoad = function() {
+    if (!this._loading) {
+      return false;
+    }
+    this._loadId++;
+    this._loading = false;
+    if (this._loadRequest) {
+      this._loadRequest.abort();
+      this._loadRequest = null;
+    }
+    if (this._stream) {
+      this._disposeMediaElement();
+    }
+
+    var err = new CustomError('loadSound', this._loadErrorTrace, this.url);
+    err.message = 'Loading ' + (this.url || 'the sound file') + ' was cancelled';
+    err.cancelled = true;
+    err.attempts = [];
+    if (this._loadErrorCallback) {
+      this._loadErrorCallback(err);
+    }
+    return true;
+  };
+
+  // true if the load with this id is still going on
+  p5.SoundFile.prototype._isLoading = function(loadId) {
+    return loadId === this._loadId && !!this.panner;
+  };
+
+  // Decode audio data into this.buffer. The file format is sniffed from
+  // the first bytes of the data, so that formats the browser can't play
+  // are skipped whatever their extension. onFailed is given a
+  // description of the attempt for the error
+  p5.SoundFile.prototype._decodeAudio = function(arrayBuffer, url, loadId, onDecoded, onFailed) {
+    var self = this;
+    var format = sniffAudioFormat(arrayBuffer);
+    if (format && !p5.prototype.isFileSupported(format)) {
+      onFailed({
+        url: url,
+        format: format,
+        decodeError: true,
+        error: 'This browser can not decode ' + format + ' files'
+      });
+      return;
+    }
+
+    // decoding detaches the array buffer, so read the chunks of .wav
+    // files that decodeAudioData ignores first
+    var wavMetadata = format === 'wav' ? parseWavMetadata(arrayBuffer) : null;
+
+    ac.decodeAudioData(arrayBuffer,
+      // success decoding buffer:
+      function(buff) {
+        if (!self._isLoading(loadId)) return;
+        self.buffer = buff;
+        self.panner.inputChannels(buff.numberOfChannels);
+        if (wavMetadata) {
+          self._setWavMetadata(wavMetadata);
+        }
+        onDecoded();
+      },
+      // error decoding buffer. "e" is undefined in Chrome 11/22/2015
+      function() {
+        if (!self._isLoading(loadId)) return;
+        onFailed({
+          url: url,
+          format: format,
+          decodeError: true,
+          error: 'AudioContext error at decodeAudioData' +
+            (format ? '' : ', the file is not in a recognized audio format')
+        });
+      }
+    );
+  };
+
+  // Try each path in turn until one of them loads and decodes
+  p5.SoundFile.prototype._loadFromUrls = function(urls, loadId, done, fail) {
+    var self = this;
+    this._loadRequest = fetchAudio(urls, function(evt) {
+      self._updateProgress(evt);
+    }, function(arrayBuffer, url, next) {
+      if (!self._isLoading(loadId)) return;
+      self.url = url;
+      self._decodeAudio(arrayBuffer, url, loadId, done, next);
+    }, function(attempts) {
+      if (!self._isLoading(loadId)) return;
+      fail(attempts);
+    });
+  };
+
+  // report every path that was tried, and why it failed
+  p5.SoundFile.prototype._failLoading = function(attempts, errorCallback, errorTrace) {
+    var decodeFailed = attempts.every(function(attempt) {
+      return attempt.decodeError;
+    });
+    var err = new CustomError(decodeFailed ? 'decodeAudioData' : 'loadSound', errorTrace, attempts[0].url);
+    var msg = 'Unable to load ' + attempts[0].url + '.';
+    attempts.forEach(function(attempt) {
+      msg += '\n  ' + attempt.url + ': ' + attempt.error;
+    });
+    err.message = msg;
+    err.msg = msg;
+    err.attempts = attempts;
+
+    if (errorCallback) {
+      errorCallback(err);
+    } else {
+      console.error(msg +'\n The error stack trace includes: \n' + err.stack);
+    }
+  };
+
+  function isDataURI(path) {
+    return typeof path === 'string' && path.indexOf('data:') === 0;
+  }
+
+  // the bytes of a base64 or percent-encoded data URI
+  function dataURIToArrayBuffer(uri) {
+    var comma = uri.indexOf(',');
+    if (comma === -1) {
+      throw 'invalid data URI';
+    }
+    var header = uri.slice(0, comma);
+    var payload = uri.slice(comma + 1);
+    var binary = /;base64$/i.test(header) ? window.atob(payload) : decodeURIComponent(payload);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i) & 0xFF;
+    }
+    return bytes.buffer;
+  }
+
   // TO DO: use this method to create a loading bar that shows progress during file upload/decode.
   p5.SoundFile.prototype._updateProgress = function(evt) {
     if (evt.lengthComputable) {
@@ -333,6 +617,191 @@ define(function (require) {
     }
   };
 
+  // stream the file through an HTML5 audio element instead of
+  // downloading and decoding all of it up front
+  p5.SoundFile.prototype._loadMediaElement = function(callback, errorCallback, errorTrace) {
+    var self = this;
+
+    // setPath() may reload a file that is already streaming
+    this._disposeMediaElement();
+
+    var el = document.createElement('audio');
+    el.crossOrigin = 'anonymous';
+    el.preload = 'auto';
+    // like a buffer, rate() changes speed and pitch together
+    el.preservesPitch = false;
+    el.mozPreservesPitch = false;
+    el.webkitPreservesPitch = false;
+
+    el.addEventListener('canplay', function onCanPlay() {
+      el.removeEventListener('canplay', onCanPlay);
+      if (!self.panner || el !== self._mediaElement) return;
+      self._mediaLoaded = true;
+      if (callback) {
+        callback(self);
+      }
+    });
+
+    el.addEventListener('progress', function() {
+      if (el !== self._mediaElement || !el.duration || !el.buffered.length) return;
+      var percentComplete = el.buffered.end(el.buffered.length - 1) / el.duration;
+      self._whileLoading(Math.min(percentComplete, 1));
+    });
+
+    el.addEventListener('error', function() {
+      if (!self.panner || el !== self._mediaElement) return;
+      self._loading = false;
+      var err = new CustomError('loadSound', errorTrace, self.url);
+      var msg = 'Unable to stream ' + self.url + '. Check the path and the file format.';
+      if (errorCallback) {
+        err.message = msg;
+        errorCallback(err);
+      } else {
+        console.error(msg +'\n The error stack trace includes: \n' + err.stack);
+      }
+    });
+
+    // the media element only fires 'ended' when it is not looping
+    el.addEventListener('ended', function() {
+      if (el !== self._mediaElement) return;
+      self._playing = false;
+      self._onended(self);
+    });
+
+    el.addEventListener('timeupdate', function() {
+      if (el !== self._mediaElement || !self._playing) return;
+      self._lastPos = el.currentTime * ac.sampleRate;
+      self._onTimeUpdate(self._lastPos);
+    });
+
+    if (this.url !== undefined && this.url !== '') {
+      el.src = this.url;
+    } else {
+      el.src = URL.createObjectURL(this.file instanceof Blob ? this.file : new Blob([this.file]));
+    }
+
+    this._mediaElement = el;
+    this._mediaSourceNode = ac.createMediaElementSource(el);
+    this._mediaSourceNode.connect(this._pitchShiftNode || this.output);
+  };
+
+  p5.SoundFile.prototype._disposeMediaElement = function() {
+    clearTimeout(this._mediaTimer);
+    if (this._mediaSourceNode) {
+      this._mediaSourceNode.disconnect();
+      this._mediaSourceNode = null;
+    }
+    if (this._mediaElement) {
+      var el = this._mediaElement;
+      this._mediaElement = null;
+      el.pause();
+      el.removeAttribute('src');
+      el.load();
+    }
+    this._mediaLoaded = false;
+  };
+
+  // media elements can't be scheduled on the audio clock, so streamed
+  // playback is only as accurate as setTimeout
+  p5.SoundFile.prototype._playMediaElement = function(timeFromNow, cueStart, duration) {
+    var self = this;
+    var el = this._mediaElement;
+
+    if (!this._mediaLoaded) {
+      throw 'not ready to play file, stream has yet to load. Try preload()';
+    }
+
+    // a media element has a single playhead, so sustain behaves like restart
+    if (this.mode === 'untildone' && this.isPlaying()) {
+      return;
+    }
+
+    var start = this._paused ? this.pauseTime : cueStart || 0;
+    if (start < 0 || start > el.duration) {
+      throw 'start time out of range';
+    }
+
+    clearTimeout(this._mediaTimer);
+    el.loop = this._looping && !duration;
+
+    var startPlayback = function() {
+      el.currentTime = start;
+      var playPromise = el.play();
+      if (playPromise) {
+        playPromise.catch(function(e) {
+          console.warn('Unable to play streamed p5.SoundFile: ' + e.message);
+        });
+      }
+      if (duration) {
+        self._scheduleMediaEnd(start, duration);
+      }
+    };
+
+    this._pauseTime = 0;
+    this._playing = true;
+    this._paused = false;
+
+    if (timeFromNow > 0) {
+      this._mediaTimer = setTimeout(startPlayback, timeFromNow * 1000);
+    } else {
+      startPlayback();
+    }
+  };
+
+  // end (or loop) a streamed playback of the given duration
+  p5.SoundFile.prototype._scheduleMediaEnd = function(start, duration) {
+    var self = this;
+    var rate = Math.abs(this.playbackRate / this._stretch) || 1;
+    this._mediaTimer = setTimeout(function() {
+      if (!self._mediaElement) return;
+      if (self._looping) {
+        self._mediaElement.currentTime = start;
+        self._scheduleMediaEnd(start, duration);
+      } else {
+        self.stop();
+      }
+    }, duration / rate * 1000);
+  };
+
+  p5.SoundFile.prototype._stopMediaElement = function(timeFromNow, keepPosition) {
+    var el = this._mediaElement;
+    var stopPlayback = function() {
+      el.pause();
+      if (!keepPosition) {
+        el.currentTime = 0;
+      }
+    };
+
+    clearTimeout(this._mediaTimer);
+    if (timeFromNow > 0) {
+      this._mediaTimer = setTimeout(stopPlayback, timeFromNow * 1000);
+    } else {
+      stopPlayback();
+    }
+  };
+
+  // throw a helpful error from methods that need the decoded audio buffer
+  p5.SoundFile.prototype._requireBuffer = function(feature) {
+    if (this._stream) {
+      throw feature + ' is not available for a streamed p5.SoundFile, ' +
+        'because its audio is never loaded into a buffer. ' +
+        'Load the file without the {stream: true} option to use it.';
+    }
+  };
+
+  /**
+   *  Returns true if the sound file is streamed through an HTML5 audio
+   *  element, which happens when it is loaded with the
+   *  <code>{stream: true}</code> option.
+   *
+   *  @method  isStreaming
+   *  @for p5.SoundFile
+   *  @return {Boolean}
+   */
+  p5.SoundFile.prototype.isStreaming = function() {
+    return this._stream;
+  };
+
   /**
    *  Returns true if the sound file finished loading successfully.
    *
@@ -341,7 +810,7 @@ define(function (require) {
    *  @return {Boolean}
    */
   p5.SoundFile.prototype.isLoaded = function() {
-    if (this.buffer) {
+    if (this.buffer || this._mediaLoaded) {
       return true;
     } else {
       return false;
@@ -359,8 +828,14 @@ define(function (require) {
    *                                     of playback
    * @param {Number} [cueStart]        (optional) cue start time in seconds
    * @param {Number} [duration]          (optional) duration of playback in seconds
+   * @param {Number} [fadeIn]          (optional) fade in time in seconds.
+   *                                   Defaults to the time set with
+   *                                   <code>setFadeTime()</code>
+   * @param {Number} [fadeOut]         (optional) fade out time in seconds
+   *                                   at the end of the
+   *                                   <code>duration</code>
    */
-  p5.SoundFile.prototype.play = function(startTime, rate, amp, _cueStart, duration) {
+  p5.SoundFile.prototype.play = function(startTime, rate, amp, _cueStart, duration, fadeIn, fadeOut) {
     if (!this.output) {
       console.warn('SoundFile.play() called after dispose');
       return;
@@ -383,6 +858,17 @@ define(function (require) {
       this.setVolume(amp);
     }
 
+    var fadeInTime = typeof fadeIn === 'number' ? fadeIn : this._fadeTime;
+    var fadeOutTime = typeof fadeOut === 'number' ? fadeOut : this._fadeTime;
+
+    if (this._stream) {
+      if (!(this.mode === 'untildone' && this.isPlaying()) && fadeInTime > 0) {
+        this._fadeOutputIn(time, fadeInTime);
+      }
+      this._playMediaElement(time - now, _cueStart, duration);
+      return;
+    }
+
     // TO DO: if already playing, create array of buffers for easy stop()
     if (this.buffer) {
       // reset the pause time (if it was paused)
@@ -399,7 +885,7 @@ define(function (require) {
         return;
       }
       // make a new source and counter. They are automatically assigned playbackRate and buffer
-      this.bufferSourceNode = this._initSourceNode();
+      this.bufferSourceNode = this._initSourceNode(this._looping ? this._getLoopBuffer() : this.buffer);
 
       // garbage collect counterNode and create a new one
       delete this._counterNode;
@@ -431,6 +917,16 @@ define(function (require) {
       this._playing = true;
       this._paused = false;
 
+      // fade the output to avoid clicks at the start and end of playback
+      if (fadeInTime > 0) {
+        this._fadeOutputIn(time, fadeInTime);
+      }
+      if (fadeOutTime > 0 && duration && !this._looping) {
+        var endTime = time + duration / (Math.abs(this.playbackRate / this._stretch) || 1);
+        var fadeOutStart = Math.max(endTime - fadeOutTime, time + fadeInTime);
+        this._fadeOutputOut(fadeOutStart, endTime - fadeOutStart);
+      }
+
       // add source to sources array, which is used in stopAll()
       this.bufferSourceNodes.push(this.bufferSourceNode);
       this.bufferSourceNode._arrayIndex = this.bufferSourceNodes.length - 1;
@@ -446,7 +942,11 @@ define(function (require) {
     this.bufferSourceNode.loop = this._looping;
     this._counterNode.loop = this._looping;
 
-    if (this._looping === true) {
+    // loop points set with setLoopPoints() take precedence
+    if (this._looping === true && this._loopEnd !== null) {
+      this._applyLoopPoints();
+    }
+    else if (this._looping === true) {
       cueEnd = duration ? duration : cueStart - 0.000000000000001;
       this.bufferSourceNode.loopStart = cueStart;
       this.bufferSourceNode.loopEnd = cueEnd;
@@ -529,6 +1029,9 @@ define(function (require) {
    *  @for p5.SoundFile
    *  @param {Number} [startTime] (optional) schedule event to occur
    *                               seconds from now
+   *  @param {Number} [fadeOut]   (optional) fade out time in seconds.
+   *                               Defaults to the time set with
+   *                               <code>setFadeTime()</code>
    *  @example
    *  <div><code>
    *  let soundFile;
@@ -553,20 +1056,36 @@ define(function (require) {
    *  </code>
    *  </div>
    */
-  p5.SoundFile.prototype.pause = function(startTime) {
+  p5.SoundFile.prototype.pause = function(startTime, fadeOut) {
     var now = p5sound.audiocontext.currentTime;
     var time = startTime || 0;
+    var fadeOutTime = typeof fadeOut === 'number' ? fadeOut : this._fadeTime;
+
+    // playback stops once the fade is over, so resume from where it ended
+    var fadedFor = 0;
+    if (fadeOutTime > 0 && this.isPlaying()) {
+      this._fadeOutputOut(now + time, fadeOutTime);
+      time += fadeOutTime;
+      fadedFor = fadeOutTime * Math.abs(this.playbackRate / this._stretch);
+    }
     var pTime = time + now;
 
-    if (this.isPlaying() && this.buffer && this.bufferSourceNode) {
+    if (this._stream && this.isPlaying()) {
+      this._paused = true;
+      this._playing = false;
+      this.pauseTime = Math.min(this.currentTime() + fadedFor, this.duration());
+      this._pauseTime = this.pauseTime;
+      this._stopMediaElement(time, true);
+    }
+    else if (this.isPlaying() && this.buffer && this.bufferSourceNode) {
       this._paused = true;
       this._playing = false;
 
-      this.pauseTime = this.currentTime();
+      this.pauseTime = Math.min(this.currentTime() + fadedFor, this.duration());
       this.bufferSourceNode.stop(pTime);
       this._counterNode.stop(pTime);
 
-      this._pauseTime = this.currentTime();
+      this._pauseTime = this.pauseTime;
       // TO DO: make sure play() still starts from orig start position
     } else {
       this._pauseTime = 0;
@@ -585,6 +1104,9 @@ define(function (require) {
    * @param {Number} [amp]         (optional) playback volume
    * @param {Number} [cueLoopStart] (optional) startTime in seconds
    * @param {Number} [duration]  (optional) loop duration in seconds
+   * @param {Number} [fadeIn]    (optional) fade in time in seconds.
+   *                             Defaults to the time set with
+   *                             <code>setFadeTime()</code>
    * @example
    *  <div><code>
    *  let soundFile;
@@ -611,9 +1133,9 @@ define(function (require) {
    *  </code>
    *  </div>
    */
-  p5.SoundFile.prototype.loop = function(startTime, rate, amp, loopStart, duration) {
+  p5.SoundFile.prototype.loop = function(startTime, rate, amp, loopStart, duration, fadeIn) {
     this._looping = true;
-    this.play(startTime, rate, amp, loopStart, duration);
+    this.play(startTime, rate, amp, loopStart, duration, fadeIn);
   };
 
   /**
@@ -638,63 +1160,309 @@ define(function (require) {
     if (this.bufferSourceNode) {
       this.bufferSourceNode.loop = this._looping;
       this._counterNode.loop = this._looping;
+      if (this._looping && this._loopEnd !== null) {
+        this._applyLoopPoints();
+      }
+    }
+    if (this._mediaElement) {
+      this._mediaElement.loop = this._looping;
     }
   };
 
   /**
-   * Returns 'true' if a p5.SoundFile is currently looping and playing, 'false' if not.
+   *  Set the start and end of the loop. Loop points can be changed
+   *  while the sound file is playing, and take precedence over the
+   *  loop start and duration given to <code>loop()</code>.
    *
-   * @method isLooping
-   * @for p5.SoundFile
-   * @return {Boolean}
+   *  Loop points that are not at a zero crossing (where the waveform
+   *  crosses silence) can click. The <code>snapToZeroCrossing</code>
+   *  option moves each point to the nearest zero crossing. For pads and
+   *  ambiences, a <code>crossfade</code> fades the end of the loop into
+   *  its beginning with an equal-power crossfade, which shortens the
+   *  loop by the crossfade time.
+   *
+   *  Changing a crossfaded loop while it plays restarts playback at
+   *  the current position. Use <code>setFadeTime()</code> to smooth
+   *  the restart.
+   *
+   *  @method setLoopPoints
+   *  @for p5.SoundFile
+   *  @param {Number} start     loop start time in seconds
+   *  @param {Number} end       loop end time in seconds
+   *  @param {Object} [options] <code>snapToZeroCrossing</code> (Boolean)
+   *                            and <code>crossfade</code> (in seconds)
+   *  @return {Object} The loop points after snapping, as an object with
+   *                   <code>start</code>, <code>end</code> and
+   *                   <code>crossfade</code> properties
+   *  @example
+   *  <div><code>
+   *  let pad;
+   *  function preload() {
+   *    pad = loadSound('assets/Damscray_DancingTiger.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to loop, drag to move the loop', 10, 20, width - 20);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    pad.loop();
+   *  }
+   *
+   *  function mouseDragged() {
+   *    let start = map(mouseX, 0, width, 0, pad.duration() - 2, true);
+   *    pad.setLoopPoints(start, start + 2, { snapToZeroCrossing: true });
+   *  }
+   *
+   *  function mouseReleased() {
+   *    pad.stop();
+   *  }
+   *  </code></div>
    */
-  p5.SoundFile.prototype.isLooping = function() {
-    if (!this.bufferSourceNode) {
-      return false;
+  p5.SoundFile.prototype.setLoopPoints = function(start, end, options) {
+    this._requireBuffer('setLoopPoints()');
+    if (!this.buffer) {
+      throw 'SoundFile is not done loading';
     }
-    if (this._looping === true && this.isPlaying() === true) {
-      return true;
+    var opts = options || {};
+    var sampleRate = this.buffer.sampleRate;
+    var startFrame = Math.round(start * sampleRate);
+    var endFrame = Math.round(end * sampleRate);
+
+    if (!(startFrame >= 0) || startFrame >= this.buffer.length) {
+      throw 'loop start time out of range';
     }
-    return false;
+    if (!(endFrame > startFrame) || endFrame > this.buffer.length) {
+      throw 'loop end time out of range';
+    }
+
+    if (opts.snapToZeroCrossing) {
+      // search up to 50ms in either direction
+      var maxDistance = Math.round(sampleRate * 0.05);
+      startFrame = findZeroCrossing(this.buffer, startFrame, maxDistance);
+      endFrame = findZeroCrossing(this.buffer, endFrame, maxDistance);
+    }
+
+    var crossfade = opts.crossfade || 0;
+    // the crossfade can't be longer than half of the loop
+    crossfade = Math.min(crossfade, (endFrame - startFrame) / sampleRate / 2);
+
+    var crossfadeChanged = crossfade !== this._loopCrossfade;
+    this._loopStart = startFrame / sampleRate;
+    this._loopEnd = endFrame / sampleRate;
+    this._loopCrossfade = crossfade;
+    this._loopBuffer = null;
+
+    if (this.isLooping()) {
+      if (crossfade || crossfadeChanged) {
+        // a playing source can't change its buffer, so start a new
+        // one with the new crossfade
+        var position = this.currentTime();
+        if (position < this._loopStart || position >= this._loopEnd) {
+          position = this._loopStart;
+        }
+        this.jump(position);
+      } else {
+        this._applyLoopPoints();
+      }
+    }
+
+    return this.getLoopPoints();
   };
 
   /**
-   *  Returns true if a p5.SoundFile is playing, false if not (i.e.
-   *  paused or stopped).
+   *  Returns the loop points set with <code>setLoopPoints()</code>,
+   *  or null if none are set.
    *
-   *  @method isPlaying
+   *  @method getLoopPoints
    *  @for p5.SoundFile
-   *  @return {Boolean}
+   *  @return {Object} An object with <code>start</code>,
+   *                   <code>end</code> and <code>crossfade</code>
+   *                   properties, in seconds
    */
-  p5.SoundFile.prototype.isPlaying = function() {
-    return this._playing;
+  p5.SoundFile.prototype.getLoopPoints = function() {
+    if (this._loopEnd === null) {
+      return null;
+    }
+    return {
+      start: this._loopStart,
+      end: this._loopEnd,
+      crossfade: this._loopCrossfade
+    };
   };
 
   /**
-   *  Returns true if a p5.SoundFile is paused, false if not (i.e.
-   *  playing or stopped).
+   *  Remove the loop points set with <code>setLoopPoints()</code>.
+   *  The next time the sound file loops, it will loop the whole buffer.
    *
-   *  @method  isPaused
+   *  @method clearLoopPoints
    *  @for p5.SoundFile
-   *  @return {Boolean}
    */
-  p5.SoundFile.prototype.isPaused = function() {
-    return this._paused;
+  p5.SoundFile.prototype.clearLoopPoints = function() {
+    this._loopStart = null;
+    this._loopEnd = null;
+    this._loopCrossfade = 0;
+    this._loopBuffer = null;
   };
 
-  /**
-   * Stop soundfile playback.
-   *
-   * @method stop
-   * @for p5.SoundFile
-   * @param {Number} [startTime] (optional) schedule event to occur
-   *                             in seconds from now
-   */
-  p5.SoundFile.prototype.stop = function(timeFromNow) {
-    var time = timeFromNow || 0;
+  // set the loop points of the playing source and counter nodes
+  p5.SoundFile.prototype._applyLoopPoints = function() {
+    // with a crossfade, the beginning of the loop is only heard the
+    // first time, after that it is faded into the end of the loop
+    var loopStart = this._loopStart + this._loopCrossfade;
+    var loopEnd = this._loopEnd;
+    this.bufferSourceNode.loopStart = loopStart;
+    this.bufferSourceNode.loopEnd = loopEnd;
+    this._counterNode.loopStart = loopStart;
+    this._counterNode.loopEnd = loopEnd;
+  };
 
-    if (this.mode === 'sustain' || this.mode === 'untildone') {
-      this.stopAll(time);
+  // the buffer to loop: a copy with the crossfade applied, if there is one
+  p5.SoundFile.prototype._getLoopBuffer = function() {
+    if (!this._loopCrossfade || this._loopEnd === null) {
+      return this.buffer;
+    }
+    // rebuild the copy if the buffer has been replaced since it was made
+    if (!this._loopBuffer || this._loopBufferSource !== this.buffer) {
+      var sampleRate = this.buffer.sampleRate;
+      this._loopBuffer = createCrossfadeLoopBuffer(
+        this.buffer,
+        Math.round(this._loopStart * sampleRate),
+        Math.round(this._loopEnd * sampleRate),
+        Math.round(this._loopCrossfade * sampleRate)
+      );
+      this._loopBufferSource = this.buffer;
+    }
+    return this._loopBuffer;
+  };
+
+  // index of the zero crossing closest to frame, or frame if there is none
+  // within maxDistance. Channels are summed so that all of them are checked
+  function findZeroCrossing(buffer, frame, maxDistance) {
+    var channels = [];
+    for (var c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+    var sampleAt = function(i) {
+      var sum = 0;
+      for (var ch = 0; ch < channels.length; ch++) {
+        sum += channels[ch][i];
+      }
+      return sum;
+    };
+    var isCrossing = function(i) {
+      if (i <= 0 || i >= buffer.length) {
+        return i === 0 || i === buffer.length;
+      }
+      var previous = sampleAt(i - 1);
+      var current = sampleAt(i);
+      return current === 0 || previous < 0 && current > 0 || previous > 0 && current < 0;
+    };
+
+    for (var distance = 0; distance <= maxDistance; distance++) {
+      if (isCrossing(frame - distance)) {
+        return frame - distance;
+      }
+      if (isCrossing(frame + distance)) {
+        return frame + distance;
+      }
+    }
+    return frame;
+  }
+
+  // copy of the buffer where the end of the loop fades into the frames
+  // after the loop start, with an equal-power crossfade
+  function createCrossfadeLoopBuffer(buffer, startFrame, endFrame, fadeFrames) {
+    var loopBuffer = ac.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    for (var c = 0; c < buffer.numberOfChannels; c++) {
+      var data = buffer.getChannelData(c);
+      var loopData = loopBuffer.getChannelData(c);
+      loopData.set(data);
+      for (var i = 0; i < fadeFrames; i++) {
+        var x = (i + 1) / fadeFrames * Math.PI / 2;
+        var tail = endFrame - fadeFrames + i;
+        loopData[tail] = data[tail] * Math.cos(x) + data[startFrame + i] * Math.sin(x);
+      }
+    }
+    return loopBuffer;
+  }
+
+  /**
+   * Returns 'true' if a p5.SoundFile is currently looping and playing, 'false' if not.
+   *
+   * @method isLooping
+   * @for p5.SoundFile
+   * @return {Boolean}
+   */
+  p5.SoundFile.prototype.isLooping = function() {
+    if (!this.bufferSourceNode) {
+      return false;
+    }
+    if (this._looping === true && this.isPlaying() === true) {
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   *  Returns true if a p5.SoundFile is playing, false if not (i.e.
+   *  paused or stopped).
+   *
+   *  @method isPlaying
+   *  @for p5.SoundFile
+   *  @return {Boolean}
+   */
+  p5.SoundFile.prototype.isPlaying = function() {
+    return this._playing;
+  };
+
+  /**
+   *  Returns true if a p5.SoundFile is paused, false if not (i.e.
+   *  playing or stopped).
+   *
+   *  @method  isPaused
+   *  @for p5.SoundFile
+   *  @return {Boolean}
+   */
+  p5.SoundFile.prototype.isPaused = function() {
+    return this._paused;
+  };
+
+  /**
+   * Stop soundfile playback.
+   *
+   * @method stop
+   * @for p5.SoundFile
+   * @param {Number} [startTime] (optional) schedule event to occur
+   *                             in seconds from now
+   * @param {Number} [fadeOut]   (optional) fade out time in seconds.
+   *                             Defaults to the time set with
+   *                             <code>setFadeTime()</code>
+   */
+  p5.SoundFile.prototype.stop = function(timeFromNow, fadeOut) {
+    var time = timeFromNow || 0;
+    var fadeOutTime = typeof fadeOut === 'number' ? fadeOut : this._fadeTime;
+
+    // playback stops once the fade is over
+    if (fadeOutTime > 0 && this.isPlaying() && this.output) {
+      this._fadeOutputOut(p5sound.audiocontext.currentTime + time, fadeOutTime);
+      time += fadeOutTime;
+    }
+
+    if (this._stream) {
+      if (this._mediaElement && (this._playing || this._paused)) {
+        this._stopMediaElement(time);
+        this._onended(this);
+      }
+      this._playing = false;
+      this.pauseTime = 0;
+      this._paused = false;
+    }
+    else if (this.mode === 'sustain' || this.mode === 'untildone') {
+      this.stopAll(time);
       this._playing = false;
       this.pauseTime = 0;
       this._paused = false;
@@ -705,9 +1473,13 @@ define(function (require) {
       this.pauseTime = 0;
       this.bufferSourceNode.stop(now + t);
       this._counterNode.stop(now + t);
+      this._stopRegionSources(t);
       this._playing = false;
       this._paused = false;
     }
+    else if (this.buffer) {
+      this._stopRegionSources(time);
+    }
   };
 
   /**
@@ -717,7 +1489,8 @@ define(function (require) {
   p5.SoundFile.prototype.stopAll = function(_time) {
     var now = p5sound.audiocontext.currentTime;
     var time = _time || 0;
-    if (this.buffer && this.bufferSourceNode) {
+    // sources include regions, which can play without a bufferSourceNode
+    if (this.buffer && this.bufferSourceNodes.length > 0) {
       for (var i in this.bufferSourceNodes) {
         const bufferSourceNode = this.bufferSourceNodes[i];
         if (!!bufferSourceNode) {
@@ -728,6 +1501,8 @@ define(function (require) {
           }
         }
       }
+    }
+    if (this.buffer && this.bufferSourceNode) {
       this._counterNode.stop(now + time);
       this._onended(this);
     }
@@ -758,6 +1533,7 @@ define(function (require) {
       var tFromNow = _tFromNow || 0;
       var now = p5sound.audiocontext.currentTime;
       var currentVol = this.output.gain.value;
+      this._volume = vol;
       this.output.gain.cancelScheduledValues(now + tFromNow);
       this.output.gain.linearRampToValueAtTime(currentVol, now + tFromNow);
       this.output.gain.linearRampToValueAtTime(vol, now + tFromNow + rampTime);
@@ -780,6 +1556,82 @@ define(function (require) {
     return this.output.gain.value;
   };
 
+  /**
+   *  Set the default fade time, in seconds, used by
+   *  <code>play()</code>, <code>loop()</code>, <code>stop()</code>,
+   *  <code>pause()</code> and <code>jump()</code>. A short fade
+   *  such as 0.02 seconds avoids the clicks that happen when
+   *  playback starts or stops in the middle of a sound. Defaults to 0.
+   *
+   *  Fades are applied to the output volume, so they affect all
+   *  overlapping playbacks of this sound file.
+   *
+   *  @method  setFadeTime
+   *  @for p5.SoundFile
+   *  @param {Number} seconds fade time in seconds
+   *  @example
+   *  <div><code>
+   *  let mySound;
+   *  function preload() {
+   *    mySound = loadSound('assets/Damscray_DancingTiger.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to play, release to pause', 10, 20, width - 20);
+   *    mySound.setFadeTime(0.02);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    mySound.play();
+   *  }
+   *
+   *  function mouseReleased() {
+   *    // fades out without a click
+   *    mySound.pause();
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.setFadeTime = function(seconds) {
+    if (!(seconds >= 0)) {
+      throw 'fade time must be a number of seconds >= 0';
+    }
+    this._fadeTime = seconds;
+  };
+
+  /**
+   *  Returns the default fade time in seconds (see
+   *  <code>setFadeTime()</code>).
+   *
+   *  @method  getFadeTime
+   *  @for p5.SoundFile
+   *  @return {Number} fade time in seconds
+   */
+  p5.SoundFile.prototype.getFadeTime = function() {
+    return this._fadeTime;
+  };
+
+  // fade the output in from silence, starting at the given
+  // audio context time
+  p5.SoundFile.prototype._fadeOutputIn = function(time, fadeTime) {
+    var gain = this.output.gain;
+    gain.cancelScheduledValues(time);
+    gain.setValueAtTime(0, time);
+    gain.linearRampToValueAtTime(this._volume, time + fadeTime);
+  };
+
+  // fade the output out to silence, then restore the volume at the end
+  // of the fade, when playback is stopped
+  p5.SoundFile.prototype._fadeOutputOut = function(time, fadeTime) {
+    var gain = this.output.gain;
+    gain.cancelScheduledValues(time);
+    gain.setValueAtTime(gain.value, time);
+    gain.linearRampToValueAtTime(0, time + fadeTime);
+    gain.setValueAtTime(this._volume, time + fadeTime);
+  };
+
   /**
    * Set the stereo panning of a p5.sound object to
    * a floating point number between -1.0 (left) and 1.0 (right).
@@ -885,6 +1737,10 @@ define(function (require) {
       return this.playbackRate;
     }
 
+    if (playbackRate < 0) {
+      this._requireBuffer('Reverse playback');
+    }
+
     this.playbackRate = playbackRate;
 
     if (playbackRate === 0) {
@@ -902,10 +1758,15 @@ define(function (require) {
 
     if (this.bufferSourceNode) {
       var now = p5sound.audiocontext.currentTime;
+      var sourceRate = Math.abs(playbackRate) / this._stretch;
       this.bufferSourceNode.playbackRate.cancelScheduledValues(now);
-      this.bufferSourceNode.playbackRate.linearRampToValueAtTime(Math.abs(playbackRate), now);
+      this.bufferSourceNode.playbackRate.linearRampToValueAtTime(sourceRate, now);
       this._counterNode.playbackRate.cancelScheduledValues(now);
-      this._counterNode.playbackRate.linearRampToValueAtTime(Math.abs(playbackRate), now);
+      this._counterNode.playbackRate.linearRampToValueAtTime(sourceRate, now);
+    }
+
+    if (this._mediaElement) {
+      this._mediaElement.playbackRate = this.playbackRate === 0 ? 0 : Math.abs(playbackRate) / this._stretch;
     }
 
     if (reverse) {
@@ -914,12 +1775,174 @@ define(function (require) {
     return this.playbackRate;
   };
 
-  // TO DO: document this
+  /**
+   *  Change the duration of a sound file without changing its pitch.
+   *  A factor of 2 plays the sound twice as long (half as fast),
+   *  0.5 plays it in half the time. The stretch is applied on top of
+   *  the playback <code>rate()</code>. Note that
+   *  <code>duration()</code> still returns the duration of the buffer.
+   *
+   *  Stretching works by playing the buffer at a different speed and
+   *  shifting the result back to the original pitch, so extreme
+   *  factors will introduce audible artifacts.
+   *
+   *  @method stretch
+   *  @for p5.SoundFile
+   *  @param {Number} [factor] Duration multiplier. 1.0 is normal,
+   *                           2.0 is twice as long. Must be
+   *                           greater than zero.
+   *  @return {Number} The current stretch factor
+   *  @example
+   *  <div><code>
+   *  let mySound;
+   *
+   *  function preload() {
+   *    mySound = loadSound('assets/Damscray_DancingTiger.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *  }
+   *  function canvasPressed() {
+   *    mySound.loop();
+   *  }
+   *  function mouseReleased() {
+   *    mySound.pause();
+   *  }
+   *  function draw() {
+   *    background(220);
+   *
+   *    // slow the sound down or speed it up
+   *    // without changing its pitch
+   *    let factor = map(mouseY, 0, height, 0.5, 2);
+   *    factor = constrain(factor, 0.5, 2);
+   *    mySound.stretch(factor);
+   *
+   *    line(0, mouseY, width, mouseY);
+   *    text('stretch: ' + nf(factor, 1, 2), 10, 20);
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.stretch = function(factor) {
+    if (typeof factor === 'undefined') {
+      return this._stretch;
+    }
+    if (!(factor > 0)) {
+      throw 'stretch factor must be greater than zero';
+    }
+
+    this._stretch = factor;
+
+    // apply the new source rate to nodes that are already playing
+    this.rate(this.playbackRate);
+    this._updatePitchShift();
+
+    return this._stretch;
+  };
+
+  /**
+   *  Change the tempo of a sound file without changing its pitch,
+   *  for example to match loops of different tempos. If the original
+   *  tempo is not given, the tempo detected by
+   *  <code>processPeaks()</code> will be used.
+   *
+   *  @method setTempo
+   *  @for p5.SoundFile
+   *  @param {Number} bpm           Target tempo in beats per minute
+   *  @param {Number} [originalBpm] Tempo of the sound file in beats
+   *                                per minute
+   */
+  p5.SoundFile.prototype.setTempo = function(bpm, originalBpm) {
+    var sourceTempo = originalBpm || this.tempo;
+    if (!sourceTempo) {
+      throw 'setTempo needs the original tempo of the sound file. ' +
+        'Pass it as the second parameter, or call processPeaks() first';
+    }
+    if (!(bpm > 0)) {
+      throw 'tempo must be greater than zero';
+    }
+    this.stretch(sourceTempo / bpm);
+  };
+
+  /**
+   *  Set the playback rate so that a sound recorded at middle C
+   *  (MIDI note 60) plays at the given MIDI note. This changes the
+   *  speed along with the pitch. Use <code>shiftPitch()</code> to
+   *  change the pitch without changing the speed.
+   *
+   *  @method setPitch
+   *  @for p5.SoundFile
+   *  @param {Number} num MIDI note number
+   */
   p5.SoundFile.prototype.setPitch = function(num) {
     var newPlaybackRate = midiToFreq(num) / midiToFreq(60);
     this.rate(newPlaybackRate);
   };
 
+  /**
+   *  Shift the pitch of a sound file without changing its speed.
+   *  The shift is applied on top of the playback <code>rate()</code>.
+   *
+   *  @method shiftPitch
+   *  @for p5.SoundFile
+   *  @param {Number} semitones Pitch shift in semitones. 0 is the
+   *                            original pitch, 12 is one octave up
+   *                            and -12 is one octave down.
+   */
+  p5.SoundFile.prototype.shiftPitch = function(semitones) {
+    this._pitchShift = semitones;
+    this._updatePitchShift();
+  };
+
+  /**
+   *  Returns the pitch shift of a sound file in semitones.
+   *
+   *  @method getPitchShift
+   *  @for p5.SoundFile
+   *  @return {Number} Pitch shift in semitones
+   */
+  p5.SoundFile.prototype.getPitchShift = function() {
+    return this._pitchShift;
+  };
+
+  // stretching lowers the pitch of the source by the stretch factor,
+  // so the pitch shifter raises it back before applying shiftPitch()
+  p5.SoundFile.prototype._updatePitchShift = function() {
+    var pitchRatio = this._stretch * Math.pow(2, this._pitchShift / 12);
+
+    if (!this._pitchShiftNode) {
+      // don't insert the pitch shifter until it is needed
+      if (pitchRatio === 1) {
+        return;
+      }
+      this._initPitchShiftNode();
+    }
+    this._pitchShiftNode.port.postMessage({ name: 'pitchRatio', pitchRatio: pitchRatio });
+  };
+
+  // create the pitch shifter and route all sources through it
+  p5.SoundFile.prototype._initPitchShiftNode = function() {
+    this._pitchShiftNode = new AudioWorkletNode(ac, processorNames.pitchShiftProcessor, {
+      outputChannelCount: [2]
+    });
+    this._pitchShiftNode.connect(this.output);
+
+    for (var i = 0; i < this.bufferSourceNodes.length; i++) {
+      var bufferSourceNode = this.bufferSourceNodes[i];
+      if (bufferSourceNode) {
+        // region sources are connected through their own fade gain
+        var sourceOutput = bufferSourceNode._fadeGain || bufferSourceNode;
+        sourceOutput.disconnect();
+        sourceOutput.connect(this._pitchShiftNode);
+      }
+    }
+    if (this._mediaSourceNode) {
+      this._mediaSourceNode.disconnect();
+      this._mediaSourceNode.connect(this._pitchShiftNode);
+    }
+  };
+
   p5.SoundFile.prototype.getPlaybackRate = function() {
     return this.playbackRate;
   };
@@ -935,6 +1958,8 @@ define(function (require) {
     // Return Duration
     if (this.buffer) {
       return this.buffer.duration;
+    } else if (this._mediaLoaded) {
+      return this._mediaElement.duration;
     } else {
       return 0;
     }
@@ -950,9 +1975,13 @@ define(function (require) {
    * @return {Number}   currentTime of the soundFile in seconds.
    */
   p5.SoundFile.prototype.currentTime = function() {
+    if (this._stream) {
+      return this._mediaElement ? this._mediaElement.currentTime : 0;
+    }
+    var sampleRate = this._bufferSampleRate();
     return this.reversed
-      ? Math.abs(this._lastPos - this.buffer.length) / ac.sampleRate
-      : this._lastPos / ac.sampleRate;
+      ? Math.abs(this._lastPos - this.buffer.length) / sampleRate
+      : this._lastPos / sampleRate;
   };
 
   /**
@@ -966,20 +1995,25 @@ define(function (require) {
    * @for p5.SoundFile
    * @param {Number} cueTime    cueTime of the soundFile in seconds.
    * @param {Number} duration    duration in seconds.
+   * @param {Number} [fadeTime]  (optional) time in seconds to fade out
+   *                             before the jump and fade in after it.
+   *                             Defaults to the time set with
+   *                             <code>setFadeTime()</code>
    */
-  p5.SoundFile.prototype.jump = function(cueTime, duration) {
-    if (cueTime < 0 || cueTime > this.buffer.duration) {
+  p5.SoundFile.prototype.jump = function(cueTime, duration, fadeTime) {
+    if (cueTime < 0 || cueTime > this.duration()) {
       throw 'jump time out of range';
     }
-    if (duration > this.buffer.duration - cueTime) {
+    if (duration > this.duration() - cueTime) {
       throw 'end time out of range';
     }
 
     var cTime = cueTime || 0;
     var dur = duration || undefined;
+    var fade = typeof fadeTime === 'number' ? fadeTime : this._fadeTime;
     if (this.isPlaying()) {
-      this.stop(0);
-      this.play(0, this.playbackRate, this.output.gain.value, cTime, dur);
+      this.stop(0, fade);
+      this.play(fade, this.playbackRate, undefined, cTime, dur, fade);
     }
   };
 
@@ -992,6 +2026,7 @@ define(function (require) {
     * @return {Number} [channels]
     */
   p5.SoundFile.prototype.channels = function() {
+    this._requireBuffer('channels()');
     return this.buffer.numberOfChannels;
   };
 
@@ -1003,6 +2038,7 @@ define(function (require) {
     * @return {Number} [sampleRate]
     */
   p5.SoundFile.prototype.sampleRate = function() {
+    this._requireBuffer('sampleRate()');
     return this.buffer.sampleRate;
   };
 
@@ -1015,6 +2051,7 @@ define(function (require) {
     * @return {Number} [sampleCount]
     */
   p5.SoundFile.prototype.frames = function() {
+    this._requireBuffer('frames()');
     return this.buffer.length;
   };
 
@@ -1027,14 +2064,59 @@ define(function (require) {
    *
    * Inspired by Wavesurfer.js.
    *
+   * For waveform editors, pass an options object instead:
+   * <ul>
+   *   <li><code>length</code>: size of the returned arrays</li>
+   *   <li><code>channel</code>: channel to scan. By default all
+   *   channels are combined</li>
+   *   <li><code>start</code> and <code>end</code>: the part of the
+   *   sound file to scan, in seconds, to zoom in and scroll</li>
+   *   <li><code>mode</code>: <code>'minmax'</code> (the default) returns
+   *   an object with <code>min</code> and <code>max</code> arrays, and
+   *   <code>'rms'</code> returns an array of RMS levels</li>
+   * </ul>
+   * The results are cached, so calling <code>getPeaks()</code> with the
+   * same options in <code>draw()</code> is cheap. Don't modify the
+   * returned arrays.
+   *
    * @method  getPeaks
    * @for p5.SoundFile
-   * @params {Number} [length] length is the size of the returned array.
+   * @params {Number|Object} [length] length is the size of the returned array.
    *                          Larger length results in more precision.
    *                          Defaults to 5*width of the browser window.
-   * @returns {Float32Array} Array of peaks.
+   *                          Or an object with the options above.
+   * @returns {Float32Array|Object} Array of peaks, or an object with
+   *                                <code>min</code> and <code>max</code>
+   *                                arrays in <code>'minmax'</code> mode.
+   * @example
+   * <div><code>
+   * let mySound;
+   * function preload() {
+   *   mySound = loadSound('assets/beat.mp3');
+   * }
+   *
+   * function setup() {
+   *   createCanvas(100, 100);
+   * }
+   *
+   * function draw() {
+   *   background(220);
+   *   // zoom in on the half second around the mouse
+   *   let center = map(mouseX, 0, width, 0, mySound.duration());
+   *   let start = constrain(center - 0.25, 0, mySound.duration() - 0.5);
+   *   let peaks = mySound.getPeaks({ length: width, start: start, end: start + 0.5 });
+   *   for (let x = 0; x < width; x++) {
+   *     line(x, height / 2 - peaks.max[x] * 50, x, height / 2 - peaks.min[x] * 50);
+   *   }
+   * }
+   * </code></div>
    */
   p5.SoundFile.prototype.getPeaks = function(length) {
+    this._requireBuffer('getPeaks()');
+
+    if (typeof length === 'object' && length !== null) {
+      return this._getPeakOverview(length);
+    }
 
     if (this.buffer) {
       // set length to window's width if no length is provided
@@ -1078,6 +2160,91 @@ define(function (require) {
     }
   };
 
+  // the most overviews cached per sound file, enough for a few zoom levels
+  var PEAK_CACHE_SIZE = 32;
+
+  // min/max or RMS overview of part of the buffer, see getPeaks()
+  p5.SoundFile.prototype._getPeakOverview = function(options) {
+    if (!this.buffer) {
+      throw 'Cannot load peaks yet, buffer is not loaded';
+    }
+    var buffer = this.buffer;
+    var mode = options.mode || 'minmax';
+    if (mode !== 'minmax' && mode !== 'rms') {
+      throw 'getPeaks: mode must be "minmax" or "rms"';
+    }
+    var length = Math.round(options.length || window.width * 5);
+    var channel = options.channel;
+    if (typeof channel !== 'undefined' &&
+      !(channel >= 0 && channel < buffer.numberOfChannels)) {
+      throw 'getPeaks: the sound file has no channel ' + channel;
+    }
+    var startFrame = Math.round((options.start || 0) * buffer.sampleRate);
+    var endFrame = typeof options.end === 'undefined'
+      ? buffer.length
+      : Math.round(options.end * buffer.sampleRate);
+    startFrame = Math.max(0, startFrame);
+    endFrame = Math.min(buffer.length, endFrame);
+    if (!(endFrame > startFrame)) {
+      throw 'getPeaks: end must be after start';
+    }
+
+    // the cache only holds overviews of the current buffer
+    if (this._peakCacheBuffer !== buffer) {
+      this._peakCache = {};
+      this._peakCacheKeys = [];
+      this._peakCacheBuffer = buffer;
+    }
+    var key = [mode, channel, length, startFrame, endFrame].join(',');
+    if (this._peakCache[key]) {
+      return this._peakCache[key];
+    }
+
+    var channels = [];
+    for (var c = 0; c < buffer.numberOfChannels; c++) {
+      if (typeof channel === 'undefined' || c === channel) {
+        channels.push(buffer.getChannelData(c));
+      }
+    }
+
+    var binSize = (endFrame - startFrame) / length;
+    var min = new Float32Array(length);
+    var max = new Float32Array(length);
+    var rms = new Float32Array(length);
+    for (var i = 0; i < length; i++) {
+      var from = startFrame + Math.floor(i * binSize);
+      // when zoomed in past one sample per bin, show the nearest sample
+      var to = Math.max(from + 1, startFrame + Math.floor((i + 1) * binSize));
+      var low = Infinity;
+      var high = -Infinity;
+      var sumOfSquares = 0;
+      for (var ch = 0; ch < channels.length; ch++) {
+        var data = channels[ch];
+        for (var j = from; j < to; j++) {
+          var value = data[j];
+          if (value < low) {
+            low = value;
+          }
+          if (value > high) {
+            high = value;
+          }
+          sumOfSquares += value * value;
+        }
+      }
+      min[i] = low;
+      max[i] = high;
+      rms[i] = Math.sqrt(sumOfSquares / ((to - from) * channels.length));
+    }
+
+    var result = mode === 'rms' ? rms : { min: min, max: max };
+    this._peakCache[key] = result;
+    this._peakCacheKeys.push(key);
+    if (this._peakCacheKeys.length > PEAK_CACHE_SIZE) {
+      delete this._peakCache[this._peakCacheKeys.shift()];
+    }
+    return result;
+  };
+
   /**
    *  Reverses the p5.SoundFile's buffer source.
    *  Playback must be handled separately (see example).
@@ -1107,9 +2274,10 @@ define(function (require) {
    * </div>
    */
   p5.SoundFile.prototype.reverseBuffer = function() {
+    this._requireBuffer('reverseBuffer()');
     if (this.buffer) {
-      var currentPos = this._lastPos / ac.sampleRate;
-      var curVol = this.getVolume();
+      var currentPos = this._lastPos / this._bufferSampleRate();
+      var curVol = this._volume;
       this.setVolume(0, 0.001);
 
       const numChannels = this.buffer.numberOfChannels;
@@ -1118,9 +2286,14 @@ define(function (require) {
       }
       // set reversed flag
       this.reversed = !this.reversed;
+      // the crossfaded loop copy and waveform overviews were made
+      // from the unreversed audio
+      this._loopBuffer = null;
+      this._peakCacheBuffer = null;
 
       if (this.isPlaying() && currentPos) {
-        this.jump(this.duration() - currentPos);
+        // the volume is already ramped down, so jump without a fade
+        this.jump(this.duration() - currentPos, undefined, 0);
       }
       this.setVolume(curVol, 0.001);
     } else {
@@ -1178,6 +2351,11 @@ define(function (require) {
         this._counterNode = null;
       }
     }
+    this._disposeMediaElement();
+    if (this._pitchShiftNode) {
+      this._pitchShiftNode.disconnect();
+      this._pitchShiftNode = null;
+    }
     if (this.output) {
       this.output.disconnect();
       this.output = null;
@@ -1242,6 +2420,7 @@ define(function (require) {
   p5.SoundFile.prototype.setPath = function(p, callback) {
     var path = p5.prototype._checkFileFormats(p);
     this.url = path;
+    this._urls = p5.prototype._getFileCandidates(p);
     this.load(callback);
   };
 
@@ -1255,6 +2434,7 @@ define(function (require) {
    *                     a mono source.
    */
   p5.SoundFile.prototype.setBuffer = function(buf) {
+    this._requireBuffer('setBuffer()');
     var numChannels = buf.length;
     var size = buf[0].length;
     var newBuffer = ac.createBuffer(numChannels, size, ac.sampleRate);
@@ -1269,35 +2449,201 @@ define(function (require) {
     }
 
     this.buffer = newBuffer;
+    this._loopBuffer = null;
 
     // set numbers of channels on input to the panner
     this.panner.inputChannels(numChannels);
   };
 
-  //////////////////////////////////////////////////
-  // script processor node with an empty buffer to help
-  // keep a sample-accurate position in playback buffer.
-  // Inspired by Chinmay Pendharkar's technique for Sonoport --> http://bit.ly/1HwdCsV
-  // Copyright [2015] [Sonoport (Asia) Pte. Ltd.],
-  // Licensed under the Apache License http://apache.org/licenses/LICENSE-2.0
-  ////////////////////////////////////////////////////////////////////////////////////
-
-  var _createCounterBuffer = function(buffer) {
-    const len = buffer.length;
-    const audioBuf = ac.createBuffer( 1, buffer.length, ac.sampleRate );
-    const arrayBuffer = audioBuf.getChannelData(0);
-    for (var index = 0; index < len; index++) {
-      arrayBuffer[index] = index;
-    }
-    return audioBuf;
-  };
-
-  // initialize counterNode, set its initial buffer and playbackRate
-  p5.SoundFile.prototype._initCounterNode = function() {
-    var self = this;
-    var now = ac.currentTime;
-    var cNode = ac.createBufferSource();
-
+  /**
+   *  Create a p5.SoundFile from raw sample data, for example audio
+   *  synthesized in JavaScript. The sample rate can differ from the
+   *  audio context's, the sound file is resampled when it plays.
+   *
+   *  @method  fromArray
+   *  @for p5.SoundFile
+   *  @static
+   *  @param {Array|Float32Array} channels  An array of samples for a
+   *                                        mono sound file, or an array
+   *                                        with an array of samples
+   *                                        for each channel
+   *  @param {Number} [sampleRate] sample rate of the data, defaults
+   *                               to the audio context's sample rate
+   *  @return {p5.SoundFile}
+   *  @example
+   *  <div><code>
+   *  let noise;
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to play a second of noise', 10, 20, width - 20);
+   *
+   *    let samples = [];
+   *    for (let i = 0; i < 22050; i++) {
+   *      samples.push(random(-0.5, 0.5));
+   *    }
+   *    noise = p5.SoundFile.fromArray(samples, 22050);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    noise.play();
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.fromArray = function(channels, sampleRate) {
+    var data = toChannelArrays(channels);
+    var rate = typeof sampleRate === 'undefined' ? ac.sampleRate : sampleRate;
+    if (typeof rate !== 'number' || !(rate > 0)) {
+      throw 'fromArray: sampleRate must be a positive number';
+    }
+    return soundFileFromBuffer(createAudioBuffer(data, rate));
+  };
+
+  /**
+   *  Create a p5.SoundFile from an AudioBuffer. The audio is copied,
+   *  so later changes to the AudioBuffer don't affect the sound file.
+   *
+   *  @method  fromAudioBuffer
+   *  @for p5.SoundFile
+   *  @static
+   *  @param {AudioBuffer} buffer
+   *  @return {p5.SoundFile}
+   */
+  p5.SoundFile.fromAudioBuffer = function(buffer) {
+    if (!(buffer instanceof window.AudioBuffer)) {
+      throw 'fromAudioBuffer: expected an AudioBuffer';
+    }
+    return soundFileFromBuffer(createAudioBuffer(getChannelCopies(buffer), buffer.sampleRate));
+  };
+
+  /**
+   *  Create a p5.SoundFile by calling a function for every sample.
+   *  The function is given the time of the sample in seconds and the
+   *  channel number, and returns the sample value between -1 and 1.
+   *
+   *  @method  fromFunction
+   *  @for p5.SoundFile
+   *  @static
+   *  @param {Function} generator  function(time, channel) that returns
+   *                               a sample
+   *  @param {Number} duration     duration in seconds
+   *  @param {Number} [channels]   number of channels, defaults to 1
+   *  @param {Number} [sampleRate] defaults to the audio context's
+   *                               sample rate
+   *  @return {p5.SoundFile}
+   *  @example
+   *  <div><code>
+   *  let chirp;
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to play a chirp', 10, 20, width - 20);
+   *
+   *    chirp = p5.SoundFile.fromFunction(function(t) {
+   *      let freq = 200 + t * 800;
+   *      return 0.5 * sin(TWO_PI * freq * t) * (1 - t);
+   *    }, 1);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    chirp.play();
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.fromFunction = function(generator, duration, channels, sampleRate) {
+    if (typeof generator !== 'function') {
+      throw 'fromFunction: expected a function';
+    }
+    if (typeof duration !== 'number' || !(duration > 0)) {
+      throw 'fromFunction: duration must be a positive number';
+    }
+    var numChannels = channels || 1;
+    var rate = sampleRate || ac.sampleRate;
+    var length = Math.round(duration * rate);
+
+    var data = [];
+    for (var c = 0; c < numChannels; c++) {
+      var channelData = new Float32Array(length);
+      for (var i = 0; i < length; i++) {
+        var value = generator(i / rate, c);
+        if (typeof value !== 'number' || !isFinite(value)) {
+          throw 'fromFunction: the function returned ' + value +
+            ' at ' + i / rate + ' seconds on channel ' + c;
+        }
+        channelData[i] = value;
+      }
+      data.push(channelData);
+    }
+    return p5.SoundFile.fromArray(data, rate);
+  };
+
+  // shape mono or multichannel sample data as one Float32Array per channel
+  function toChannelArrays(channels) {
+    var data = channels;
+    if (!data || typeof data.length !== 'number' || data.length === 0) {
+      throw 'fromArray: expected an array of samples or an array of channels';
+    }
+    // a single array of samples is a mono sound file
+    if (typeof data[0] === 'number') {
+      data = [data];
+    }
+
+    var length = data[0].length;
+    if (!(length > 0)) {
+      throw 'fromArray: there are no samples';
+    }
+    return data.map(function(channel, i) {
+      if (!channel || typeof channel.length !== 'number') {
+        throw 'fromArray: channel ' + i + ' is not an array of samples';
+      }
+      if (channel.length !== length) {
+        throw 'fromArray: all channels must have the same number of samples';
+      }
+      return channel instanceof Float32Array ? channel.slice() : new Float32Array(channel);
+    });
+  }
+
+  function soundFileFromBuffer(buffer) {
+    var soundFile = new p5.SoundFile();
+    soundFile._swapBuffer(buffer);
+    return soundFile;
+  }
+
+  // sample rate of the buffer, which usually matches the audio context's
+  p5.SoundFile.prototype._bufferSampleRate = function() {
+    return this.buffer ? this.buffer.sampleRate : ac.sampleRate;
+  };
+
+  //////////////////////////////////////////////////
+  // script processor node with an empty buffer to help
+  // keep a sample-accurate position in playback buffer.
+  // Inspired by Chinmay Pendharkar's technique for Sonoport --> http://bit.ly/1HwdCsV
+  // Copyright [2015] [Sonoport (Asia) Pte. Ltd.],
+  // Licensed under the Apache License http://apache.org/licenses/LICENSE-2.0
+  ////////////////////////////////////////////////////////////////////////////////////
+
+  var _createCounterBuffer = function(buffer) {
+    const len = buffer.length;
+    // the counter runs at the buffer's sample rate so that it stays
+    // in step with buffers that aren't at the context's rate
+    const audioBuf = ac.createBuffer( 1, buffer.length, buffer.sampleRate );
+    const arrayBuffer = audioBuf.getChannelData(0);
+    for (var index = 0; index < len; index++) {
+      arrayBuffer[index] = index;
+    }
+    return audioBuf;
+  };
+
+  // initialize counterNode, set its initial buffer and playbackRate
+  p5.SoundFile.prototype._initCounterNode = function() {
+    var self = this;
+    var now = ac.currentTime;
+    var cNode = ac.createBufferSource();
+
     const workletBufferSize = safeBufferSize(256);
 
     // dispose of worklet node if it already exists
@@ -1305,26 +2651,39 @@ define(function (require) {
       self._workletNode.disconnect();
       delete self._workletNode;
     }
+    self._sentIntervalIds = self._positionCallbacks.map(function(listener) {
+      return listener.id;
+    });
     self._workletNode = new AudioWorkletNode(ac, processorNames.soundFileProcessor, {
-      processorOptions: { bufferSize: workletBufferSize }
+      processorOptions: {
+        bufferSize: workletBufferSize,
+        cueFrames: self._getCueFrames(),
+        intervals: self._getIntervalFrames()
+      }
     });
     self._workletNode.port.onmessage = event => {
-      if (event.data.name === 'position') {
+      var data = event.data;
+      if (data.name === 'position') {
         // event.data.position should only be 0 when paused
-        if (event.data.position === 0) {
+        if (data.position === 0) {
           return;
         }
-        this._lastPos = event.data.position;
-
-        // do any callbacks that have been scheduled
-        this._onTimeUpdate(self._lastPos);
+        this._lastPos = data.position;
+      }
+      // the processor checks every sample for cues and position
+      // intervals that have been reached
+      else if (data.name === 'cue') {
+        this._fireCues(data.frame);
+      }
+      else if (data.name === 'interval') {
+        this._firePositionCallback(this._sentIntervalIds[data.interval], data.position / this._bufferSampleRate());
       }
     };
 
     // create counter buffer of the same length as self.buffer
     cNode.buffer = _createCounterBuffer( self.buffer );
 
-    cNode.playbackRate.setValueAtTime(self.playbackRate, now);
+    cNode.playbackRate.setValueAtTime(self.playbackRate / self._stretch, now);
 
     cNode.connect(self._workletNode);
     self._workletNode.connect(p5.soundOut._silentNode);
@@ -1333,11 +2692,11 @@ define(function (require) {
   };
 
   // initialize sourceNode, set its initial buffer and playbackRate
-  p5.SoundFile.prototype._initSourceNode = function() {
+  p5.SoundFile.prototype._initSourceNode = function(buffer) {
     var bufferSourceNode = ac.createBufferSource();
-    bufferSourceNode.buffer = this.buffer;
-    bufferSourceNode.playbackRate.value = this.playbackRate;
-    bufferSourceNode.connect(this.output);
+    bufferSourceNode.buffer = buffer || this.buffer;
+    bufferSourceNode.playbackRate.value = this.playbackRate / this._stretch;
+    bufferSourceNode.connect(this._pitchShiftNode || this.output);
     return bufferSourceNode;
   };
 
@@ -1360,6 +2719,8 @@ define(function (require) {
    *  @return {Array}                  Array of timestamped peaks
    */
   p5.SoundFile.prototype.processPeaks = function(callback, _initThreshold, _minThreshold, _minPeaks) {
+    this._requireBuffer('processPeaks()');
+    var self = this;
     var bufLen = this.buffer.length;
     var sampleRate = this.buffer.sampleRate;
     var buffer = this.buffer;
@@ -1415,8 +2776,8 @@ define(function (require) {
 
       }).splice(0,5);
 
-      // set this SoundFile's tempo to the top tempo ??
-      this.tempo = topTempos[0].tempo;
+      // set this SoundFile's tempo to the top tempo, used by setTempo()
+      self.tempo = topTempos[0].tempo;
 
       // step 4:
       // new array of peaks at top tempo within a bpmVariance
@@ -1602,6 +2963,9 @@ define(function (require) {
    *  Time will be passed as the first parameter to the callback function,
    *  and param will be the second parameter.
    *
+   *  Cues are checked on the audio thread for every sample that plays,
+   *  so a cue is never skipped, even at a high <code>rate()</code>, and
+   *  fires again each time a loop or <code>jump()</code> passes it.
    *
    *  @method  addCue
    *  @for p5.SoundFile
@@ -1656,10 +3020,7 @@ define(function (require) {
 
     var cue = new Cue(callback, time, id, val);
     this._cues.push(cue);
-
-    // if (!this.elt.ontimeupdate) {
-    //   this.elt.ontimeupdate = this._onTimeUpdate.bind(this);
-    // }
+    this._sendCues();
 
     return id;
   };
@@ -1681,11 +3042,7 @@ define(function (require) {
         break;
       }
     }
-
-    if (this._cues.length === 0) {
-      // TO DO: remove callback
-      // this.elt.ontimeupdate = null
-    }
+    this._sendCues();
   };
 
   /**
@@ -1696,13 +3053,144 @@ define(function (require) {
    */
   p5.SoundFile.prototype.clearCues = function() {
     this._cues = [];
-    // this.elt.ontimeupdate = null;
+    this._sendCues();
+  };
+
+  /**
+   *  Call a function at regular intervals of the playback position,
+   *  for example to highlight the words of a song as it plays. The
+   *  position is checked for every sample on the audio thread, so
+   *  the callback follows rate changes, loops and jumps.
+   *
+   *  @method  onposition
+   *  @for p5.SoundFile
+   *  @param {Number}   interval interval in seconds of playback
+   *  @param {Function} callback called with the current playback
+   *                             position in seconds
+   *  @return {Number} id of the callback, for clearOnPosition(id)
+   *  @example
+   *  <div><code>
+   *  let mySound, position = 0;
+   *  function preload() {
+   *    mySound = loadSound('assets/Damscray_DancingTiger.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    mySound.onposition(0.1, function(time) {
+   *      position = time;
+   *    });
+   *  }
+   *
+   *  function draw() {
+   *    background(220);
+   *    text('tap to play', 10, 20);
+   *    let x = map(position, 0, mySound.duration(), 0, width);
+   *    line(x, 0, x, height);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    mySound.play();
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.onposition = function(interval, callback) {
+    if (!(interval > 0)) {
+      throw 'onposition interval must be greater than zero';
+    }
+    var id = this._cueIDCounter++;
+    this._positionCallbacks.push({
+      id: id,
+      interval: interval,
+      callback: callback,
+      lastIndex: null
+    });
+    this._sendIntervals();
+    return id;
+  };
+
+  /**
+   *  Remove a callback added with onposition(), or all of them
+   *  if no id is given.
+   *
+   *  @method  clearOnPosition
+   *  @for p5.SoundFile
+   *  @param  {Number} [id] id returned by onposition()
+   */
+  p5.SoundFile.prototype.clearOnPosition = function(id) {
+    this._positionCallbacks = this._positionCallbacks.filter(function(listener) {
+      return typeof id !== 'undefined' && listener.id !== id;
+    });
+    this._sendIntervals();
+  };
+
+  // frames of the cues, sorted without duplicates
+  p5.SoundFile.prototype._getCueFrames = function() {
+    var sampleRate = this._bufferSampleRate();
+    var frames = this._cues.map(function(cue) {
+      return Math.round(cue.time * sampleRate);
+    });
+    return frames.sort(function(a, b) {
+      return a - b;
+    }).filter(function(frame, i) {
+      return i === 0 || frame !== frames[i - 1];
+    });
+  };
+
+  p5.SoundFile.prototype._getIntervalFrames = function() {
+    var sampleRate = this._bufferSampleRate();
+    return this._positionCallbacks.map(function(listener) {
+      return Math.max(1, Math.round(listener.interval * sampleRate));
+    });
+  };
+
+  // update the cues of the processor that follows the playing counter
+  p5.SoundFile.prototype._sendCues = function() {
+    if (this._workletNode) {
+      this._workletNode.port.postMessage({
+        name: 'cues',
+        cueFrames: this._getCueFrames()
+      });
+    }
   };
 
-  // private method that checks for cues to be fired if events
-  // have been scheduled using addCue(callback, time).
+  p5.SoundFile.prototype._sendIntervals = function() {
+    if (this._workletNode) {
+      this._sentIntervalIds = this._positionCallbacks.map(function(listener) {
+        return listener.id;
+      });
+      this._workletNode.port.postMessage({
+        name: 'intervals',
+        intervals: this._getIntervalFrames()
+      });
+    }
+  };
+
+  // call the callbacks of the cues at frame
+  p5.SoundFile.prototype._fireCues = function(frame) {
+    var sampleRate = this._bufferSampleRate();
+    var cues = this._cues.slice();
+    for (var i = 0; i < cues.length; i++) {
+      if (Math.round(cues[i].time * sampleRate) === frame) {
+        cues[i].callback(cues[i].val);
+      }
+    }
+  };
+
+  p5.SoundFile.prototype._firePositionCallback = function(id, time) {
+    for (var i = 0; i < this._positionCallbacks.length; i++) {
+      if (this._positionCallbacks[i].id === id) {
+        this._positionCallbacks[i].callback(time);
+        return;
+      }
+    }
+  };
+
+  // a streamed sound file has no counter, so cues and position
+  // callbacks are checked whenever the media element's time updates
   p5.SoundFile.prototype._onTimeUpdate = function(position) {
-    var playbackTime = position/this.buffer.sampleRate;
+    var playbackTime = position / this._bufferSampleRate();
     var cueLength = this._cues.length;
 
     for (var i = 0 ; i < cueLength; i++) {
@@ -1718,93 +3206,1622 @@ define(function (require) {
 
     }
 
+    for (var j = 0; j < this._positionCallbacks.length; j++) {
+      var listener = this._positionCallbacks[j];
+      var index = Math.floor(playbackTime / listener.interval);
+      if (index !== listener.lastIndex) {
+        listener.lastIndex = index;
+        listener.callback(playbackTime);
+      }
+    }
+
     this._prevUpdateTime = playbackTime;
   };
 
+
+  /*** LYRICS AND SUBTITLES ***/
+
   /**
-   * Save a p5.SoundFile as a .wav file. The browser will prompt the user
-   * to download the file to their device. To upload a file to a server, see
-   * <a href="/docs/reference/#/p5.SoundFile/getBlob">getBlob</a>
+   *  Load the lines of an LRC lyrics file or a WebVTT subtitles file
+   *  as cues. Each line has a <code>start</code> and <code>end</code>
+   *  time in seconds and its <code>text</code>. Word timestamps from
+   *  enhanced LRC files (<code>&lt;mm:ss.xx&gt;</code>) and WebVTT
+   *  karaoke cues are in its <code>words</code> array, as objects with
+   *  a <code>start</code> time and <code>text</code>.
    *
-   * @method save
-   * @for p5.SoundFile
-   * @param  {String} [fileName]      name of the resulting .wav file.
-   * @example
+   *  Draw the current line with <code>activeCue()</code>, or use
+   *  <code>oncueenter()</code> and <code>oncueexit()</code> to do
+   *  something when a line starts and ends. Loading another file
+   *  replaces the lines of the previous one.
+   *
+   *  @method  loadCues
+   *  @for p5.SoundFile
+   *  @param {String}   path     path to a .lrc or .vtt file
+   *  @param {String}   [format] <code>'lrc'</code> or <code>'vtt'</code>.
+   *                             By default the format is guessed from
+   *                             the file extension
+   *  @param {Function} [callback] called with the array of lines once
+   *                               the file has loaded
+   *  @param {Function} [errorCallback] called if the file fails to load
+   *  @example
    *  <div><code>
-   *  let mySound;
+   *  let song;
+   *  let lyricsLoaded = false;
+   *
    *  function preload() {
-   *    mySound = loadSound('assets/doorbell.mp3');
+   *    song = loadSound('assets/Damscray_DancingTiger.mp3');
    *  }
+   *
    *  function setup() {
    *    let cnv = createCanvas(100, 100);
    *    cnv.mousePressed(canvasPressed);
+   *    song.loadCues('assets/Damscray_DancingTiger.lrc', function() {
+   *      lyricsLoaded = true;
+   *    });
+   *  }
+   *
+   *  function draw() {
    *    background(220);
-   *    text('tap to download', 10, 20);
+   *    let line = song.activeCue();
+   *    if (!lyricsLoaded) {
+   *      text('loading lyrics...', 10, 20);
+   *    } else {
+   *      text(line ? line.text : 'tap to play', 10, 20, width - 20);
+   *    }
    *  }
    *
    *  function canvasPressed() {
-   *    mySound.save('my cool filename');
+   *    if (lyricsLoaded) {
+   *      song.play();
+   *    }
    *  }
-   * </code></div>
+   *  </code></div>
    */
-  p5.SoundFile.prototype.save = function(fileName) {
-    p5.prototype.saveSound(this, fileName, 'wav');
+  p5.SoundFile.prototype.loadCues = function(path, format, callback, errorCallback) {
+    var self = this;
+    if (typeof format === 'function') {
+      errorCallback = callback;
+      callback = format;
+      format = undefined;
+    }
+    var type = (format || path.split('?')[0].split('.').pop()).toLowerCase();
+    var parse = cueParsers[type];
+    if (!parse) {
+      throw 'loadCues: unknown format ' + type + ', use "lrc" or "vtt"';
+    }
+
+    var errorTrace = new Error().stack;
+    var request = new XMLHttpRequest();
+    request.open('GET', path, true);
+    request.responseType = 'text';
+    request.onload = function() {
+      if (request.status === 200) {
+        self._setTextCues(parse(request.response));
+        if (callback) {
+          callback(self._textCues);
+        }
+      } else {
+        request.onerror();
+      }
+    };
+    request.onerror = function() {
+      var err = new CustomError('loadCues', errorTrace, path);
+      err.message = 'Unable to load the cues ' + path;
+      if (errorCallback) {
+        errorCallback(err);
+      } else {
+        console.error(err.message + '\n The error stack trace includes: \n' + err.stack);
+      }
+    };
+    request.send();
   };
 
   /**
-   * This method is useful for sending a SoundFile to a server. It returns the
-   * .wav-encoded audio data as a "<a target="_blank" title="Blob reference at
-   * MDN" href="https://developer.mozilla.org/en-US/docs/Web/API/Blob">Blob</a>".
-   * A Blob is a file-like data object that can be uploaded to a server
-   * with an <a href="/docs/reference/#/p5/httpDo">http</a> request. We'll
-   * use the `httpDo` options object to send a POST request with some
-   * specific options: we encode the request as `multipart/form-data`,
-   * and attach the blob as one of the form values using `FormData`.
-   *
-   *
-   * @method getBlob
-   * @for p5.SoundFile
-   * @returns {Blob} A file-like data object
-   * @example
-   *  <div><code>
-   *  function preload() {
-   *    mySound = loadSound('assets/doorbell.mp3');
-   *  }
-   *
-   *  function setup() {
-   *    noCanvas();
-   *    let soundBlob = mySound.getBlob();
-   *
-   *    // Now we can send the blob to a server...
-   *    let serverUrl = 'https://jsonplaceholder.typicode.com/posts';
-   *    let httpRequestOptions = {
-   *      method: 'POST',
-   *      body: new FormData().append('soundBlob', soundBlob),
-   *      headers: new Headers({
-   *        'Content-Type': 'multipart/form-data'
-   *      })
-   *    };
-   *    httpDo(serverUrl, httpRequestOptions);
-   *
-   *    // We can also create an `ObjectURL` pointing to the Blob
-   *    let blobUrl = URL.createObjectURL(soundBlob);
-   *
-   *    // The `<Audio>` Element accepts Object URL's
-   *    createAudio(blobUrl).showControls();
-   *
-   *    createDiv();
+   *  Returns the line loaded with <code>loadCues()</code> that is
+   *  playing, or null if there is none. When lines overlap, the one
+   *  that started last is returned.
    *
-   *    // The ObjectURL exists as long as this tab is open
-   *    let input = createInput(blobUrl);
-   *    input.attribute('readonly', true);
-   *    input.mouseClicked(function() { input.elt.select() });
-   *  }
+   *  @method  activeCue
+   *  @for p5.SoundFile
+   *  @return {Object} the line, with <code>start</code>,
+   *                   <code>end</code>, <code>text</code> and
+   *                   <code>words</code> properties
+   */
+  p5.SoundFile.prototype.activeCue = function() {
+    var time = this.currentTime();
+    var active = null;
+    for (var i = 0; i < this._textCues.length; i++) {
+      var cue = this._textCues[i];
+      if (cue.start > time) {
+        break;
+      }
+      if (time < cue.end) {
+        active = cue;
+      }
+    }
+    return active;
+  };
+
+  /**
+   *  Call a function when a line loaded with <code>loadCues()</code>
+   *  starts playing. The function is given the line.
    *
-   * </code></div>
+   *  @method  oncueenter
+   *  @for p5.SoundFile
+   *  @param {Function} callback
    */
-  p5.SoundFile.prototype.getBlob = function() {
-    const dataView = convertToWav(this.buffer);
-    return new Blob([dataView], { type: 'audio/wav' });
+  p5.SoundFile.prototype.oncueenter = function(callback) {
+    this._oncueenter = callback;
+    return this;
+  };
+
+  /**
+   *  Call a function when a line loaded with <code>loadCues()</code>
+   *  ends. The function is given the line.
+   *
+   *  @method  oncueexit
+   *  @for p5.SoundFile
+   *  @param {Function} callback
+   */
+  p5.SoundFile.prototype.oncueexit = function(callback) {
+    this._oncueexit = callback;
+    return this;
+  };
+
+  // replace the lines from loadCues(), and add cues at their start and end
+  p5.SoundFile.prototype._setTextCues = function(textCues) {
+    var self = this;
+    this._textCueIds.forEach(function(id) {
+      self.removeCue(id);
+    });
+    this._textCueIds = [];
+    this._activeTextCues = [];
+    this._textCues = textCues;
+
+    // the end of one line is often the start of the next, so the exit
+    // cues are added first to fire before enter cues at the same time
+    textCues.forEach(function(textCue) {
+      if (isFinite(textCue.end)) {
+        self._textCueIds.push(self.addCue(textCue.end, self._exitTextCue.bind(self), textCue));
+      }
+    });
+    textCues.forEach(function(textCue) {
+      self._textCueIds.push(self.addCue(textCue.start, self._enterTextCue.bind(self), textCue));
+    });
+  };
+
+  p5.SoundFile.prototype._enterTextCue = function(textCue) {
+    if (this._activeTextCues.indexOf(textCue) === -1) {
+      this._activeTextCues.push(textCue);
+      this._oncueenter(textCue);
+    }
+  };
+
+  p5.SoundFile.prototype._exitTextCue = function(textCue) {
+    var index = this._activeTextCues.indexOf(textCue);
+    if (index !== -1) {
+      this._activeTextCues.splice(index, 1);
+      this._oncueexit(textCue);
+    }
+  };
+
+  // seconds from a [hh:]mm:ss.xxx timestamp
+  function parseTimestamp(timestamp) {
+    return timestamp.split(':').reduce(function(seconds, part) {
+      return seconds * 60 + parseFloat(part);
+    }, 0);
+  }
+
+  // split text with <timestamp> tags into words that start at each tag
+  function parseWords(text, lineStart) {
+    var words = [];
+    var wordStart = lineStart;
+    var parts = text.split(/<(\d+(?::\d+)+(?:\.\d+)?)>/);
+    // lines without word timestamps have no words
+    if (parts.length === 1) {
+      return words;
+    }
+    // parts alternates between text and timestamps
+    for (var i = 0; i < parts.length; i++) {
+      if (i % 2 === 1) {
+        wordStart = parseTimestamp(parts[i]);
+      } else if (parts[i].trim() !== '') {
+        words.push({ start: wordStart, text: parts[i].trim() });
+      }
+    }
+    return words;
+  }
+
+  function stripTimestamps(text) {
+    return text.replace(/<[\d:.]+>/g, '').replace(/[ \t]+/g, ' ').trim();
+  }
+
+  function parseLRC(text) {
+    var offset = 0;
+    var lines = [];
+    text.split(/\r?\n/).forEach(function(line) {
+      var offsetTag = line.match(/^\[offset:\s*([+-]?\d+)\]/i);
+      if (offsetTag) {
+        // a positive offset in milliseconds shows the lyrics earlier
+        offset = parseInt(offsetTag[1], 10) / 1000;
+        return;
+      }
+      // a line can have several timestamps, when it is repeated
+      var times = [];
+      var timeTag = /^\[(\d+:\d+(?:\.\d+)?)\]/;
+      var match = line.match(timeTag);
+      while (match) {
+        times.push(parseTimestamp(match[1]));
+        line = line.slice(match[0].length);
+        match = line.match(timeTag);
+      }
+      times.forEach(function(time) {
+        lines.push({ start: time, text: line });
+      });
+    });
+
+    lines.sort(function(a, b) {
+      return a.start - b.start;
+    });
+    return lines.map(function(line, i) {
+      var next = lines[i + 1];
+      var start = Math.max(0, line.start - offset);
+      var words = parseWords(line.text, start).map(function(word) {
+        word.start = Math.max(0, word.start - offset);
+        return word;
+      });
+      return {
+        start: start,
+        // each line lasts until the next one
+        end: next ? Math.max(0, next.start - offset) : Infinity,
+        text: stripTimestamps(line.text),
+        words: words
+      };
+    });
+  }
+
+  function parseWebVTT(text) {
+    var cues = [];
+    var timing = /^((?:\d+:)?\d+:\d+\.\d+)\s+-->\s+((?:\d+:)?\d+:\d+\.\d+)/;
+    text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(function(block) {
+      var lines = block.trim().split('\n');
+      // the identifier line is optional
+      var timingLine = timing.test(lines[0]) ? 0 : 1;
+      var match = lines[timingLine] && lines[timingLine].match(timing);
+      if (!match) {
+        // the header, a NOTE, STYLE or REGION block
+        return;
+      }
+      var start = parseTimestamp(match[1]);
+      var payload = lines.slice(timingLine + 1).join('\n');
+      // remove formatting tags, but keep karaoke timestamps
+      payload = payload.replace(/<\/?[a-z][^>]*>/gi, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+      var words = parseWords(payload, start);
+      cues.push({
+        id: timingLine === 1 ? lines[0] : undefined,
+        start: start,
+        end: parseTimestamp(match[2]),
+        text: stripTimestamps(payload),
+        words: words
+      });
+    });
+    return cues.sort(function(a, b) {
+      return a.start - b.start;
+    });
+  }
+
+  var cueParsers = {
+    lrc: parseLRC,
+    vtt: parseWebVTT
+  };
+
+  /*** WAV MARKERS ***/
+
+  /**
+   *  Call a function when playback reaches a marker of a .wav file.
+   *
+   *  When a .wav file is loaded, the markers saved in it by a DAW or
+   *  sample editor are in the sound file's <code>markers</code> array,
+   *  as objects with a <code>time</code> in seconds, a
+   *  <code>label</code> and, for markers that span a range, a
+   *  <code>duration</code>. Its loop points become the loop points of
+   *  the sound file (see <code>setLoopPoints()</code>), and its INFO
+   *  tags, such as <code>title</code> and <code>artist</code>, are in
+   *  the <code>metadata</code> object.
+   *
+   *  @method  onmarker
+   *  @for p5.SoundFile
+   *  @param {Function} callback called with the marker
+   *  @example
+   *  <div><code>
+   *  let sample;
+   *  function preload() {
+   *    sample = loadSound('assets/sample-with-markers.wav');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(function() {
+   *      sample.play();
+   *    });
+   *    background(220);
+   *    text(sample.markers.length + ' markers', 10, 20);
+   *    sample.onmarker(function(marker) {
+   *      background(220);
+   *      text(marker.label, 10, 20);
+   *    });
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.onmarker = function(callback) {
+    this._onmarker = callback;
+    return this;
+  };
+
+  // replace the markers, loop points and tags of the previous file
+  p5.SoundFile.prototype._setWavMetadata = function(wavMetadata) {
+    var self = this;
+    this._markerCueIds.forEach(function(id) {
+      self.removeCue(id);
+    });
+    this.markers = wavMetadata.markers.filter(function(marker) {
+      return marker.time <= self.buffer.duration;
+    });
+    this._markerCueIds = this.markers.map(function(marker) {
+      return self.addCue(marker.time, function(m) {
+        self._onmarker(m);
+      }, marker);
+    });
+    this.metadata = wavMetadata.tags;
+
+    var loop = wavMetadata.loop;
+    if (loop && loop.end <= this.buffer.duration) {
+      this.setLoopPoints(loop.start, loop.end);
+    } else {
+      this.clearLoopPoints();
+    }
+  };
+
+
+  /*** EDITING ***/
+
+  // audio copied or cut from a p5.SoundFile, shared by all sound files
+  // so that it can be pasted into another one
+  var clipboard = null;
+
+  // fade curves, mapping 0 - 1 to a gain between 0 and 1
+  var fadeCurves = {
+    linear: function(x) {
+      return x;
+    },
+    exponential: function(x) {
+      return x * x;
+    },
+    logarithmic: function(x) {
+      return Math.sqrt(x);
+    },
+    scurve: function(x) {
+      return (1 - Math.cos(Math.PI * x)) / 2;
+    }
+  };
+
+  // copies of the channel data of an AudioBuffer
+  function getChannelCopies(buffer) {
+    var channels = [];
+    for (var i = 0; i < buffer.numberOfChannels; i++) {
+      channels.push(buffer.getChannelData(i).slice());
+    }
+    return channels;
+  }
+
+  function createAudioBuffer(channels, sampleRate) {
+    var length = channels[0].length;
+    if (length === 0) {
+      throw 'the edit would leave the sound file empty';
+    }
+    var buffer = ac.createBuffer(channels.length, length, sampleRate);
+    for (var i = 0; i < channels.length; i++) {
+      buffer.getChannelData(i).set(channels[i]);
+    }
+    return buffer;
+  }
+
+  // linear interpolation, used to paste audio recorded at another sample rate
+  function resample(data, fromRate, toRate) {
+    if (fromRate === toRate) {
+      return data;
+    }
+    var ratio = fromRate / toRate;
+    var length = Math.round(data.length / ratio);
+    var result = new Float32Array(length);
+    for (var i = 0; i < length; i++) {
+      var pos = i * ratio;
+      var index = Math.floor(pos);
+      var next = Math.min(index + 1, data.length - 1);
+      result[i] = data[index] + (data[next] - data[index]) * (pos - index);
+    }
+    return result;
+  }
+
+  // convert a range in seconds into frames, defaulting to the whole buffer
+  p5.SoundFile.prototype._editRange = function(start, end) {
+    this._requireBuffer('Editing');
+    if (!this.buffer) {
+      throw 'SoundFile is not done loading';
+    }
+    var sampleRate = this.buffer.sampleRate;
+    var startFrame = Math.round((start || 0) * sampleRate);
+    var endFrame = typeof end === 'undefined' ? this.buffer.length : Math.round(end * sampleRate);
+
+    if (startFrame < 0 || startFrame > this.buffer.length) {
+      throw 'start time out of range';
+    }
+    if (endFrame < startFrame || endFrame > this.buffer.length) {
+      throw 'end time out of range';
+    }
+    return [startFrame, endFrame];
+  };
+
+  // replace the buffer with edited channel data, keeping the old one for undo()
+  p5.SoundFile.prototype._commitEdit = function(channels) {
+    var newBuffer = createAudioBuffer(channels, this.buffer.sampleRate);
+    this._undoStack.push(this.buffer);
+    this._redoStack = [];
+    this._swapBuffer(newBuffer);
+  };
+
+  p5.SoundFile.prototype._swapBuffer = function(buffer) {
+    this.buffer = buffer;
+    this._loopBuffer = null;
+    this.panner.inputChannels(buffer.numberOfChannels);
+  };
+
+  /**
+   *  Keep only the audio between <code>start</code> and
+   *  <code>end</code>. Like all edits, this replaces the buffer
+   *  with an edited copy, and can be reverted with <code>undo()</code>.
+   *  Edits take effect the next time the sound file is played.
+   *
+   *  @method  trim
+   *  @for p5.SoundFile
+   *  @param  {Number} [start] start time in seconds, defaults to 0
+   *  @param  {Number} [end]   end time in seconds, defaults to the
+   *                           end of the sound file
+   *  @example
+   *  <div><code>
+   *  let mySound;
+   *  function preload() {
+   *    mySound = loadSound('assets/beat.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to trim, then play', 10, 20, width - 20);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    mySound.stop();
+   *    if (mySound.duration() > 0.5) {
+   *      mySound.trim(0, 0.5);
+   *      mySound.fadeOut(0.05);
+   *    } else {
+   *      // restore the original sound
+   *      mySound.undo();
+   *      mySound.undo();
+   *    }
+   *    mySound.play();
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.trim = function(start, end) {
+    var range = this._editRange(start, end);
+    this._commitEdit(getChannelCopies(this.buffer).map(function(data) {
+      return data.slice(range[0], range[1]);
+    }));
+  };
+
+  /**
+   *  Copy the audio between <code>start</code> and <code>end</code>
+   *  to a clipboard that is shared by all p5.SoundFiles, so that
+   *  it can be pasted with <code>paste()</code>.
+   *
+   *  @method  copy
+   *  @for p5.SoundFile
+   *  @param  {Number} [start] start time in seconds, defaults to 0
+   *  @param  {Number} [end]   end time in seconds, defaults to the
+   *                           end of the sound file
+   *  @return {Array} Array of Float32Arrays, one per channel
+   */
+  p5.SoundFile.prototype.copy = function(start, end) {
+    var range = this._editRange(start, end);
+    var channels = getChannelCopies(this.buffer).map(function(data) {
+      return data.slice(range[0], range[1]);
+    });
+    clipboard = { channels: channels, sampleRate: this.buffer.sampleRate };
+    return channels;
+  };
+
+  /**
+   *  Remove the audio between <code>start</code> and <code>end</code>
+   *  and copy it to the clipboard (see <code>copy()</code>).
+   *
+   *  @method  cut
+   *  @for p5.SoundFile
+   *  @param  {Number} start start time in seconds
+   *  @param  {Number} end   end time in seconds
+   *  @return {Array} Array of Float32Arrays, one per channel
+   */
+  p5.SoundFile.prototype.cut = function(start, end) {
+    var range = this._editRange(start, end);
+    var clip = this.copy(start, end);
+    this._commitEdit(getChannelCopies(this.buffer).map(function(data) {
+      var result = new Float32Array(data.length - (range[1] - range[0]));
+      result.set(data.subarray(0, range[0]));
+      result.set(data.subarray(range[1]), range[0]);
+      return result;
+    }));
+    return clip;
+  };
+
+  /**
+   *  Insert audio at the given time. Pastes the clipboard
+   *  (see <code>copy()</code> and <code>cut()</code>), or the given
+   *  audio: a p5.SoundFile or an Array of Float32Arrays, one per channel.
+   *
+   *  @method  paste
+   *  @for p5.SoundFile
+   *  @param  {Number} time   time in seconds at which to insert the audio
+   *  @param  {p5.SoundFile|Array} [audio] audio to insert instead of
+   *                                       the clipboard
+   */
+  p5.SoundFile.prototype.paste = function(time, audio) {
+    var range = this._editRange(time, time);
+    var clip = clipboard;
+    if (audio instanceof p5.SoundFile) {
+      clip = { channels: getChannelCopies(audio.buffer), sampleRate: audio.buffer.sampleRate };
+    } else if (audio) {
+      clip = { channels: audio, sampleRate: this.buffer.sampleRate };
+    }
+    if (!clip) {
+      throw 'nothing to paste. Use copy() or cut() first';
+    }
+
+    var sampleRate = this.buffer.sampleRate;
+    var insertAt = range[0];
+    this._commitEdit(getChannelCopies(this.buffer).map(function(data, channel) {
+      // a mono clip is pasted into every channel
+      var clipData = clip.channels[Math.min(channel, clip.channels.length - 1)];
+      clipData = resample(clipData, clip.sampleRate, sampleRate);
+
+      var result = new Float32Array(data.length + clipData.length);
+      result.set(data.subarray(0, insertAt));
+      result.set(clipData, insertAt);
+      result.set(data.subarray(insertAt), insertAt + clipData.length);
+      return result;
+    }));
+  };
+
+  /**
+   *  Overwrite the audio between <code>start</code> and <code>end</code>
+   *  with the given audio, keeping the length of the sound file. Audio
+   *  longer than the range is cut off, and if it is shorter, the rest of
+   *  the range is left as it was. Optional equal-power crossfades at both
+   *  edges of the range hide clicks where the new audio begins and ends.
+   *
+   *  @method  replaceRange
+   *  @for p5.SoundFile
+   *  @param  {Number} start  start time in seconds
+   *  @param  {Number} end    end time in seconds
+   *  @param  {p5.SoundFile|Array} audio a p5.SoundFile, or an Array of
+   *                                     Float32Arrays, one per channel
+   *  @param  {Number} [crossfade] length of the crossfades in seconds,
+   *                               defaults to 0
+   */
+  p5.SoundFile.prototype.replaceRange = function(start, end, audio, crossfade) {
+    var range = this._editRange(start, end);
+    var clip;
+    if (audio instanceof p5.SoundFile) {
+      clip = { channels: getChannelCopies(audio.buffer), sampleRate: audio.buffer.sampleRate };
+    } else if (audio && audio.length > 0) {
+      clip = { channels: audio, sampleRate: this.buffer.sampleRate };
+    } else {
+      throw 'replaceRange: expected a p5.SoundFile or an array of channels';
+    }
+
+    var sampleRate = this.buffer.sampleRate;
+    var length = range[1] - range[0];
+    var fadeLength = Math.round((crossfade || 0) * sampleRate);
+
+    this._commitEdit(getChannelCopies(this.buffer).map(function(data, channel) {
+      // a mono clip replaces every channel
+      var clipData = clip.channels[Math.min(channel, clip.channels.length - 1)];
+      clipData = resample(clipData, clip.sampleRate, sampleRate);
+      var frames = Math.min(clipData.length, length);
+      var fadeFrames = Math.min(fadeLength, Math.floor(frames / 2));
+
+      for (var i = 0; i < frames; i++) {
+        var mix = 1;
+        if (i < fadeFrames) {
+          mix = (i + 0.5) / fadeFrames;
+        } else if (i >= frames - fadeFrames) {
+          mix = (frames - i - 0.5) / fadeFrames;
+        }
+        var index = range[0] + i;
+        data[index] = mix === 1 ? clipData[i] :
+          data[index] * Math.cos(mix * Math.PI / 2) + clipData[i] * Math.sin(mix * Math.PI / 2);
+      }
+      return data;
+    }));
+  };
+
+  /**
+   *  Insert silence at the given time.
+   *
+   *  @method  insertSilence
+   *  @for p5.SoundFile
+   *  @param  {Number} time     time in seconds at which to insert silence
+   *  @param  {Number} duration duration of the silence in seconds
+   */
+  p5.SoundFile.prototype.insertSilence = function(time, duration) {
+    var range = this._editRange(time, time);
+    var silentFrames = Math.round(duration * this.buffer.sampleRate);
+    if (!(silentFrames > 0)) {
+      throw 'duration must be greater than zero';
+    }
+    this._commitEdit(getChannelCopies(this.buffer).map(function(data) {
+      var result = new Float32Array(data.length + silentFrames);
+      result.set(data.subarray(0, range[0]));
+      result.set(data.subarray(range[0]), range[0] + silentFrames);
+      return result;
+    }));
+  };
+
+  /**
+   *  Scale the sound file so that its loudest sample reaches
+   *  <code>targetPeak</code>.
+   *
+   *  @method  normalize
+   *  @for p5.SoundFile
+   *  @param  {Number} [targetPeak] peak amplitude between 0 and 1,
+   *                                defaults to 1
+   */
+  p5.SoundFile.prototype.normalize = function(targetPeak) {
+    this._editRange();
+    var target = typeof targetPeak === 'undefined' ? 1 : targetPeak;
+    var channels = getChannelCopies(this.buffer);
+
+    var peak = 0;
+    channels.forEach(function(data) {
+      for (var i = 0; i < data.length; i++) {
+        peak = Math.max(peak, Math.abs(data[i]));
+      }
+    });
+    // silence can't be normalized
+    if (peak === 0) {
+      return;
+    }
+
+    var scale = target / peak;
+    this._commitEdit(channels.map(function(data) {
+      for (var i = 0; i < data.length; i++) {
+        data[i] *= scale;
+      }
+      return data;
+    }));
+  };
+
+  /**
+   *  Change the level of the sound file by the given number of decibels.
+   *  Unlike <code>setVolume()</code>, this changes the audio itself.
+   *
+   *  @method  gain
+   *  @for p5.SoundFile
+   *  @param  {Number} dB gain in decibels, for example -6 to halve
+   *                      the amplitude
+   */
+  p5.SoundFile.prototype.gain = function(dB) {
+    this._editRange();
+    var scale = Math.pow(10, dB / 20);
+    this._commitEdit(getChannelCopies(this.buffer).map(function(data) {
+      for (var i = 0; i < data.length; i++) {
+        data[i] *= scale;
+      }
+      return data;
+    }));
+  };
+
+  // fade the first (fadeIn) or last (fadeOut) frames of every channel
+  p5.SoundFile.prototype._fadeEdit = function(duration, curve, fadeIn) {
+    this._editRange();
+    var shape = fadeCurves[(curve || 'linear').toLowerCase()];
+    if (!shape) {
+      throw 'Invalid fade curve. Must be "linear", "exponential", "logarithmic" or "sCurve"';
+    }
+    var length = this.buffer.length;
+    var fadeFrames = Math.min(Math.round(duration * this.buffer.sampleRate), length);
+
+    this._commitEdit(getChannelCopies(this.buffer).map(function(data) {
+      for (var i = 0; i < fadeFrames; i++) {
+        var x = fadeFrames > 1 ? i / (fadeFrames - 1) : 1;
+        if (fadeIn) {
+          data[i] *= shape(x);
+        } else {
+          data[length - fadeFrames + i] *= shape(1 - x);
+        }
+      }
+      return data;
+    }));
+  };
+
+  /**
+   *  Fade in the beginning of the sound file.
+   *
+   *  @method  fadeIn
+   *  @for p5.SoundFile
+   *  @param  {Number} duration fade duration in seconds
+   *  @param  {String} [curve]  'linear' (default), 'exponential',
+   *                            'logarithmic' or 'sCurve'
+   */
+  p5.SoundFile.prototype.fadeIn = function(duration, curve) {
+    this._fadeEdit(duration, curve, true);
+  };
+
+  /**
+   *  Fade out the end of the sound file.
+   *
+   *  @method  fadeOut
+   *  @for p5.SoundFile
+   *  @param  {Number} duration fade duration in seconds
+   *  @param  {String} [curve]  'linear' (default), 'exponential',
+   *                            'logarithmic' or 'sCurve'
+   */
+  p5.SoundFile.prototype.fadeOut = function(duration, curve) {
+    this._fadeEdit(duration, curve, false);
+  };
+
+  /**
+   *  Mix all channels of the sound file down to a single channel.
+   *
+   *  @method  mixdownToMono
+   *  @for p5.SoundFile
+   */
+  p5.SoundFile.prototype.mixdownToMono = function() {
+    this._editRange();
+    var channels = getChannelCopies(this.buffer);
+    var mono = new Float32Array(this.buffer.length);
+    channels.forEach(function(data) {
+      for (var i = 0; i < data.length; i++) {
+        mono[i] += data[i] / channels.length;
+      }
+    });
+    this._commitEdit([mono]);
+  };
+
+  /**
+   *  Undo the last edit (such as <code>trim()</code> or
+   *  <code>normalize()</code>).
+   *
+   *  @method  undo
+   *  @for p5.SoundFile
+   *  @return {Boolean} false if there was nothing to undo
+   */
+  p5.SoundFile.prototype.undo = function() {
+    if (this._undoStack.length === 0) {
+      return false;
+    }
+    this._redoStack.push(this.buffer);
+    this._swapBuffer(this._undoStack.pop());
+    return true;
+  };
+
+  /**
+   *  Redo the last edit that was undone.
+   *
+   *  @method  redo
+   *  @for p5.SoundFile
+   *  @return {Boolean} false if there was nothing to redo
+   */
+  p5.SoundFile.prototype.redo = function() {
+    if (this._redoStack.length === 0) {
+      return false;
+    }
+    this._undoStack.push(this.buffer);
+    this._swapBuffer(this._redoStack.pop());
+    return true;
+  };
+
+  /**
+   *  Returns true if there are edits that can be undone.
+   *
+   *  @method  canUndo
+   *  @for p5.SoundFile
+   *  @return {Boolean}
+   */
+  p5.SoundFile.prototype.canUndo = function() {
+    return this._undoStack.length > 0;
+  };
+
+  /**
+   *  Returns true if there are undone edits that can be redone.
+   *
+   *  @method  canRedo
+   *  @for p5.SoundFile
+   *  @return {Boolean}
+   */
+  p5.SoundFile.prototype.canRedo = function() {
+    return this._redoStack.length > 0;
+  };
+
+  /**
+   *  Forget the edit history. Every edit keeps a copy of the
+   *  previous audio, so clearing the history frees that memory.
+   *
+   *  @method  clearHistory
+   *  @for p5.SoundFile
+   */
+  p5.SoundFile.prototype.clearHistory = function() {
+    this._undoStack = [];
+    this._redoStack = [];
+  };
+
+
+  /*** SILENCE DETECTION ***/
+
+  /**
+   *  Find the silent and non-silent parts of a sound file. The buffer
+   *  is scanned in 10 millisecond windows, and a window is silent if the
+   *  RMS level of every channel is below <code>thresholdDb</code>.
+   *  Silences shorter than <code>minDuration</code> are treated as part
+   *  of the surrounding sound, so that pauses between words or notes
+   *  don't split a take.
+   *
+   *  @method  detectSilence
+   *  @for p5.SoundFile
+   *  @param  {Object} [options] <code>thresholdDb</code>: level in
+   *                             decibels below which audio is silent,
+   *                             defaults to -50.
+   *                             <code>minDuration</code>: shortest
+   *                             silence in seconds, defaults to 0.1.
+   *  @return {Array} Array of spans in playback order, each an object
+   *                  with <code>start</code> and <code>end</code> times
+   *                  in seconds and a <code>silent</code> Boolean
+   *  @example
+   *  <div><code>
+   *  let mySound, spans;
+   *  function preload() {
+   *    mySound = loadSound('assets/beat.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    createCanvas(100, 100);
+   *    spans = mySound.detectSilence({ thresholdDb: -40 });
+   *  }
+   *
+   *  function draw() {
+   *    background(220);
+   *    noStroke();
+   *    for (let span of spans) {
+   *      fill(span.silent ? 200 : 50);
+   *      let x = map(span.start, 0, mySound.duration(), 0, width);
+   *      let w = map(span.end - span.start, 0, mySound.duration(), 0, width);
+   *      rect(x, 40, w, 20);
+   *    }
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.detectSilence = function(options) {
+    this._editRange();
+    var opts = options || {};
+    var thresholdDb = typeof opts.thresholdDb === 'number' ? opts.thresholdDb : -50;
+    var minDuration = typeof opts.minDuration === 'number' ? opts.minDuration : 0.1;
+    var threshold = Math.pow(10, thresholdDb / 20);
+
+    var buffer = this.buffer;
+    var sampleRate = buffer.sampleRate;
+    var windowSize = Math.max(1, Math.round(sampleRate * 0.01));
+    var channels = [];
+    for (var c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+
+    // step 1: find runs of silent and non-silent windows
+    var runs = [];
+    for (var start = 0; start < buffer.length; start += windowSize) {
+      var end = Math.min(start + windowSize, buffer.length);
+      var loudest = 0;
+      for (var ch = 0; ch < channels.length; ch++) {
+        var sum = 0;
+        for (var i = start; i < end; i++) {
+          sum += channels[ch][i] * channels[ch][i];
+        }
+        loudest = Math.max(loudest, Math.sqrt(sum / (end - start)));
+      }
+      var silent = loudest < threshold;
+
+      var last = runs[runs.length - 1];
+      if (last && last.silent === silent) {
+        last.end = end;
+      } else {
+        runs.push({ start: start, end: end, silent: silent });
+      }
+    }
+
+    // step 2: short silences belong to the sound around them
+    var minFrames = minDuration * sampleRate;
+    var spans = [];
+    runs.forEach(function(run) {
+      var isSilent = run.silent && run.end - run.start >= minFrames;
+      var previous = spans[spans.length - 1];
+      if (previous && previous.silent === isSilent) {
+        previous.end = run.end;
+      } else {
+        spans.push({ start: run.start, end: run.end, silent: isSilent });
+      }
+    });
+
+    // step 3: convert frames to seconds
+    return spans.map(function(span) {
+      return {
+        start: span.start / sampleRate,
+        end: span.end / sampleRate,
+        silent: span.silent
+      };
+    });
+  };
+
+  /**
+   *  Remove the silence at the beginning and end of a sound file,
+   *  for example the dead air before and after a recording. Like
+   *  other edits, this can be reverted with <code>undo()</code>.
+   *
+   *  @method  trimSilence
+   *  @for p5.SoundFile
+   *  @param  {Object} [options] options for <code>detectSilence()</code>,
+   *                             and <code>padding</code>: seconds of
+   *                             silence to keep at either end,
+   *                             defaults to 0.
+   */
+  p5.SoundFile.prototype.trimSilence = function(options) {
+    var opts = options || {};
+    var padding = opts.padding || 0;
+    var sounds = this.detectSilence(opts).filter(function(span) {
+      return !span.silent;
+    });
+    if (sounds.length === 0) {
+      console.warn('trimSilence: the sound file is silent, so it was not trimmed');
+      return;
+    }
+
+    var start = Math.max(sounds[0].start - padding, 0);
+    var end = Math.min(sounds[sounds.length - 1].end + padding, this.duration());
+    if (start > 0 || end < this.duration()) {
+      this.trim(start, end);
+    }
+  };
+
+  /**
+   *  Split a sound file wherever there is silence, for example to
+   *  separate several takes in one recording.
+   *
+   *  @method  splitOnSilence
+   *  @for p5.SoundFile
+   *  @param  {Object} [options] options for <code>detectSilence()</code>,
+   *                             and <code>padding</code>: seconds of
+   *                             silence to keep around each part,
+   *                             defaults to 0.
+   *  @return {Array} Array of new p5.SoundFiles, one for each
+   *                  non-silent part
+   */
+  p5.SoundFile.prototype.splitOnSilence = function(options) {
+    var opts = options || {};
+    var padding = opts.padding || 0;
+    var buffer = this.buffer;
+    var channels = [];
+    for (var c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+
+    return this.detectSilence(opts).filter(function(span) {
+      return !span.silent;
+    }).map(function(span) {
+      var startFrame = Math.max(Math.round((span.start - padding) * buffer.sampleRate), 0);
+      var endFrame = Math.min(Math.round((span.end + padding) * buffer.sampleRate), buffer.length);
+      var part = new p5.SoundFile();
+      part._swapBuffer(createAudioBuffer(channels.map(function(data) {
+        return data.slice(startFrame, endFrame);
+      }), buffer.sampleRate));
+      return part;
+    });
+  };
+
+  /*** REGIONS ***/
+
+  // A named section of a p5.SoundFile's buffer that can be played on its
+  // own, with its own play mode, onended callback and fades.
+  var Region = function(name, start, end, options) {
+    this.name = name;
+    this.start = start;
+    this.end = end;
+    this.loop = !!options.loop;
+    this.fadeIn = options.fadeIn || 0;
+    this.fadeOut = options.fadeOut || 0;
+    this.mode = 'sustain';
+    this._onended = function() {};
+
+    // sources that are currently playing this region
+    this.sources = [];
+
+    if (options.playMode) {
+      this.playMode(options.playMode);
+    }
+    if (options.onended) {
+      this.onended(options.onended);
+    }
+  };
+
+  // same play modes as p5.SoundFile.playMode()
+  Region.prototype.playMode = function(str) {
+    var s = str.toLowerCase();
+    if (s === 'restart' || s === 'sustain' || s === 'untildone') {
+      this.mode = s;
+    } else {
+      throw 'Invalid play mode. Must be either "restart" or "sustain"';
+    }
+    return this;
+  };
+
+  Region.prototype.onended = function(callback) {
+    this._onended = callback;
+    return this;
+  };
+
+  Region.prototype.isPlaying = function() {
+    return this.sources.length > 0;
+  };
+
+  Region.prototype.duration = function() {
+    return this.end - this.start;
+  };
+
+  /**
+   *  Define a named region of the sound file that can be played
+   *  on its own with <code>playRegion()</code>. This is useful when
+   *  several sounds are packed into one file (an "audio sprite").
+   *
+   *  Each region has its own play mode and onended callback, which
+   *  can be set with the options object or on the returned region:
+   *  <code>region.playMode('restart')</code>,
+   *  <code>region.onended(callback)</code>.
+   *
+   *  @method  addRegion
+   *  @for p5.SoundFile
+   *  @param {String} name     Name of the region
+   *  @param {Number} start    Start time of the region in seconds
+   *  @param {Number} end      End time of the region in seconds
+   *  @param {Object} [options] <code>loop</code> (Boolean),
+   *                           <code>fadeIn</code> and <code>fadeOut</code>
+   *                           (in seconds), <code>playMode</code> (String)
+   *                           and <code>onended</code> (Function)
+   *  @return {Object} The region
+   *  @example
+   *  <div><code>
+   *  let sprite;
+   *  function preload() {
+   *    sprite = loadSound('assets/Damscray_DancingTiger.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap left or right', 10, 20);
+   *
+   *    sprite.addRegion('intro', 0, 1.5, { fadeOut: 0.1 });
+   *    sprite.addRegion('beat', 4, 6, { fadeIn: 0.05, fadeOut: 0.05 });
+   *  }
+   *
+   *  function canvasPressed() {
+   *    if (mouseX < width / 2) {
+   *      sprite.playRegion('intro');
+   *    } else {
+   *      sprite.playRegion('beat');
+   *    }
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.addRegion = function(name, start, end, options) {
+    if (typeof name !== 'string' || name === '') {
+      throw 'addRegion needs a name for the region';
+    }
+    if (!(start >= 0) || !(end > start)) {
+      throw 'region "' + name + '" must have a start time >= 0 and an end time after its start';
+    }
+    if (this.buffer && end > this.buffer.duration) {
+      throw 'region "' + name + '" ends after the end of the sound file';
+    }
+
+    // replacing a region stops the old one
+    if (this._regions[name]) {
+      this.removeRegion(name);
+    }
+
+    var region = new Region(name, start, end, options || {});
+    this._regions[name] = region;
+    return region;
+  };
+
+  /**
+   *  Returns the region with the given name, or undefined if there is
+   *  no such region.
+   *
+   *  @method  getRegion
+   *  @for p5.SoundFile
+   *  @param  {String} name Name of the region
+   *  @return {Object} The region
+   */
+  p5.SoundFile.prototype.getRegion = function(name) {
+    return this._regions[name];
+  };
+
+  /**
+   *  Returns the names of all regions of this sound file.
+   *
+   *  @method  getRegionNames
+   *  @for p5.SoundFile
+   *  @return {Array} Array of region names
+   */
+  p5.SoundFile.prototype.getRegionNames = function() {
+    return Object.keys(this._regions);
+  };
+
+  /**
+   *  Stop a region and remove it from the sound file.
+   *
+   *  @method  removeRegion
+   *  @for p5.SoundFile
+   *  @param  {String} name Name of the region
+   */
+  p5.SoundFile.prototype.removeRegion = function(name) {
+    var region = this._regions[name];
+    if (region) {
+      // a removed region doesn't report that it ended
+      region._onended = function() {};
+      this._stopRegionSources(0, region);
+      delete this._regions[name];
+    }
+  };
+
+  /**
+   *  Play a region that was added with <code>addRegion()</code> or
+   *  <code>loadSprite()</code>. Regions with the <code>loop</code>
+   *  option will loop until <code>stopRegion()</code> is called.
+   *
+   *  @method  playRegion
+   *  @for p5.SoundFile
+   *  @param {String} name        Name of the region
+   *  @param {Number} [startTime] (optional) schedule playback to start
+   *                              (in seconds from now)
+   *  @param {Number} [rate]      (optional) playback rate
+   *  @param {Number} [amp]       (optional) amplitude (volume) of playback
+   */
+  p5.SoundFile.prototype.playRegion = function(name, startTime, rate, amp) {
+    var self = this;
+    var region = this._regions[name];
+    if (!region) {
+      throw 'there is no region named "' + name + '"';
+    }
+    if (!this.output) {
+      console.warn('SoundFile.playRegion() called after dispose');
+      return;
+    }
+    this._requireBuffer('playRegion()');
+    if (!this.buffer) {
+      throw 'not ready to play file, buffer has yet to load. Try preload()';
+    }
+
+    var now = ac.currentTime;
+    var time = now + Math.max(startTime || 0, 0);
+
+    if (typeof rate !== 'undefined') {
+      this.rate(rate);
+    }
+    if (typeof amp !== 'undefined') {
+      this.setVolume(amp);
+    }
+
+    if (region.mode === 'untildone' && region.isPlaying()) {
+      return;
+    }
+    if (region.mode === 'restart') {
+      this._stopRegionSources(time - now, region);
+    }
+
+    // each voice gets its own gain for fades
+    var bufferSourceNode = this._initSourceNode();
+    var fadeGain = ac.createGain();
+    bufferSourceNode.disconnect();
+    bufferSourceNode.connect(fadeGain);
+    fadeGain.connect(this._pitchShiftNode || this.output);
+    bufferSourceNode._fadeGain = fadeGain;
+
+    var duration = region.duration();
+    var sourceRate = Math.abs(this.playbackRate / this._stretch) || 1;
+
+    fadeGain.gain.setValueAtTime(region.fadeIn ? 0 : 1, time);
+    if (region.fadeIn) {
+      fadeGain.gain.linearRampToValueAtTime(1, time + region.fadeIn);
+    }
+
+    if (region.loop) {
+      bufferSourceNode.loop = true;
+      bufferSourceNode.loopStart = region.start;
+      bufferSourceNode.loopEnd = region.end;
+      bufferSourceNode.start(time, region.start);
+    } else {
+      var endTime = time + duration / sourceRate;
+      if (region.fadeOut) {
+        var fadeOutStart = Math.max(endTime - region.fadeOut, time + region.fadeIn);
+        fadeGain.gain.setValueAtTime(1, fadeOutStart);
+        fadeGain.gain.linearRampToValueAtTime(0, endTime);
+      }
+      bufferSourceNode.start(time, region.start, duration);
+    }
+
+    bufferSourceNode.addEventListener('ended', function onRegionEnded() {
+      bufferSourceNode.removeEventListener('ended', onRegionEnded);
+      bufferSourceNode._playing = false;
+      fadeGain.disconnect();
+
+      region.sources.splice(region.sources.indexOf(bufferSourceNode), 1);
+      var index = self.bufferSourceNodes.indexOf(bufferSourceNode);
+      if (index > -1) {
+        self.bufferSourceNodes.splice(index, 1);
+      }
+      if (self.bufferSourceNodes.length === 0) {
+        self._playing = false;
+      }
+
+      region._onended(region);
+    });
+
+    region.sources.push(bufferSourceNode);
+    // add source to sources array, which is used in stopAll()
+    this.bufferSourceNodes.push(bufferSourceNode);
+    this._playing = true;
+  };
+
+  /**
+   *  Stop a region that is playing. If the region has a
+   *  <code>fadeOut</code>, it will fade out before it stops.
+   *
+   *  @method  stopRegion
+   *  @for p5.SoundFile
+   *  @param {String} name          Name of the region
+   *  @param {Number} [timeFromNow] (optional) schedule the stop
+   *                                (in seconds from now)
+   */
+  p5.SoundFile.prototype.stopRegion = function(name, timeFromNow) {
+    var region = this._regions[name];
+    if (!region) {
+      throw 'there is no region named "' + name + '"';
+    }
+    var time = ac.currentTime + (timeFromNow || 0);
+
+    region.sources.forEach(function(bufferSourceNode) {
+      var fadeTime = region.fadeOut;
+      if (fadeTime) {
+        var gain = bufferSourceNode._fadeGain.gain;
+        gain.cancelScheduledValues(time);
+        gain.setValueAtTime(gain.value, time);
+        gain.linearRampToValueAtTime(0, time + fadeTime);
+      }
+      try {
+        bufferSourceNode.stop(time + fadeTime);
+      } catch(e) {
+        // the source has already been stopped
+      }
+    });
+  };
+
+  // stop the sources of one region, or of all regions, without fading out
+  p5.SoundFile.prototype._stopRegionSources = function(timeFromNow, region) {
+    var regions = region ? [region] : Object.keys(this._regions).map(function(name) {
+      return this._regions[name];
+    }, this);
+    var time = ac.currentTime + (timeFromNow || 0);
+
+    regions.forEach(function(r) {
+      r.sources.forEach(function(bufferSourceNode) {
+        try {
+          bufferSourceNode.stop(time);
+        } catch(e) {
+          // the source has already been stopped
+        }
+      });
+    });
+  };
+
+  /**
+   *  Add regions from an audio sprite manifest, in the format used by
+   *  <a href="https://howlerjs.com/">Howler.js</a>: an object that maps
+   *  each name to <code>[offset, duration]</code> or
+   *  <code>[offset, duration, loop]</code>, with times in milliseconds.
+   *  A Howler config with a <code>sprite</code> property is also accepted.
+   *
+   *  The manifest can also be the path to a JSON file, in which case
+   *  the regions are added once it loads.
+   *
+   *  @method  loadSprite
+   *  @for p5.SoundFile
+   *  @param {Object|String} manifest  Sprite manifest, or path to a
+   *                                   JSON sprite manifest
+   *  @param {Function} [successCallback] Called with this p5.SoundFile
+   *                                      once the regions are added
+   *  @param {Function} [errorCallback]   Called if the manifest could
+   *                                      not be loaded
+   *  @example
+   *  <div><code>
+   *  let sprite;
+   *  function preload() {
+   *    sprite = loadSound('assets/Damscray_DancingTiger.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to play a random region', 10, 20, width - 20);
+   *
+   *    sprite.loadSprite({
+   *      intro: [0, 1500],
+   *      beat: [4000, 2000],
+   *      pad: [8000, 3000, true]
+   *    });
+   *  }
+   *
+   *  function canvasPressed() {
+   *    sprite.playRegion(random(['intro', 'beat']));
+   *  }
+   *  </code></div>
+   */
+  p5.SoundFile.prototype.loadSprite = function(manifest, callback, errorCallback) {
+    var self = this;
+
+    if (typeof manifest === 'string') {
+      var errorTrace = new Error().stack;
+      var request = new XMLHttpRequest();
+      request.open('GET', manifest, true);
+      request.responseType = 'json';
+      request.onload = function() {
+        if (request.status === 200 && request.response) {
+          self.loadSprite(request.response, callback, errorCallback);
+        } else {
+          request.onerror();
+        }
+      };
+      request.onerror = function() {
+        var err = new CustomError('loadSprite', errorTrace, manifest);
+        err.message = 'Unable to load the sprite manifest ' + manifest;
+        if (errorCallback) {
+          errorCallback(err);
+        } else {
+          console.error(err.message + '\n The error stack trace includes: \n' + err.stack);
+        }
+      };
+      request.send();
+      return;
+    }
+
+    // a Howler config keeps the regions under "sprite", but a manifest can
+    // also be the regions themselves, one of which may be called "sprite"
+    var wrapped = manifest.sprite && typeof manifest.sprite === 'object' &&
+      !Array.isArray(manifest.sprite);
+    var sprite = wrapped ? manifest.sprite : manifest;
+    Object.keys(sprite).forEach(function(name) {
+      var entry = sprite[name];
+      var start = entry[0] / 1000;
+      var end = start + entry[1] / 1000;
+      self.addRegion(name, start, end, { loop: !!entry[2] });
+    });
+
+    if (callback) {
+      callback(self);
+    }
+  };
+
+  /**
+   * Save a p5.SoundFile as a .wav file. The browser will prompt the user
+   * to download the file to their device. To upload a file to a server, see
+   * <a href="/docs/reference/#/p5.SoundFile/getBlob">getBlob</a>
+   *
+   * By default the file is 16-bit, with the sample rate and channels
+   * of the sound file. DAWs and samplers can also read its cues and loop
+   * points from the file.
+   *
+   * Set the <code>format</code> to <code>'webm'</code> or
+   * <code>'ogg'</code> to save a much smaller, compressed file. It is
+   * encoded by playing the sound into a MediaRecorder, so it takes as
+   * long as the sound. Browsers can't encode every format: the promise
+   * is rejected if the format isn't supported.
+   *
+   * @method save
+   * @for p5.SoundFile
+   * @param  {String} [fileName]      name of the resulting file.
+   * @param  {Object} [options]       <code>format</code>
+   *                                  (<code>'wav'</code>,
+   *                                  <code>'webm'</code> or
+   *                                  <code>'ogg'</code>),
+   *                                  <code>bitrate</code> of compressed
+   *                                  files in bits per second, and for
+   *                                  .wav files <code>bitDepth</code> (16, 24 or
+   *                                  <code>'32f'</code>),
+   *                                  <code>channels</code>
+   *                                  (<code>'auto'</code> or a number of
+   *                                  channels), <code>sampleRate</code>,
+   *                                  <code>tags</code> (such as
+   *                                  <code>{ title: 'Loop', artist:
+   *                                  'Me' }</code>), <code>cues</code>
+   *                                  (an array of times in seconds, or
+   *                                  true for the cues added with
+   *                                  <code>addCue()</code>) and
+   *                                  <code>loop</code> (an object with a
+   *                                  <code>start</code> and an
+   *                                  <code>end</code>, or true for the
+   *                                  loop points)
+   * @return {Promise} resolves with the Blob of the file
+   * @example
+   *  <div><code>
+   *  let mySound;
+   *  function preload() {
+   *    mySound = loadSound('assets/doorbell.mp3');
+   *  }
+   *  function setup() {
+   *    let cnv = createCanvas(100, 100);
+   *    cnv.mousePressed(canvasPressed);
+   *    background(220);
+   *    text('tap to download', 10, 20);
+   *  }
+   *
+   *  function canvasPressed() {
+   *    mySound.save('my cool filename', {
+   *      bitDepth: 24,
+   *      tags: { title: 'Doorbell' }
+   *    });
+   *  }
+   * </code></div>
+   */
+  p5.SoundFile.prototype.save = function(fileName, options) {
+    this._requireBuffer('save()');
+    return p5.prototype.saveSound(this, fileName, this._wavOptions(options));
+  };
+
+  /**
+   * This method is useful for sending a SoundFile to a server. It returns the
+   * .wav-encoded audio data as a "<a target="_blank" title="Blob reference at
+   * MDN" href="https://developer.mozilla.org/en-US/docs/Web/API/Blob">Blob</a>".
+   * A Blob is a file-like data object that can be uploaded to a server
+   * with an <a href="/docs/reference/#/p5/httpDo">http</a> request. We'll
+   * use the `httpDo` options object to send a POST request with some
+   * specific options: we encode the request as `multipart/form-data`,
+   * and attach the blob as one of the form values using `FormData`.
+   *
+   *
+   * @method getBlob
+   * @for p5.SoundFile
+   * @param  {Object} [options] the same options as <code>save()</code>
+   *                            for .wav files. Compressed files take a
+   *                            while to encode, so use
+   *                            <code>getBlobAsync()</code> for them.
+   * @returns {Blob} A file-like data object
+   * @example
+   *  <div><code>
+   *  function preload() {
+   *    mySound = loadSound('assets/doorbell.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    noCanvas();
+   *    let soundBlob = mySound.getBlob();
+   *
+   *    // Now we can send the blob to a server...
+   *    let serverUrl = 'https://jsonplaceholder.typicode.com/posts';
+   *    let httpRequestOptions = {
+   *      method: 'POST',
+   *      body: new FormData().append('soundBlob', soundBlob),
+   *      headers: new Headers({
+   *        'Content-Type': 'multipart/form-data'
+   *      })
+   *    };
+   *    httpDo(serverUrl, httpRequestOptions);
+   *
+   *    // We can also create an `ObjectURL` pointing to the Blob
+   *    let blobUrl = URL.createObjectURL(soundBlob);
+   *
+   *    // The `<Audio>` Element accepts Object URL's
+   *    createAudio(blobUrl).showControls();
+   *
+   *    createDiv();
+   *
+   *    // The ObjectURL exists as long as this tab is open
+   *    let input = createInput(blobUrl);
+   *    input.attribute('readonly', true);
+   *    input.mouseClicked(function() { input.elt.select() });
+   *  }
+   *
+   * </code></div>
+   */
+  p5.SoundFile.prototype.getBlob = function(options) {
+    this._requireBuffer('getBlob()');
+    if (options && options.format && options.format !== 'wav') {
+      throw 'getBlob() only makes .wav files. Use getBlobAsync() for the ' +
+        options.format + ' format';
+    }
+    const dataView = convertToWav(this.buffer, this._wavOptions(options));
+    return new Blob([dataView], { type: 'audio/wav' });
+  };
+
+  /**
+   * Like <code>getBlob()</code>, but returns a Promise for the Blob,
+   * so that it can also make compressed <code>'webm'</code> and
+   * <code>'ogg'</code> files. They are encoded by playing the sound into
+   * a MediaRecorder, so it takes as long as the sound.
+   *
+   * @method getBlobAsync
+   * @for p5.SoundFile
+   * @param  {Object} [options] the same options as <code>save()</code>
+   * @return {Promise} resolves with the Blob of the file, or rejects if
+   *                   the browser can't encode the format
+   * @example
+   *  <div><code>
+   *  let mySound;
+   *  function preload() {
+   *    mySound = loadSound('assets/doorbell.mp3');
+   *  }
+   *
+   *  function setup() {
+   *    noCanvas();
+   *    mySound.getBlobAsync({ format: 'webm' }).then(function(soundBlob) {
+   *      createAudio(URL.createObjectURL(soundBlob)).showControls();
+   *    }, function(err) {
+   *      createDiv(err.message);
+   *    });
+   *  }
+   * </code></div>
+   */
+  p5.SoundFile.prototype.getBlobAsync = function(options) {
+    try {
+      this._requireBuffer('getBlobAsync()');
+    } catch (e) {
+      return Promise.reject(new Error(e));
+    }
+    if (options && options.format && options.format !== 'wav') {
+      return encodeCompressed(this.buffer, options.format, options);
+    }
+    return Promise.resolve(this.getBlob(options));
+  };
+
+  // options for convertToWav, with the cues and loop points of the
+  // sound file if asked for
+  p5.SoundFile.prototype._wavOptions = function(options) {
+    var opts = Object.assign({}, options);
+    if (opts.cues === true) {
+      opts.cues = this._cues.map(function(cue) {
+        return {
+          time: cue.time,
+          label: typeof cue.val === 'string' ? cue.val : undefined
+        };
+      });
+    }
+    if (opts.loop === true) {
+      opts.loop = this.getLoopPoints();
+    }
+    return opts;
   };
 
   // event handler to remove references to the bufferSourceNode when it is done playing
@@ -9,6 +9,10 @@ require.config({
 
 var allTests = [
   'tests/p5.SoundFile',
+  'tests/p5.Playlist',
+  'tests/p5.SoundLibrary',
+  'tests/p5.SoundVariation',
+  'tests/p5.Granulator',
   'tests/p5.Amplitude',
   'tests/p5.Oscillator',
   'tests/p5.Distortion',
@@ -21,7 +25,8 @@ var allTests = [
   'tests/p5.AudioVoice',
   'tests/p5.MonoSynth',
   'tests/p5.PolySynth',
-  'tests/p5.SoundRecorder'
+  'tests/p5.SoundRecorder',
+  'tests/p5.LoopRecorder'
 ];
 
 p5.prototype.masterVolume(0);
@@ -0,0 +1,61 @@
+'use strict';
+
+define(['chai'], function(chai) {
+
+  var expect = chai.expect;
+
+  describe('p5.Granulator', function() {
+
+    var sound = p5.SoundFile.fromFunction(function(t) {
+      return 0.5 * Math.sin(2 * Math.PI * 440 * t);
+    }, 1);
+
+    it('can be created and disposed', function() {
+      var granulator = new p5.Granulator(sound, { grainSize: 0.05, density: 40 });
+      expect(granulator.grainSize().value).to.be.closeTo(0.05, 0.001);
+      granulator.dispose();
+    });
+
+    it('can start and stop', function() {
+      var granulator = new p5.Granulator(sound);
+      granulator.start();
+      expect(granulator.isPlaying()).to.equal(true);
+      granulator.stop();
+      expect(granulator.isPlaying()).to.equal(false);
+      granulator.dispose();
+    });
+
+    it('makes sound while playing', function(done) {
+      var granulator = new p5.Granulator(sound, { density: 50, panSpread: 1 });
+      var amplitude = new p5.Amplitude();
+      amplitude.setInput(granulator);
+      granulator.start();
+      setTimeout(function() {
+        expect(amplitude.getLevel()).to.be.above(0);
+        granulator.dispose();
+        amplitude.dispose();
+        done();
+      }, 200);
+    });
+
+    it('can be modulated by an oscillator', function() {
+      var granulator = new p5.Granulator(sound);
+      var lfo = new p5.Oscillator(0.5);
+      lfo.disconnect();
+      lfo.amp(0.2);
+      granulator.position(0.5);
+      granulator.position(lfo);
+      granulator.dispose();
+      lfo.dispose();
+    });
+
+    it('can set the envelope shape', function() {
+      var granulator = new p5.Granulator(sound);
+      expect(granulator.envelope('gaussian')).to.equal('gaussian');
+      expect(function() {
+        granulator.envelope('square');
+      }).to.throw();
+      granulator.dispose();
+    });
+  });
+});
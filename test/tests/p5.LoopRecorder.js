@@ -0,0 +1,101 @@
+'use strict';
+
+define(['chai'], function(chai) {
+
+  var expect = chai.expect;
+
+  describe('p5.LoopRecorder', function() {
+    this.timeout(5000);
+
+    var sampleRate = p5.soundOut.audiocontext.sampleRate;
+    var input;
+    var looper;
+
+    beforeEach(function() {
+      input = p5.SoundFile.fromFunction(function(t) {
+        return 0.5 * Math.sin(2 * Math.PI * 220 * t);
+      }, 1);
+      input.disconnect();
+      input.loop();
+      // one beat at 240 bpm is a quarter of a second
+      looper = new p5.LoopRecorder(240, 1);
+      looper.setInput(input);
+    });
+
+    afterEach(function() {
+      looper.dispose();
+      input.dispose();
+    });
+
+    it('quantizes the loop length to the tempo', function() {
+      expect(looper.loopLength()).to.equal(0.25);
+      looper.setBPM(120, 4);
+      expect(looper.loopLength()).to.equal(2);
+
+      var part = new p5.Part();
+      part.setBPM(60);
+      looper.setBPM(part, 2);
+      expect(looper.loopLength()).to.be.closeTo(2, 0.001);
+    });
+
+    it('records a loop and plays it', function(done) {
+      looper.record(function(layer) {
+        expect(layer.buffer.length).to.equal(Math.round(0.25 * sampleRate));
+        expect(looper.layers()).to.have.length(1);
+        expect(looper.isPlaying()).to.equal(true);
+        expect(function() {
+          looper.setBPM(100);
+        }).to.throw();
+        done();
+      });
+      expect(looper.isRecording()).to.equal(true);
+    });
+
+    it('overdubs layers that can be muted and undone', function(done) {
+      looper.record(function() {
+        looper.overdub(function(layer) {
+          expect(layer.buffer.length).to.equal(Math.round(0.25 * sampleRate));
+          expect(looper.layers()).to.have.length(2);
+
+          looper.mute(0);
+          expect(looper.isMuted(0)).to.equal(true);
+          var mix = looper.mixdown();
+          expect(mix.buffer.getChannelData(0)).to.deep.equal(layer.buffer.getChannelData(0));
+          mix.dispose();
+
+          expect(looper.undo()).to.equal(true);
+          expect(looper.layers()).to.have.length(1);
+          done();
+        });
+      });
+    });
+
+    it('can multiply and clear the loop', function(done) {
+      looper.record(function() {
+        looper.multiply(2);
+        expect(looper.loopLength()).to.be.closeTo(0.5, 0.001);
+        expect(looper.layers()[0].buffer.length).to.equal(2 * Math.round(0.25 * sampleRate));
+
+        looper.clear();
+        expect(looper.layers()).to.have.length(0);
+        expect(looper.isPlaying()).to.equal(false);
+        expect(looper.loopLength()).to.equal(0.25);
+        done();
+      });
+    });
+
+    it('can record again right after clearing a recording', function(done) {
+      looper.record(function() {
+        done(new Error('the cleared recording was kept'));
+      });
+      looper.clear();
+      expect(looper.isRecording()).to.equal(false);
+      looper.record(function(layer) {
+        expect(layer.buffer.length).to.equal(Math.round(0.25 * sampleRate));
+        expect(looper.layers()).to.have.length(1);
+        done();
+      });
+      expect(looper.isRecording()).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+define(['chai'], function(chai) {
+
+  var expect = chai.expect;
+
+  describe('p5.Playlist', function() {
+    this.timeout(2000);
+
+    // a short tone, so that tracks end quickly
+    function makeTrack(duration) {
+      return p5.SoundFile.fromFunction(function(t) {
+        return 0.1 * Math.sin(2 * Math.PI * 440 * t);
+      }, duration);
+    }
+
+    it('can be created and disposed', function() {
+      var playlist = new p5.Playlist([makeTrack(0.1)]);
+      expect(playlist.length()).to.equal(1);
+      playlist.dispose();
+    });
+
+    it('plays tracks back to back and fires trackchange', function(done) {
+      var first = makeTrack(0.1);
+      var second = makeTrack(0.1);
+      var playlist = new p5.Playlist([first, second]);
+      var changes = [];
+
+      playlist.on('trackchange', function(index, soundFile) {
+        changes.push(index);
+        expect(soundFile).to.equal(index === 0 ? first : second);
+      });
+      playlist.on('ended', function() {
+        expect(changes).to.deep.equal([0, 1]);
+        expect(playlist.isPlaying()).to.equal(false);
+        playlist.dispose();
+        done();
+      });
+
+      playlist.play();
+      expect(playlist.isPlaying()).to.equal(true);
+      expect(playlist.currentTrack()).to.equal(first);
+    });
+
+    it('can skip to the next and previous tracks', function() {
+      var tracks = [makeTrack(1), makeTrack(1), makeTrack(1)];
+      var playlist = new p5.Playlist(tracks, { crossfade: 0.05 });
+      playlist.play();
+      playlist.next();
+      expect(playlist.currentIndex()).to.equal(1);
+      playlist.previous();
+      expect(playlist.currentIndex()).to.equal(0);
+      playlist.play(2);
+      expect(playlist.currentIndex()).to.equal(2);
+      playlist.stop();
+      expect(playlist.isPlaying()).to.equal(false);
+      playlist.dispose();
+    });
+
+    it('can pause and resume', function() {
+      var playlist = new p5.Playlist([makeTrack(1), makeTrack(1)]);
+      playlist.play(1);
+      playlist.pause();
+      expect(playlist.isPlaying()).to.equal(false);
+      expect(playlist.currentIndex()).to.equal(1);
+      playlist.seek(0.5);
+      expect(playlist.currentTime()).to.equal(0.5);
+      playlist.play();
+      expect(playlist.currentIndex()).to.equal(1);
+      playlist.dispose();
+    });
+
+    it('can shuffle and set the repeat mode', function() {
+      var playlist = new p5.Playlist([makeTrack(1), makeTrack(1), makeTrack(1)]);
+      playlist.play(1);
+      expect(playlist.shuffle(true)).to.equal(true);
+      expect(playlist.currentIndex()).to.equal(1);
+      expect(playlist.repeat('all')).to.equal('all');
+      expect(function() {
+        playlist.repeat('twice');
+      }).to.throw();
+      playlist.dispose();
+    });
+  });
+});
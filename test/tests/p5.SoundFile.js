@@ -27,6 +27,149 @@ define(['chai'], function(chai) {
       });
     });
 
+    it('falls back to the next path when one fails to load', function(done) {
+      var fallback = p5.prototype.loadSound(['./testAudio/missing.ogg', './testAudio/drum.mp3'], function() {
+        expect(fallback.url).to.equal('./testAudio/drum.mp3');
+        fallback.dispose();
+        done();
+      });
+    });
+
+    it('lists every attempt when no path loads', function(done) {
+      p5.prototype.loadSound('./testAudio/missing.mp3', function() {}, function(err) {
+        expect(err.attempts.length).to.be.at.least(1);
+        expect(err.attempts[0].url).to.equal('./testAudio/missing.mp3');
+        expect(err.message).to.contain('missing.mp3');
+        done();
+      });
+    });
+
+    it('loads a Blob, an ArrayBuffer and a data URI', function(done) {
+      var blob = p5.SoundFile.fromFunction(function(t) {
+        return Math.sin(2 * Math.PI * 440 * t);
+      }, 0.25).getBlob();
+
+      p5.prototype.loadSound(blob, function(fromBlob) {
+        expect(fromBlob.duration()).to.be.closeTo(0.25, 0.01);
+        var reader = new FileReader();
+        reader.onload = function() {
+          p5.prototype.loadSound(reader.result, function(fromDataURI) {
+            expect(fromDataURI.duration()).to.be.closeTo(0.25, 0.01);
+            blob.arrayBuffer().then(function(arrayBuffer) {
+              p5.prototype.loadSound(arrayBuffer, function(fromArrayBuffer) {
+                expect(fromArrayBuffer.duration()).to.be.closeTo(0.25, 0.01);
+                // the ArrayBuffer is still usable after loading
+                expect(arrayBuffer.byteLength).to.be.above(0);
+                fromBlob.dispose();
+                fromDataURI.dispose();
+                fromArrayBuffer.dispose();
+                done();
+              });
+            }).catch(done);
+          });
+        };
+        reader.readAsDataURL(blob);
+      });
+    });
+
+    it('can export WAV files with a bit depth, channels and metadata', function() {
+      var mono = p5.SoundFile.fromFunction(function(t) {
+        return Math.sin(2 * Math.PI * 440 * t);
+      }, 0.1, 1, 44100);
+      mono.addCue(0.05, function() {}, 'middle');
+
+      var blob = mono.getBlob({
+        bitDepth: 24,
+        tags: { title: 'Tone' },
+        cues: true,
+        loop: { start: 0, end: 0.1 }
+      });
+      return blob.arrayBuffer().then(function(arrayBuffer) {
+        var view = new DataView(arrayBuffer);
+        // mono, 24-bit
+        expect(view.getUint16(22, true)).to.equal(1);
+        expect(view.getUint16(34, true)).to.equal(24);
+        var text = String.fromCharCode.apply(null, new Uint8Array(arrayBuffer, 36));
+        expect(text).to.contain('cue ');
+        expect(text).to.contain('smpl');
+        expect(text).to.contain('Tone');
+        expect(text).to.contain('middle');
+        mono.dispose();
+      });
+    });
+
+    it('reads markers, loop points and tags from WAV files', function(done) {
+      var source = p5.SoundFile.fromFunction(function(t) {
+        return Math.sin(2 * Math.PI * 440 * t);
+      }, 0.5);
+      var blob = source.getBlob({
+        tags: { title: 'Tone' },
+        cues: [0.1, { time: 0.2, label: 'hit' }],
+        loop: { start: 0.25, end: 0.5 }
+      });
+      source.dispose();
+
+      p5.prototype.loadSound(blob, function(sound) {
+        expect(sound.markers.length).to.equal(2);
+        expect(sound.markers[1].label).to.equal('hit');
+        expect(sound.markers[1].time).to.be.closeTo(0.2, 0.001);
+        expect(sound.metadata.title).to.equal('Tone');
+        var loop = sound.getLoopPoints();
+        expect(loop.start).to.be.closeTo(0.25, 0.001);
+        expect(loop.end).to.be.closeTo(0.5, 0.001);
+        sound.dispose();
+        done();
+      }, done);
+    });
+
+    it('can encode compressed files', function() {
+      var format = null;
+      if (MediaRecorder.isTypeSupported('audio/webm;codecs=opus')) {
+        format = 'webm';
+      } else if (MediaRecorder.isTypeSupported('audio/ogg;codecs=opus')) {
+        format = 'ogg';
+      } else {
+        // Safari only records audio/mp4
+        this.skip();
+      }
+      var sound = p5.SoundFile.fromFunction(function(t) {
+        return Math.sin(2 * Math.PI * 440 * t);
+      }, 0.2);
+
+      return sound.getBlobAsync({ format: format }).then(function(blob) {
+        sound.dispose();
+        expect(blob.type).to.equal('audio/' + format);
+        expect(blob.size).to.be.above(0);
+      });
+    });
+
+    it('rejects compressed formats it can not encode', function() {
+      var sound = p5.SoundFile.fromFunction(function() {
+        return 0;
+      }, 0.1);
+      expect(function() {
+        sound.getBlob({ format: 'webm' });
+      }).to.throw();
+
+      return sound.getBlobAsync({ format: 'mp3' }).then(function() {
+        throw new Error('mp3 should not be supported');
+      }, function(err) {
+        sound.dispose();
+        expect(err.message).to.contain('mp3');
+      });
+    });
+
+    it('can cancel loading', function(done) {
+      var sound = p5.prototype.loadSound('./testAudio/drum.mp3', function() {
+        done(new Error('the cancelled load finished'));
+      }, function(err) {
+        expect(err.cancelled).to.equal(true);
+        expect(sound.cancelLoad()).to.equal(false);
+        done();
+      });
+      expect(sound.cancelLoad()).to.equal(true);
+    });
+
     it('plays a file', function() {
       sf.play();
       expect( sf.isPlaying() ).to.equal(true);
@@ -124,5 +267,364 @@ define(['chai'], function(chai) {
       }, 100);
     });
 
+    it('can stretch without changing the playback rate', function() {
+      sf.rate(1);
+      sf.stretch(2);
+      expect(sf.stretch()).to.equal(2);
+      expect(sf.rate()).to.equal(1);
+      sf.stretch(1);
+      expect(sf.stretch()).to.equal(1);
+    });
+
+    it('can set the tempo relative to an original tempo', function() {
+      sf.setTempo(120, 60);
+      expect(sf.stretch()).to.equal(0.5);
+      sf.stretch(1);
+      expect(function() {
+        sf.setTempo(120);
+      }).to.throw();
+    });
+
+    it('can shift the pitch in semitones', function() {
+      sf.shiftPitch(12);
+      expect(sf.getPitchShift()).to.equal(12);
+      expect(sf.rate()).to.equal(1);
+      sf.shiftPitch(0);
+    });
+
+    it('sets the playback rate from a MIDI note', function() {
+      sf.setPitch(72);
+      expect(sf.rate()).to.be.closeTo(2, 1e-6);
+      expect(sf.getPitchShift()).to.equal(0);
+      sf.setPitch(60);
+      expect(sf.rate()).to.be.closeTo(1, 1e-6);
+    });
+
+    it('can add and play named regions', function(done) {
+      var region = sf.addRegion('hit', 0.1, 0.2, { playMode: 'restart' });
+      expect(sf.getRegion('hit')).to.equal(region);
+      expect(region.mode).to.equal('restart');
+      expect(region.duration()).to.be.closeTo(0.1, 0.0001);
+
+      region.onended(function(r) {
+        expect(r.name).to.equal('hit');
+        expect(r.isPlaying()).to.equal(false);
+        sf.removeRegion('hit');
+        expect(sf.getRegion('hit')).to.equal(undefined);
+        done();
+      });
+      sf.playRegion('hit');
+      expect(region.isPlaying()).to.equal(true);
+    });
+
+    it('can load a sprite manifest', function() {
+      sf.loadSprite({ sprite: { a: [0, 250], b: [250, 500, true] } });
+      expect(sf.getRegionNames()).to.include.members(['a', 'b']);
+      expect(sf.getRegion('b').start).to.equal(0.25);
+      expect(sf.getRegion('b').end).to.equal(0.75);
+      expect(sf.getRegion('b').loop).to.equal(true);
+      sf.removeRegion('a');
+      sf.removeRegion('b');
+
+      // a region can be called "sprite"
+      sf.loadSprite({ sprite: [0, 250] });
+      expect(sf.getRegion('sprite').end).to.equal(0.25);
+      sf.removeRegion('sprite');
+    });
+
+    it('does not call onended for a removed region', function(done) {
+      var region = sf.addRegion('gone', 0, 0.5);
+      region.onended(function() {
+        throw 'onended was called for a removed region';
+      });
+      sf.playRegion('gone');
+      sf.removeRegion('gone');
+      setTimeout(done, 100);
+    });
+
+    it('can edit the buffer and undo the edits', function() {
+      var edited = new p5.SoundFile();
+      edited.setBuffer([new Float32Array([0.1, 0.2, 0.4, 0.2])]);
+      var frame = 1 / edited.buffer.sampleRate;
+
+      edited.trim(frame, 3 * frame);
+      expect(edited.frames()).to.equal(2);
+
+      edited.normalize(1);
+      expect(edited.buffer.getChannelData(0)[1]).to.be.closeTo(1, 0.0001);
+
+      expect(edited.undo()).to.equal(true);
+      expect(edited.buffer.getChannelData(0)[1]).to.be.closeTo(0.4, 0.0001);
+      expect(edited.undo()).to.equal(true);
+      expect(edited.frames()).to.equal(4);
+      expect(edited.undo()).to.equal(false);
+
+      expect(edited.redo()).to.equal(true);
+      expect(edited.frames()).to.equal(2);
+      edited.dispose();
+    });
+
+    it('can cut, paste and insert silence', function() {
+      var edited = new p5.SoundFile();
+      edited.setBuffer([new Float32Array([1, 2, 3, 4])]);
+      var frame = 1 / edited.buffer.sampleRate;
+
+      var clip = edited.cut(0, frame);
+      expect(clip[0][0]).to.equal(1);
+      expect(edited.frames()).to.equal(3);
+
+      edited.paste(3 * frame);
+      expect(Array.from(edited.buffer.getChannelData(0))).to.deep.equal([2, 3, 4, 1]);
+
+      edited.insertSilence(0, 2 * frame);
+      expect(Array.from(edited.buffer.getChannelData(0))).to.deep.equal([0, 0, 2, 3, 4, 1]);
+
+      edited.mixdownToMono();
+      expect(edited.channels()).to.equal(1);
+      edited.dispose();
+    });
+
+    it('can detect, trim and split on silence', function() {
+      var sampleRate = p5.prototype.sampleRate();
+      var data = new Float32Array(sampleRate);
+      // sound from 0.25 to 0.4 and from 0.6 to 0.75 seconds
+      for (var i = 0; i < data.length; i++) {
+        var t = i / sampleRate;
+        if (t >= 0.25 && t < 0.4 || t >= 0.6 && t < 0.75) {
+          data[i] = 0.5;
+        }
+      }
+      var take = new p5.SoundFile();
+      take.setBuffer([data]);
+
+      var spans = take.detectSilence({ thresholdDb: -40, minDuration: 0.1 });
+      expect(spans.map(function(span) {
+        return span.silent;
+      })).to.deep.equal([true, false, true, false, true]);
+      expect(spans[1].start).to.be.closeTo(0.25, 0.01);
+
+      var parts = take.splitOnSilence({ thresholdDb: -40 });
+      expect(parts.length).to.equal(2);
+      expect(parts[0].duration()).to.be.closeTo(0.15, 0.01);
+
+      take.trimSilence({ thresholdDb: -40 });
+      expect(take.duration()).to.be.closeTo(0.5, 0.01);
+
+      parts.forEach(function(part) {
+        part.dispose();
+      });
+      take.dispose();
+    });
+
+    it('can set a default fade time', function() {
+      expect(sf.getFadeTime()).to.equal(0);
+      sf.setFadeTime(0.02);
+      expect(sf.getFadeTime()).to.equal(0.02);
+      expect(function() {
+        sf.setFadeTime(-1);
+      }).to.throw();
+    });
+
+    it('can fade out on stop and fade in on play', function(done) {
+      sf.setVolume(1);
+      sf.play(0, 1, undefined, 0, undefined, 0.05);
+      expect(sf.isPlaying()).to.equal(true);
+      sf.stop(0, 0.05);
+      expect(sf.isPlaying()).to.equal(false);
+      setTimeout(function() {
+        // the volume is restored once the fade out is over
+        expect(sf.getVolume()).to.be.closeTo(1, 0.001);
+        sf.setFadeTime(0);
+        done();
+      }, 200);
+    });
+
+    it('resumes from the end of the fade after a pause', function() {
+      sf.play(0, 2);
+      var position = sf.currentTime();
+      sf.pause(0, 0.1);
+      // the sound plays on for 0.1 seconds at twice the speed
+      expect(sf.pauseTime).to.be.closeTo(position + 0.2, 0.001);
+      sf.stop();
+
+      // and at half of that when stretched to twice the length
+      sf.stretch(2);
+      sf.play(0, 2);
+      position = sf.currentTime();
+      sf.pause(0, 0.1);
+      expect(sf.pauseTime).to.be.closeTo(position + 0.1, 0.001);
+      sf.stop();
+      sf.stretch(1);
+      sf.rate(1);
+    });
+
+    it('can set loop points with zero-crossing snapping and a crossfade', function() {
+      var sampleRate = p5.prototype.sampleRate();
+      var data = new Float32Array(sampleRate);
+      // a 100Hz sine crosses zero every 5ms
+      for (var i = 0; i < data.length; i++) {
+        data[i] = Math.sin(2 * Math.PI * 100 * i / sampleRate);
+      }
+      var pad = new p5.SoundFile();
+      pad.setBuffer([data]);
+      expect(pad.getLoopPoints()).to.equal(null);
+
+      var points = pad.setLoopPoints(0.101, 0.899, { snapToZeroCrossing: true });
+      expect(points.start).to.be.closeTo(0.1, 0.0001);
+      expect(points.end).to.be.closeTo(0.9, 0.0001);
+
+      pad.loop();
+      pad.setLoopPoints(0.2, 0.6, { crossfade: 0.05 });
+      expect(pad.isLooping()).to.equal(true);
+      expect(pad.bufferSourceNode.loopStart).to.be.closeTo(0.25, 0.0001);
+      expect(pad.bufferSourceNode.loopEnd).to.be.closeTo(0.6, 0.0001);
+
+      expect(function() {
+        pad.setLoopPoints(0.6, 0.2);
+      }).to.throw();
+
+      pad.clearLoopPoints();
+      expect(pad.getLoopPoints()).to.equal(null);
+      pad.stop();
+      pad.dispose();
+    });
+
+    it('can be created from sample data, an AudioBuffer or a function', function() {
+      var mono = p5.SoundFile.fromArray([0, 0.5, -0.5, 0.25], 8000);
+      expect(mono.channels()).to.equal(1);
+      expect(mono.sampleRate()).to.equal(8000);
+      expect(mono.duration()).to.be.closeTo(4 / 8000, 0.000001);
+
+      var stereo = p5.SoundFile.fromArray([new Float32Array(100), new Float32Array(100)]);
+      expect(stereo.channels()).to.equal(2);
+      expect(function() {
+        p5.SoundFile.fromArray([new Float32Array(100), new Float32Array(50)]);
+      }).to.throw(/same number of samples/);
+
+      var copy = p5.SoundFile.fromAudioBuffer(mono.buffer);
+      expect(copy.frames()).to.equal(4);
+      expect(copy.buffer).to.not.equal(mono.buffer);
+
+      var tone = p5.SoundFile.fromFunction(function(t, channel) {
+        return channel === 0 ? Math.sin(2 * Math.PI * 440 * t) : 0;
+      }, 0.5, 2, 22050);
+      expect(tone.channels()).to.equal(2);
+      expect(tone.frames()).to.equal(11025);
+      expect(tone.buffer.getChannelData(1)[100]).to.equal(0);
+      expect(function() {
+        p5.SoundFile.fromFunction(function() {
+          return NaN;
+        }, 0.1);
+      }).to.throw(/NaN/);
+
+      [mono, stereo, copy, tone].forEach(function(soundFile) {
+        soundFile.dispose();
+      });
+    });
+
+    it('can get min/max and rms overviews of a channel and range', function() {
+      var left = new Float32Array(8000);
+      var right = new Float32Array(8000);
+      for (var i = 0; i < 8000; i++) {
+        left[i] = i < 4000 ? 0.5 : -0.25;
+        right[i] = i % 2 ? 0.1 : -0.1;
+      }
+      var stereo = p5.SoundFile.fromArray([left, right], 8000);
+
+      var all = stereo.getPeaks({ length: 2 });
+      expect(all.min[0]).to.be.closeTo(-0.1, 0.0001);
+      expect(all.max[0]).to.be.closeTo(0.5, 0.0001);
+      expect(all.min[1]).to.be.closeTo(-0.25, 0.0001);
+
+      var rightOnly = stereo.getPeaks({ length: 2, channel: 1 });
+      expect(rightOnly.max[0]).to.be.closeTo(0.1, 0.0001);
+
+      var zoomed = stereo.getPeaks({ length: 10, channel: 0, start: 0.45, end: 0.55 });
+      expect(zoomed.max[0]).to.be.closeTo(0.5, 0.0001);
+      expect(zoomed.min[9]).to.be.closeTo(-0.25, 0.0001);
+
+      var rms = stereo.getPeaks({ length: 4, channel: 1, mode: 'rms' });
+      expect(rms[0]).to.be.closeTo(0.1, 0.0001);
+
+      // repeated calls return the cached overview
+      expect(stereo.getPeaks({ length: 2 })).to.equal(all);
+      stereo.dispose();
+    });
+
+    it('fires cues and position callbacks at a high rate', function(done) {
+      var tone = p5.SoundFile.fromFunction(function(t) {
+        return 0.1 * Math.sin(2 * Math.PI * 440 * t);
+      }, 1);
+      var cues = [];
+      var positions = [];
+      tone.addCue(0.25, function(val) {
+        cues.push(val);
+      }, 'a');
+      tone.addCue(0.75, function(val) {
+        cues.push(val);
+      }, 'b');
+      var id = tone.onposition(0.1, function(time) {
+        positions.push(time);
+      });
+
+      tone.play(0, 4);
+      setTimeout(function() {
+        expect(cues).to.deep.equal(['a', 'b']);
+        expect(positions.length).to.be.at.least(5);
+        tone.clearOnPosition(id);
+        tone.dispose();
+        done();
+      }, 500);
+    });
+
+    it('can load LRC lyrics as cues', function(done) {
+      var entered = [];
+      sf.oncueenter(function(line) {
+        entered.push(line.text);
+      });
+      sf.loadCues('./testAudio/drum.lrc', function(lines) {
+        expect(lines.length).to.equal(2);
+        expect(lines[0].end).to.equal(0.5);
+        expect(lines[1].text).to.equal('Two three');
+        expect(lines[1].words[1].start).to.equal(0.75);
+
+        sf.stop();
+        sf.play();
+        setTimeout(function() {
+          expect(entered).to.include('One');
+          expect(sf.activeCue().text).to.equal('One');
+          sf.stop();
+          sf.clearCues();
+          sf.oncueenter(function() {});
+          done();
+        }, 100);
+      });
+    });
+
+    it('can stream a file', function(done) {
+      var streamed = p5.prototype.loadSound('./testAudio/drum.mp3', {stream: true}, function() {
+        expect(streamed.isStreaming()).to.equal(true);
+        expect(streamed.isLoaded()).to.equal(true);
+        expect(streamed.duration()).to.be.closeTo(1.0, 0.05);
+        streamed.play();
+        expect(streamed.isPlaying()).to.equal(true);
+        streamed.stop();
+        expect(streamed.isPlaying()).to.equal(false);
+        streamed.dispose();
+        done();
+      });
+    });
+
+    it('reports buffer-only features as unavailable when streaming', function() {
+      var streamed = new p5.SoundFile('./testAudio/drum.mp3', {stream: true});
+      expect(function() {
+        streamed.getPeaks(10);
+      }).to.throw(/not available for a streamed/);
+      expect(function() {
+        streamed.reverseBuffer();
+      }).to.throw(/not available for a streamed/);
+      streamed.dispose();
+    });
+
   });
 });
@@ -0,0 +1,92 @@
+'use strict';
+
+define(['chai'], function(chai) {
+
+  var expect = chai.expect;
+
+  describe('p5.SoundLibrary', function() {
+    this.timeout(2000);
+
+    it('loads every file and reports progress', function(done) {
+      var progress = [];
+      p5.prototype.loadSounds({
+        drum: './testAudio/drum.mp3',
+        kick: './testAudio/drum.mp3',
+        snare: './testAudio/drum.ogg'
+      }, { concurrency: 1 }, function(library) {
+        expect(library.isLoaded()).to.equal(true);
+        expect(library.progress()).to.equal(1);
+        expect(library.names()).to.deep.equal(['drum', 'kick', 'snare']);
+        expect(progress[progress.length - 1]).to.equal(1);
+        // lazily decoded, and the same path is only loaded once
+        expect(library.get('drum')).to.equal(null);
+        library.decode('drum', function(soundFile) {
+          expect(library.get('kick')).to.equal(soundFile);
+          expect(library.get('snare')).to.equal(null);
+          library.dispose();
+          done();
+        });
+      }, null, function(p) {
+        progress.push(p);
+      });
+    });
+
+    it('decodes a sound the first time it is used', function(done) {
+      var library = new p5.SoundLibrary(['./testAudio/drum.mp3'], function() {
+        library.decode('./testAudio/drum.mp3', function(soundFile) {
+          expect(soundFile.isLoaded()).to.equal(true);
+          expect(library.get('./testAudio/drum.mp3')).to.equal(soundFile);
+          expect(library.memoryUsage()).to.be.above(0);
+          library.unload('./testAudio/drum.mp3');
+          expect(library.memoryUsage()).to.equal(0);
+          library.dispose();
+          done();
+        });
+      });
+    });
+
+    it('falls back to the next path and counts downloaded files', function(done) {
+      var library = new p5.SoundLibrary({
+        drum: ['./testAudio/missing.mp3', './testAudio/drum.mp3']
+      }, function() {
+        // the file is downloaded but not decoded yet
+        expect(library.get('drum')).to.equal(null);
+        expect(library.memoryUsage()).to.be.above(0);
+        library.decode('drum', function(soundFile) {
+          expect(soundFile.url).to.equal('./testAudio/drum.mp3');
+          library.dispose();
+          done();
+        });
+      }, function(err) {
+        done(err);
+      });
+    });
+
+    it('unloads the least recently used sounds over the memory budget', function(done) {
+      var library = new p5.SoundLibrary({
+        mp3: './testAudio/drum.mp3',
+        ogg: './testAudio/drum.ogg'
+      }, { memoryBudget: 0, lazy: false }, function() {
+        // only the last sound to be decoded is kept
+        var decoded = library.names().filter(function(name) {
+          return library.get(name) !== null;
+        });
+        expect(decoded.length).to.equal(1);
+        library.dispose();
+        done();
+      });
+    });
+
+    it('reports sounds that fail to load', function(done) {
+      var errors = [];
+      var library = new p5.SoundLibrary({ missing: './testAudio/missing.mp3' }, function() {
+        expect(errors.length).to.equal(1);
+        expect(errors[0].names).to.deep.equal(['missing']);
+        library.dispose();
+        done();
+      }, function(err) {
+        errors.push(err);
+      });
+    });
+  });
+});
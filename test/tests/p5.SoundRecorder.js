@@ -115,6 +115,170 @@ define(['chai', 'sinon'], function(chai, sinon) {
       });
     });
 
+    it('can pause and resume a recording', function(done) {
+      // a constant signal, so a recording with silence in it from the
+      // pause, or a dropped block, shows up wherever it happens
+      var level = p5.SoundFile.fromFunction(function() {
+        return 0.5;
+      }, 1);
+      level.disconnect();
+      level.loop();
+      recorder.setInput(level);
+
+      var outputSoundFile = new p5.SoundFile();
+      // wait until the sound is playing before recording it
+      setTimeout(function() {
+        recorder.record(outputSoundFile, 0.2, function() {
+          expect(recorder.isRecording()).to.be.false;
+          expect(outputSoundFile.duration()).to.be.closeTo(0.2, 0.001);
+
+          var data = outputSoundFile.buffer.getChannelData(0);
+          expect(data[0]).to.be.above(0);
+          for (var i = 1; i < data.length; i++) {
+            if (Math.abs(data[i] - data[0]) > 1e-6) {
+              throw new Error('sample ' + i + ' of the recording is ' + data[i]);
+            }
+          }
+
+          outputSoundFile.dispose();
+          level.dispose();
+          done();
+        });
+        expect(recorder.isRecording()).to.be.true;
+
+        setTimeout(function() {
+          if (!recorder.isRecording()) {
+            return;
+          }
+          recorder.pause();
+          expect(recorder.isPaused()).to.be.true;
+          setTimeout(function() {
+            recorder.resume();
+            expect(recorder.isPaused()).to.be.false;
+          }, 100);
+        }, 50);
+      }, 50);
+    });
+
+    it('can punch in over part of a sound file', function(done) {
+      var sampleRate = p5.soundOut.audiocontext.sampleRate;
+      var target = p5.SoundFile.fromArray(new Float32Array(sampleRate / 2));
+      inputSoundFile.loop();
+      recorder.setInput(inputSoundFile);
+      recorder.punchIn(target, 0.1, 0.2, { crossfade: 0 }, function(soundFile) {
+        expect(soundFile).to.eq(target);
+        // the length of the sound file doesn't change
+        expect(target.buffer.length).to.eq(sampleRate / 2);
+
+        var data = target.buffer.getChannelData(0);
+        var start = Math.round(0.1 * sampleRate);
+        var end = Math.round(0.2 * sampleRate);
+        expect(data[start - 1]).to.eq(0);
+        expect(data[start]).to.not.eq(0);
+        expect(data[end - 1]).to.not.eq(0);
+        expect(data[end]).to.eq(0);
+
+        expect(target.undo()).to.be.true;
+        expect(target.buffer.getChannelData(0)[start]).to.eq(0);
+        target.dispose();
+        done();
+      });
+    });
+
+    it('can stream chunks while recording', function(done) {
+      var chunks = [];
+      inputSoundFile.loop();
+      recorder.setInput(inputSoundFile);
+      recorder.ondata(function(chunk) {
+        chunks.push(chunk);
+      }, { format: 'pcm16', size: 1000 });
+
+      var sampleRate = p5.soundOut.audiocontext.sampleRate;
+      var outputSoundFile = new p5.SoundFile();
+      recorder.record(outputSoundFile, 2500 / sampleRate, function() {
+        expect(chunks.map(function(chunk) {
+          return chunk.frames;
+        })).to.deep.equal([1000, 1000, 500]);
+        expect(chunks[2].index).to.eq(2);
+        expect(chunks[2].startFrame).to.eq(2000);
+        expect(chunks[0].channels[0]).to.be.an.instanceof(Int16Array);
+        expect(chunks[0].data.length).to.eq(2000);
+        outputSoundFile.dispose();
+        done();
+      });
+    });
+
+    it('can capture the last seconds of input', function(done) {
+      expect(function() {
+        recorder.captureLast(1, new p5.SoundFile());
+      }).to.throw();
+
+      var outputSoundFile = new p5.SoundFile();
+      inputSoundFile.loop();
+      recorder.setInput(inputSoundFile);
+      expect(recorder.captureLength(0.5)).to.eq(0.5);
+      setTimeout(function() {
+        recorder.captureLast(0.1, outputSoundFile, function(soundFile) {
+          expect(soundFile).to.eq(outputSoundFile);
+          expect(outputSoundFile.duration()).to.be.closeTo(0.1, 0.001);
+          expect(outputSoundFile.buffer.getChannelData(0)[0]).to.not.eq(0);
+          outputSoundFile.dispose();
+          done();
+        });
+      }, 200);
+    });
+
+    it('reports captures that are lost when the inputs change', function(done) {
+      var captureRecorder = new p5.SoundRecorder();
+      captureRecorder.captureLength(0.5);
+      captureRecorder.captureLast(0.1, new p5.SoundFile(), function() {
+        done(new Error('the capture arrived'));
+      }, function(err) {
+        expect(err.message).to.contain('inputs');
+        captureRecorder.dispose();
+        done();
+      });
+      // two inputs need a new worklet node
+      captureRecorder.setInputs({ a: inputSoundFile, b: inputSoundFile });
+    });
+
+    it('can record more than two channels', function(done) {
+      var quadRecorder = new p5.SoundRecorder({ channels: 4 });
+      var outputSoundFile = new p5.SoundFile();
+      inputSoundFile.loop();
+      quadRecorder.setInput(inputSoundFile);
+      quadRecorder.record(outputSoundFile, 0.05, function() {
+        expect(outputSoundFile.buffer.numberOfChannels).to.eq(4);
+        outputSoundFile.dispose();
+        quadRecorder.dispose();
+        done();
+      });
+    });
+
+    it('can record several inputs as sample-aligned stems', function(done) {
+      var osc = new p5.Oscillator();
+      osc.disconnect();
+      osc.start();
+      inputSoundFile.loop();
+      recorder.setInputs({ sound: inputSoundFile, osc: osc });
+      expect(recorder.stems()).to.deep.equal(['sound', 'osc']);
+
+      var stems = { sound: new p5.SoundFile(), osc: new p5.SoundFile() };
+      recorder.record(stems, 0.1, function() {
+        expect(stems.sound.buffer.length).to.eq(stems.osc.buffer.length);
+        expect(stems.sound.buffer.getChannelData(0)[0]).to.not.eq(0);
+
+        p5.prototype.saveStems(stems, 'take.wav').then(function() {
+          expect(writeFileSub.callCount).to.eq(2);
+          expect(writeFileSub.firstCall.args[1]).to.eq('take-sound');
+          stems.sound.dispose();
+          stems.osc.dispose();
+          osc.dispose();
+          done();
+        }).catch(done);
+      });
+    });
+
     it('can save a recorded buffer to a .wav file', function(done) {
       // this is the shortest possible recording duration
       var recordingDuration = recorder.bufferSize / p5.soundOut.audiocontext.sampleRate;
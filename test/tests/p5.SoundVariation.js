@@ -0,0 +1,111 @@
+'use strict';
+
+define(['chai'], function(chai) {
+
+  var expect = chai.expect;
+
+  describe('p5.SoundVariation', function() {
+
+    function makeSound(frequency) {
+      return p5.SoundFile.fromFunction(function(t) {
+        return 0.1 * Math.sin(2 * Math.PI * frequency * t);
+      }, 0.5);
+    }
+
+    it('can be created and disposed', function() {
+      var variation = new p5.SoundVariation([makeSound(440)]);
+      expect(variation.length()).to.equal(1);
+      variation.dispose();
+    });
+
+    it('plays voices without changing the sound file', function() {
+      var sound = makeSound(440);
+      sound.setVolume(0.5);
+      sound.rate(1.5);
+      sound.pan(-0.5);
+      var variation = new p5.SoundVariation([sound], { rate: 0.2, amp: 0.2, pan: 0.5 });
+      variation.play();
+      variation.play(0, 2, 0.1);
+      expect(variation.voices()).to.equal(2);
+      expect(sound.getVolume()).to.equal(0.5);
+      expect(sound.playbackRate).to.equal(1.5);
+      expect(sound.getPan()).to.equal(-0.5);
+      variation.dispose();
+      sound.dispose();
+    });
+
+    it('plays the sounds in turn in roundrobin mode', function() {
+      var variation = new p5.SoundVariation([makeSound(220), makeSound(330), makeSound(440)], {
+        mode: 'roundrobin'
+      });
+      var played = [];
+      for (var i = 0; i < 4; i++) {
+        played.push(variation.play());
+      }
+      expect(played).to.deep.equal([0, 1, 2, 0]);
+      variation.dispose();
+    });
+
+    it('never repeats a sound in norepeat mode', function() {
+      var variation = new p5.SoundVariation([makeSound(220), makeSound(330)], {
+        mode: 'norepeat',
+        rate: 0.1,
+        amp: 0.2,
+        pan: 0.5
+      });
+      var last = variation.play();
+      for (var i = 0; i < 10; i++) {
+        var index = variation.play();
+        expect(index).to.not.equal(last);
+        last = index;
+      }
+      variation.dispose();
+    });
+
+    it('can play regions', function() {
+      var sound = makeSound(440);
+      sound.addRegion('start', 0, 0.1);
+      var variation = new p5.SoundVariation([{ sound: sound, region: 'start' }]);
+      expect(variation.play()).to.equal(0);
+      expect(function() {
+        variation.add({ sound: sound, region: 'missing' });
+      }).to.throw();
+      variation.dispose();
+    });
+
+    it('steals the oldest voice beyond the polyphony', function(done) {
+      var variation = new p5.SoundVariation([makeSound(440)], { polyphony: 2 });
+      variation.play();
+      variation.play();
+      variation.play();
+      expect(variation.voices()).to.equal(2);
+      setTimeout(function() {
+        // only the oldest voice of the sound file was stopped
+        expect(variation.voices()).to.equal(2);
+        variation.stop();
+        expect(variation.isPlaying()).to.equal(false);
+        variation.dispose();
+        done();
+      }, 100);
+    });
+
+    it('stops every voice', function() {
+      var variation = new p5.SoundVariation([makeSound(440)]);
+      variation.play();
+      variation.play();
+      variation.stop();
+      expect(variation.isPlaying()).to.equal(false);
+      variation.dispose();
+    });
+
+    it('can set the mode and the amounts of variation', function() {
+      var variation = new p5.SoundVariation([makeSound(440)]);
+      expect(variation.mode('norepeat')).to.equal('norepeat');
+      expect(function() {
+        variation.mode('sometimes');
+      }).to.throw();
+      expect(variation.variation({ rate: 0.05 })).to.deep.equal({ rate: 0.05, amp: 0, pan: 0 });
+      variation.dispose();
+    });
+  });
+});